@@ -0,0 +1,179 @@
+// <multi-layout-player> custom element for host pages that don't use React.
+//
+//   <script src="https://player.example.com/embed.js"></script>
+//   <multi-layout-player stream="https://.../master.m3u8" layout="gallery" muted></multi-layout-player>
+//
+// Wraps the player in an iframe (`?embed=1`) and speaks the versioned
+// postMessage protocol with it. Player events are re-dispatched on the element
+// as CustomEvents (`layoutchange`, `regionclick`, `error`, `ready`) with the
+// payload in `event.detail`; the methods below return Promises.
+// The host page's origin has to be listed in the player's embed.allowedOrigins.
+(() => {
+  const SOURCE = 'multi-layout-player';
+  const VERSION = 1;
+  const EVENTS = ['ready', 'layoutchange', 'regionclick', 'error'];
+  const HANDSHAKE_INTERVAL_MS = 500;
+  const HANDSHAKE_ATTEMPTS = 20;
+  const COMMAND_TIMEOUT_MS = 10000;
+
+  // The player is served from wherever this script was loaded from.
+  const scriptUrl = document.currentScript ? document.currentScript.src : window.location.href;
+  const defaultPlayerUrl = new URL('./', scriptUrl).toString();
+
+  let nextRequestId = 1;
+
+  class MultiLayoutPlayerElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['stream', 'layout'];
+    }
+
+    constructor() {
+      super();
+      this._pending = new Map();
+      this._connected = false;
+      this._onMessage = this._onMessage.bind(this);
+    }
+
+    connectedCallback() {
+      if (this._iframe) return;
+      const playerUrl = new URL(this.getAttribute('player-url') || defaultPlayerUrl, window.location.href);
+      this._playerOrigin = playerUrl.origin;
+      playerUrl.searchParams.set('embed', '1');
+      if (this.getAttribute('stream')) playerUrl.searchParams.set('stream', this.getAttribute('stream'));
+      if (this.getAttribute('layout')) playerUrl.searchParams.set('layout', this.getAttribute('layout'));
+      if (this.getAttribute('start-time')) playerUrl.searchParams.set('t', this.getAttribute('start-time'));
+      playerUrl.searchParams.set('muted', this.hasAttribute('muted') ? '1' : '0');
+      playerUrl.searchParams.set('autoplay', this.getAttribute('autoplay') === 'false' ? '0' : '1');
+      if (this.hasAttribute('layout-picker')) playerUrl.searchParams.set('picker', '1');
+      if (this.hasAttribute('breadcrumb')) playerUrl.searchParams.set('breadcrumb', '1');
+
+      const iframe = document.createElement('iframe');
+      iframe.src = playerUrl.toString();
+      iframe.allow = 'autoplay; fullscreen';
+      iframe.setAttribute('allowfullscreen', '');
+      iframe.style.cssText = 'border:0;width:100%;height:100%;display:block;';
+      if (!this.style.display) this.style.display = 'block';
+      this._iframe = iframe;
+      this.appendChild(iframe);
+
+      window.addEventListener('message', this._onMessage);
+      iframe.addEventListener('load', this._handshake.bind(this));
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener('message', this._onMessage);
+      clearInterval(this._handshakeTimer);
+      this._pending.forEach(entry => entry.reject(new Error('Player removed from the page')));
+      this._pending.clear();
+      if (this._iframe) this._iframe.remove();
+      this._iframe = null;
+      this._connected = false;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this._connected || oldValue === newValue || !newValue) return;
+      if (name === 'stream') this.load(newValue, { layout: this.getAttribute('layout') || undefined });
+      if (name === 'layout') this.selectLayout(newValue);
+    }
+
+    // --- Public API ---
+    load(url, options = {}) {
+      return this._send('load', { url, layout: options.layout, time: options.time });
+    }
+
+    selectLayout(layout) {
+      return this._send('selectLayout', { layout });
+    }
+
+    play() {
+      return this._send('play');
+    }
+
+    pause() {
+      return this._send('pause');
+    }
+
+    seek(time) {
+      return this._send('seek', { time });
+    }
+
+    getState() {
+      return this._send('getState').then(payload => payload.state);
+    }
+
+    // --- Messaging ---
+    // The React app may not be listening yet when the iframe fires `load`, so keep
+    // subscribing until it answers.
+    _handshake() {
+      let attempts = 0;
+      clearInterval(this._handshakeTimer);
+      const trySubscribe = () => {
+        if (this._connected || attempts++ >= HANDSHAKE_ATTEMPTS) {
+          clearInterval(this._handshakeTimer);
+          return;
+        }
+        this._post('subscribe', { events: EVENTS }, this._trackRequest('subscribe', (payload) => {
+          if (this._connected) return;
+          this._connected = true;
+          clearInterval(this._handshakeTimer);
+          this.dispatchEvent(new CustomEvent('connected', { detail: payload.state }));
+        }));
+      };
+      trySubscribe();
+      this._handshakeTimer = setInterval(trySubscribe, HANDSHAKE_INTERVAL_MS);
+    }
+
+    _trackRequest(type, resolve, reject) {
+      const requestId = nextRequestId++;
+      const timer = setTimeout(() => {
+        this._pending.delete(requestId);
+        if (reject) reject(new Error(`${type} timed out`));
+      }, COMMAND_TIMEOUT_MS);
+      this._pending.set(requestId, {
+        resolve: (payload) => { clearTimeout(timer); resolve(payload); },
+        reject: (error) => { clearTimeout(timer); if (reject) reject(error); },
+      });
+      return requestId;
+    }
+
+    _post(type, payload, requestId) {
+      if (!this._iframe || !this._iframe.contentWindow) return;
+      this._iframe.contentWindow.postMessage({
+        source: SOURCE,
+        version: VERSION,
+        type,
+        requestId,
+        payload: payload || {},
+      }, this._playerOrigin);
+    }
+
+    _send(type, payload) {
+      if (!this._connected) return Promise.reject(new Error('Player is not connected yet'));
+      return new Promise((resolve, reject) => {
+        this._post(type, payload, this._trackRequest(type, resolve, reject));
+      });
+    }
+
+    _onMessage(event) {
+      if (!this._iframe || event.source !== this._iframe.contentWindow || event.origin !== this._playerOrigin) return;
+      const message = event.data;
+      if (!message || message.source !== SOURCE || message.version !== VERSION) return;
+
+      if (message.type === 'response') {
+        const entry = this._pending.get(message.requestId);
+        if (!entry) return;
+        this._pending.delete(message.requestId);
+        if (message.payload.ok) entry.resolve(message.payload);
+        else entry.reject(new Error(message.payload.error));
+        return;
+      }
+      if (EVENTS.includes(message.type)) {
+        this.dispatchEvent(new CustomEvent(message.type, { detail: message.payload }));
+      }
+    }
+  }
+
+  if (!customElements.get('multi-layout-player')) {
+    customElements.define('multi-layout-player', MultiLayoutPlayerElement);
+  }
+})();
@@ -1,397 +1,231 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import 'shaka-player/dist/controls.css';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import './App.css';
-
-// Load Shaka Player library at the top level
-const shaka = require('shaka-player/dist/shaka-player.ui.js');
-
-// --- Configuration ---
-const configs = {
-  development: {
-    API_BASE_URL: 'https://api.dev.sariska.io',
-    MEETING_HOST_URL: 'https://meet.dev.sariska.io',
-    DEFAULT_API_KEY: '22fd6f9d8dcb0d402d20d9ba34e5acc46dc34db99eb675913e'
-  },
-  production: {
-    API_BASE_URL: 'https://api.sariska.io',
-    MEETING_HOST_URL: 'https://meet.sariska.io',
-    DEFAULT_API_KEY: '27fd6f9e85c304447d3cc0fb31e7ba8062df58af86ac3f9437'
-  }
-};
-
-// Use development config - change to production as needed
-
-// --- Helper Functions (defined outside the component for performance) ---
-const generateRandomString = (length) => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-};
-
-const parseManifestForLayouts = async (manifestUrl, addLog) => {
-    try {
-      addLog('Fetching and parsing HLS manifest...');
-      const response = await fetch(manifestUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const manifestText = await response.text();
-      addLog('Manifest fetched. Parsing for layouts...');
-
-      const lines = manifestText.split('\n');
-      const layoutMap = new Map();
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line.startsWith('#EXT-X-STREAM-INF:')) {
-          const nextLine = lines[i + 1]?.trim();
-          if (!nextLine || nextLine.startsWith('#')) continue;
-          
-          const bandwidthMatch = line.match(/BANDWIDTH=(\d+)/);
-          const resolutionMatch = line.match(/RESOLUTION=(\d+x\d+)/);
-          const nameMatch = line.match(/NAME="([^"]+)"/);
-          const videoMatch = line.match(/VIDEO="([^"]+)"/);
-          
-          let layoutName = nameMatch?.[1] || videoMatch?.[1];
-          if (!layoutName) {
-              const pathParts = nextLine.split('/');
-              if (pathParts.length > 1) {
-                  layoutName = pathParts[pathParts.length - 2];
-              }
-          }
-          
-          if (layoutName && bandwidthMatch && resolutionMatch) {
-            if (!layoutMap.has(layoutName)) {
-              layoutMap.set(layoutName, { name: layoutName, streams: [] });
-            }
-            layoutMap.get(layoutName).streams.push({
-              bandwidth: parseInt(bandwidthMatch[1], 10),
-              resolution: resolutionMatch[1],
-            });
-          }
-        }
-      }
-      
-      const baseUrl = manifestUrl.substring(0, manifestUrl.lastIndexOf('/') + 1);
-      const layoutsArray = Array.from(layoutMap.values()).map(layout => ({
-        name: layout.name,
-        displayName: layout.name,
-        masterUrl: `${baseUrl}${layout.name}/master.m3u8`,
-      }));
-      
-      layoutsArray.sort((a, b) => a.name.localeCompare(b.name));
-      addLog(`Parsed ${layoutsArray.length} layouts: ${layoutsArray.map(l => l.name).join(', ')}`);
-      return layoutsArray;
-    } catch (error) {
-      addLog(`Error parsing manifest: ${error.message}`);
-      throw error;
-    }
-};
+import MultiLayoutPlayer from './MultiLayoutPlayer';
+import QoeSummary from './QoeSummary';
+import DownloadManager from './DownloadManager';
+import LogConsole from './LogConsole';
+import { createLogger } from './logger';
+import { readDeepLink, buildDeepLink } from './deepLink';
+import { createTokenService } from './tokenService';
+import { createBackend } from './backends';
+import { loadConfig, resolveEnvironmentName } from './config';
+import { MAX_RESOLUTION_OPTIONS } from './renditions';
+import { DEFAULT_MULTIVIEW_COLUMNS } from './multiview';
+import { offlineRecordingUrl, createOfflineBackend } from './offlineLibrary';
+import useOfflineDownloads from './useOfflineDownloads';
 
 // --- The Main React Component ---
 function App() {
   // --- State and Refs ---
-  const [hlsUrl, setHlsUrl] = useState('https://edge.dev.sariska.io/hls/fhzcayypmrwoxgzs/e54476bf3d954deab9a4ca82f1a889bd/master.m3u8');
+  // Deep link parameters are read once on startup and take the place of a default stream.
+  const [initialLink] = useState(() => readDeepLink(window.location.search));
+  const [hlsUrl, setHlsUrl] = useState(initialLink.stream || '');
   const [manifestUrlToLoad, setManifestUrlToLoad] = useState('');
-  const [layouts, setLayouts] = useState([]);
   const [selectedLayout, setSelectedLayout] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [isSwitching, setIsSwitching] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
   const [error, setError] = useState(null);
-  const [isPlayerReady, setIsPlayerReady] = useState(false);
-  const [playerLogs, setPlayerLogs] = useState([]);
-  const [abrEnabled, setAbrEnabled] = useState(true);
+  const [abrEnabled, setAbrEnabled] = useState(initialLink.abr ?? true);
+  const [maxResolution, setMaxResolution] = useState(null);
   const [regions, setRegions] = useState([]);
-  const [allLayoutRegions, setAllLayoutRegions] = useState([]);
   const [canvasDimensions, setCanvasDimensions] = useState({ width: 1920, height: 1080 });
   const [token, setToken] = useState(null);
-
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [appConfig, setAppConfig] = useState(null);
+  const [qoeSummary, setQoeSummary] = useState(null);
+  // Layouts and regions of the loaded stream, and whether it is live, for downloading.
+  const [streamLayouts, setStreamLayouts] = useState({ layouts: [], layoutRegions: [] });
+  const [isLiveStream, setIsLiveStream] = useState(false);
+  // Recording from offline storage being played instead of a stream.
+  const [offlineRecording, setOfflineRecording] = useState(null);
+  // Layouts shown as multiview tiles (null when multiview is off), and the grid width.
+  const [multiviewLayouts, setMultiviewLayouts] = useState(null);
+  const [multiviewColumns, setMultiviewColumns] = useState(DEFAULT_MULTIVIEW_COLUMNS);
+  const multiview = useMemo(
+    () => (multiviewLayouts ? { layouts: multiviewLayouts, columns: multiviewColumns } : null),
+    [multiviewLayouts, multiviewColumns]
+  );
+  // The configured auto-director runs unless turned off here.
+  const [directorEnabled, setDirectorEnabled] = useState(true);
 
   // New state for manual token handling
   const [manualToken, setManualToken] = useState('');
   const [showManualTokenInput, setShowManualTokenInput] = useState(false);
   const [isTokenLoading, setIsTokenLoading] = useState(false);
 
-  const videoRef = useRef(null);
-  const videoContainerRef = useRef(null);
-  const playerRef = useRef(null);
-  const uiRef = useRef(null);
-  const currentLayoutRef = useRef(null);
-  
+  // Imperative handle of the player: { getPlayer, getVideo, reload, navigateToLayout }
+  const playerHandleRef = useRef(null);
+  // Layout and position from the deep link, handed to the player until its first layout is shown.
+  const [pendingDeepLink, setPendingDeepLink] = useState(initialLink.stream ? initialLink : null);
+
   // --- Core Functions and Callbacks ---
-  const addLog = useCallback((message) => {
-    console.log(message);
-    setPlayerLogs(prevLogs => [`[${new Date().toLocaleTimeString()}] ${message}`, ...prevLogs.slice(0, 99)]);
-  }, []);
+  // One logger for the whole session; loading a stream no longer clears it.
+  const [logger] = useState(() => createLogger());
+  const log = useMemo(() => ({
+    app: logger.forCategory('app'),
+    auth: logger.forCategory('auth'),
+    layout: logger.forCategory('layout'),
+    offline: logger.forCategory('offline'),
+  }), [logger]);
+
+  // API settings for the stream being entered; the object only changes when the environment does.
+  const environmentName = appConfig ? resolveEnvironmentName(appConfig, hlsUrl) : null;
+  const apiSettings = environmentName ? appConfig.environments[environmentName] : null;
+  const mediaAuth = appConfig?.mediaAuth;
+
+  // Where tokens and regions come from; rebuilt only when the environment or backend settings change.
+  const backendConfig = appConfig?.backend;
+  const backend = useMemo(
+    () => (backendConfig ? createBackend({ config: backendConfig, apiSettings, environmentName, log: log.auth }) : null),
+    [backendConfig, apiSettings, environmentName, log]
+  );
 
-  // Updated getToken function with better error handling
-  const getToken = useCallback(async () => {
-    // Check if API_BASE_URL is properly configured
-    let API_BASE_URL = configs.production.API_BASE_URL;
-    let DEFAULT_API_KEY = configs.production.DEFAULT_API_KEY;
-  
-    if (hlsUrl.indexOf(".dev") >= 0 ) {
-       API_BASE_URL = configs.development.API_BASE_URL;
-       DEFAULT_API_KEY = configs.development.DEFAULT_API_KEY;
-    }
+  // Requests a brand new token from the backend; callers go through tokenService instead.
+  const requestNewToken = useCallback(() => {
+    if (!backend) return Promise.reject(new Error('Configuration is not loaded'));
+    return backend.getToken();
+  }, [backend]);
 
-    let id = sessionStorage.getItem('id') || generateRandomString(10);
-    let name = sessionStorage.getItem('name') || generateRandomString(8);
-    sessionStorage.setItem('id', id);
-    sessionStorage.setItem('name', name);
-    
-    
-    try {
-      addLog('Attempting to generate authentication token...');
-      
-      const response = await fetch(`${API_BASE_URL}/api/v1/misc/generate-token`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        mode: 'cors', // Explicitly set CORS mode
-        credentials: 'omit', // Don't send credentials unless necessary
-        body: JSON.stringify({ 
-          apiKey: DEFAULT_API_KEY, 
-          user: { id, name, moderator: true } 
-        }),
-      });
+  // The service outlives requestNewToken (which changes with the environment), so it calls through a ref.
+  const requestNewTokenRef = useRef(requestNewToken);
+  useEffect(() => {
+    requestNewTokenRef.current = requestNewToken;
+  }, [requestNewToken]);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      if (!data.token) {
-        throw new Error('No token received from server');
-      }
-      
-      addLog('Authentication token generated successfully');
-      return data.token;
-      
-    } catch (error) {
-      addLog(`Token generation failed: ${error.message}`);
-      
-      // Enhanced CORS error detection
-      if (error.message.includes('CORS') || 
-          error.message.includes('Failed to fetch') || 
-          error.message.includes('Network request failed') ||
-          error.name === 'TypeError') {
-        
-        addLog('CORS Error detected. This usually means:');
-        addLog('1. The server needs to allow your domain in CORS settings');
-        addLog('2. Try running your React app from localhost instead');
-        addLog('3. Contact the API provider to whitelist your domain');
-        
-        // Throw a specific CORS error
-        const corsError = new Error('CORS_ERROR: Unable to connect to API due to Cross-Origin restrictions');
-        corsError.isCorsError = true;
-        throw corsError;
-      }
-      
-      throw error;
-    }
-  }, [addLog, hlsUrl]);
+  const [tokenService] = useState(() => createTokenService({
+    fetchToken: () => requestNewTokenRef.current(),
+    log: log.auth,
+  }));
+
+  const offline = useOfflineDownloads({ authProvider: backend?.requiresToken ? tokenService : null, mediaAuth, log: log.offline });
+  const downloadForOffline = offline.download;
+  // Offline recordings bring their own layouts and regions.
+  const offlineBackend = useMemo(() => (offlineRecording ? createOfflineBackend(offlineRecording) : null), [offlineRecording]);
+
+  useEffect(() => {
+    const unsubscribe = tokenService.subscribe(setToken);
+    return () => {
+      unsubscribe();
+      tokenService.destroy();
+    };
+  }, [tokenService]);
 
   // Manual token application function
   const applyManualToken = useCallback(() => {
     if (manualToken.trim()) {
       sessionStorage.setItem('token', manualToken.trim());
-      setToken(manualToken.trim());
+      tokenService.setToken(manualToken.trim());
       setError(null);
       setShowManualTokenInput(false);
-      addLog('Manual token applied successfully');
+      log.auth.info('Manual token applied successfully');
     }
-  }, [manualToken, addLog]);
+  }, [manualToken, log, tokenService]);
 
   // Clear token function
   const clearToken = useCallback(() => {
     sessionStorage.removeItem('token');
-    setToken(null);
+    tokenService.invalidate();
     setManualToken('');
     setShowManualTokenInput(false);
-    addLog('Token cleared from session');
-  }, [addLog]);
-
-  const fetchAllLayoutRegions = useCallback(async () => {
-    if (!token || !manifestUrlToLoad) return;
-    
-    try {
-      // Check if API_BASE_URL is properly configured
-      let API_BASE_URL = configs.production.API_BASE_URL;
-      let DEFAULT_API_KEY = configs.production.DEFAULT_API_KEY;
-    
-      if (hlsUrl.indexOf(".dev") >= 0 ) {
-         API_BASE_URL = configs.development.API_BASE_URL;
-         DEFAULT_API_KEY = configs.development.DEFAULT_API_KEY;
-      }
-
-      const urlParts = manifestUrlToLoad.split('/');
-      const hlsIndex = urlParts.findIndex(part => part === 'hls');
-      if (hlsIndex === -1 || hlsIndex + 2 >= urlParts.length) {
-        throw new Error('Could not parse stream path from HLS URL');
-      }
-
-      const streamPath = `${urlParts[hlsIndex + 1]}/${urlParts[hlsIndex + 2]}`;
-      addLog(`Fetching layout regions for stream path: ${streamPath}`);
-      
-      const response = await fetch(`${API_BASE_URL}/terraform/v1/hooks/srs/fetchAllLayoutRegions`, {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json', 
-          'Authorization': `Bearer ${await getToken()}`,
-          'Accept': 'application/json',
-        },
-        mode: 'cors',
-        body: JSON.stringify({ stream_path: streamPath }),
-      });
-      
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-      const data = await response.json();
-      
-      if (Array.isArray(data.data)) {
-        setAllLayoutRegions(data.data);
-        addLog(`Successfully loaded ${data.data.length} layout configurations.`);
-      }
-    } catch (error) {
-      addLog(`Failed to fetch layout regions: ${error.message}`);
-      if (error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
-        addLog('Layout regions fetch blocked by CORS - this may affect region clicking functionality');
-      }
-    }
-  }, [token, manifestUrlToLoad, addLog]);
+    log.auth.info('Token cleared from session');
+  }, [log, tokenService]);
 
-  const mapRegionsToCurrentLayout = useCallback(() => {
-    if (!selectedLayout || allLayoutRegions.length === 0) {
-      setRegions([]);
+  // FIXED: Proper load handler with complete reset
+  const handleLoadClick = () => {
+    const url = hlsUrl.trim();
+    if (!url) {
+      setError("Please enter an HLS or DASH manifest URL.");
       return;
     }
-
-    const currentLayoutData = allLayoutRegions.find(l => l.layout_name.toLowerCase() === selectedLayout.toLowerCase());
-    if (currentLayoutData) {
-      setRegions(currentLayoutData.regions || []);
-      setCanvasDimensions({
-        width: currentLayoutData.canvas_width || 1920,
-        height: currentLayoutData.canvas_height || 1080
-      });
+    setError(null);
+    setQoeSummary(null);
+    setOfflineRecording(null);
+    if (url === manifestUrlToLoad) {
+      playerHandleRef.current?.reload();
     } else {
-      setRegions([]);
+      setManifestUrlToLoad(url);
     }
-  }, [selectedLayout, allLayoutRegions]);
-
-  // FIXED: Complete reset function for proper reload
-  const resetAllState = useCallback(() => {
-    addLog('Resetting all state for new stream...');
-    setLayouts([]);
-    setSelectedLayout('');
-    setRegions([]);
-    setAllLayoutRegions([]);
-    setCanvasDimensions({ width: 1920, height: 1080 });
+  };
+
+  const handlePlayOffline = useCallback((recording) => {
+    log.offline.info(`Playing offline recording of ${recording.stream}`, { layouts: recording.layouts.map(l => l.layoutName) });
     setError(null);
-    currentLayoutRef.current = null;
-    
-    // Stop current playback if player exists
-    if (playerRef.current) {
-      try {
-        playerRef.current.unload();
-      } catch (e) {
-        addLog(`Warning: Error during player unload: ${e.message}`);
-      }
-    }
-  }, [addLog]);
+    setQoeSummary(null);
+    setPendingDeepLink(null);
+    setOfflineRecording(recording);
+    setManifestUrlToLoad(offlineRecordingUrl(recording.stream));
+  }, [log]);
+
+  // Downloads are of the stream as loaded, with the regions of all its layouts.
+  const handleDownload = useCallback(({ layout, quality }) => {
+    downloadForOffline({ stream: manifestUrlToLoad, layout, quality, layoutRegions: streamLayouts.layoutRegions });
+  }, [downloadForOffline, manifestUrlToLoad, streamLayouts]);
+
+  const handleLayoutsChange = useCallback((layouts, layoutRegions) => {
+    setStreamLayouts({ layouts, layoutRegions });
+  }, []);
 
-  const handleVideoClick = (e) => {
-    if (layouts.length <= 1 || !videoRef.current || !videoContainerRef.current) return;
-  
-    const containerRect = videoContainerRef.current.getBoundingClientRect();
-    const video = videoRef.current;
-    if (!video.videoWidth || !video.videoHeight) return;
+  const handleLayoutChange = useCallback((layoutName, source) => {
+    setSelectedLayout(layoutName || '');
+    setIsLiveStream(Boolean(playerHandleRef.current?.getPlayer()?.isLive()));
+    if (layoutName) setPendingDeepLink(null);
+    if (layoutName && source) log.layout.debug(`Layout is now ${layoutName} (${source})`);
+  }, [log]);
 
-    const videoAspectRatio = video.videoWidth / video.videoHeight;
-    const containerAspectRatio = containerRect.width / containerRect.height;
-    
-    let videoDisplayWidth, videoDisplayHeight, offsetX, offsetY;
-    if (containerAspectRatio > videoAspectRatio) {
-        videoDisplayHeight = containerRect.height;
-        videoDisplayWidth = videoDisplayHeight * videoAspectRatio;
-        offsetX = (containerRect.width - videoDisplayWidth) / 2;
-        offsetY = 0;
-    } else {
-        videoDisplayWidth = containerRect.width;
-        videoDisplayHeight = videoDisplayWidth / videoAspectRatio;
-        offsetX = 0;
-        offsetY = (containerRect.height - videoDisplayHeight) / 2;
-    }
-    
-    const clickX = e.clientX - containerRect.left;
-    const clickY = e.clientY - containerRect.top;
-    
-    const canvasClickX = ((clickX - offsetX) / videoDisplayWidth) * canvasDimensions.width;
-    const canvasClickY = ((clickY - offsetY) / videoDisplayHeight) * canvasDimensions.height;
-  
-    if (regions.length === 0) return;
-
-    const largestRegion = regions.reduce((largest, current) => {
-      if (!largest) return current;
-      const currentArea = (current.width || 0) * (current.height || 0);
-      const largestArea = (largest.width || 0) * (largest.height || 0);
-      return currentArea > largestArea ? current : largest;
-    }, null);
-  
-    // const clickableRegions = regions.filter(region => region !== largestRegion);
-  
-    const hitRegion = regions.find(r => 
-        canvasClickX >= r.x && canvasClickX <= (r.x + r.width) &&
-        canvasClickY >= r.y && canvasClickY <= (r.y + r.height)
-    );
-  
-    if (hitRegion) {
-        addLog(`Clicked region for participant: ${hitRegion.source_type} ${hitRegion.source_idx}`);
-        const nextLayoutNameFromApi = hitRegion.parent_layout_name;
-
-        const nextLayout = layouts.find(l => l.name.toLowerCase() === nextLayoutNameFromApi.toLowerCase());
-
-        if (nextLayout && nextLayout.name !== selectedLayout) {
-          addLog(`Switching to corresponding layout: ${nextLayout.name}`);
-          setSelectedLayout(nextLayout.name);
-        } else if (!nextLayout) {
-          addLog(`Warning: Clicked region points to a layout "${nextLayoutNameFromApi}" that was not found in the manifest.`);
-        }
-    }
+  const toggleMultiviewLayout = (layoutName, checked) => {
+    setMultiviewLayouts(current => (checked ? [...current, layoutName] : current.filter(name => name !== layoutName)));
   };
-  
-  // FIXED: Proper load handler with complete reset
-  const handleLoadClick = () => {
-    if (hlsUrl.trim()) {
-      resetAllState(); // Reset everything first
-      setManifestUrlToLoad(hlsUrl.trim());
-    } else {
-      setError("Please enter an HLS URL.");
+
+  const handleRegionsChange = useCallback((nextRegions, nextCanvasDimensions) => {
+    setRegions(nextRegions);
+    setCanvasDimensions(nextCanvasDimensions);
+  }, []);
+
+  const handleCopyLink = async () => {
+    syncDeepLink();
+    const href = window.location.href;
+    try {
+      await navigator.clipboard.writeText(href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+      log.app.info('Share link copied to clipboard', { href });
+    } catch (e) {
+      // Clipboard access can be denied (insecure origin, iframe); let the user copy it by hand.
+      window.prompt('Copy this link:', href);
     }
   };
 
-  const handleLayoutChange = (event) => {
-    if (isLoading || isSwitching) return;
-    setSelectedLayout(event.target.value);
-  };
-  
-  // --- Lifecycle and Player Effects ---
+  // --- Lifecycle Effects ---
+
+  // Runtime configuration: nothing that talks to the API starts until it has loaded.
+  useEffect(() => {
+    loadConfig()
+      .then((config) => {
+        setAppConfig(config);
+        logger.setCapacity(config.logging.capacity);
+        log.app.info(`Configuration loaded (default environment: ${config.environment})`, {
+          environments: Object.keys(config.environments),
+          mediaAuth: config.mediaAuth.mode,
+        });
+      })
+      .catch((err) => {
+        (err.problems || [err.message]).forEach(problem => log.app.error(`Configuration error: ${problem}`));
+        setError(`Configuration error: ${err.message}`);
+      });
+  }, [logger, log]);
 
   // Token initialization with improved error handling
   useEffect(() => {
+    if (!backend?.requiresToken) return;
     const initToken = async () => {
       setIsTokenLoading(true);
       try {
-        setToken(await getToken());
+        // The environment may have changed with the URL, so don't reuse a cached token.
+        await tokenService.getToken({ forceRefresh: true });
         setError(null);
         setShowManualTokenInput(false);
       } catch (err) {
         const errorMessage = err.message;
-        addLog(`Token initialization failed: ${errorMessage}`);
+        log.auth.error(`Token initialization failed: ${errorMessage}`, err);
         
         if (err.isCorsError || errorMessage.includes('CORS') || errorMessage.includes('Failed to fetch')) {
           setError('Connection blocked by CORS policy. Please use manual token input below.');
@@ -405,150 +239,50 @@ function App() {
     };
     
     initToken();
-  }, [getToken, addLog, hlsUrl]);
+  }, [requestNewToken, tokenService, backend, log]);
 
-  // Player initialization - runs only once
+  // Deep link: report bad parameters and auto-load the linked stream once auth is ready.
   useEffect(() => {
-    addLog('Initializing Shaka Player...');
-    shaka.polyfill.installAll();
-    if (!shaka.Player.isBrowserSupported()) {
-      setError('Browser not supported by Shaka Player.');
-      return;
-    }
-
-    const player = new shaka.Player();
-    playerRef.current = player;
-    player.attach(videoRef.current);
-
-    const ui = new shaka.ui.Overlay(player, videoContainerRef.current, videoRef.current);
-    uiRef.current = ui;
-    ui.getControls();
-
-    const playerConfiguration = {
-      abr: {
-        defaultBandwidthEstimate: 1500000,
-        bandwidthUpgradeTarget: 1.15,
-        bandwidthDowngradeTarget: 1.05,
-      },
-      streaming: {
-        bufferingGoal: 30,
-        rebufferingGoal: 2, 
-        retryParameters: {
-          maxAttempts: 4,
-          baseDelay: 1000,
-          backoffFactor: 2,
-          fuzzFactor: 0.5,
-        }
-      }
-    };
-    player.configure(playerConfiguration);
-    addLog(`Player configured: bufferingGoal=30s, rebufferingGoal=2s, conservative ABR`);
-    
-    // Event Listeners
-    player.addEventListener('error', (event) => {
-      const error = event.detail;
-      addLog(`Player Error: ${error.code} - ${error.message}`);
-      setError(`Player Error: ${error.message}`);
-    });
-    
-    player.addEventListener('buffering', e => {
-      addLog(`Buffering: ${e.buffering ? 'started' : 'ended'}`);
-    });
-    
-    player.addEventListener('adaptation', () => {
-      const stats = player.getStats();
-      addLog(`Adaptation: ${stats.width}x${stats.height} @ ${Math.round(stats.estimatedBandwidth/1000)}kbps`);
-    });
-    
-    player.addEventListener('stalldetected', () => {
-      addLog('Stall detected - playback may be interrupted');
-    });
+    initialLink.errors.forEach(message => log.app.warn(`Deep link: ${message}`));
+  }, [initialLink, log]);
 
-    setIsPlayerReady(true);
-    addLog('Shaka Player is ready.');
-
-    return () => {
-      addLog('Destroying player and UI instances...');
-      uiRef.current?.destroy();
-      playerRef.current?.destroy().then(() => {
-        addLog('Player destroyed.');
-      });
-      playerRef.current = null;
-      uiRef.current = null;
-    };
-  }, []); 
+  // Backends without tokens (static, or the offline library) are ready as soon as they exist.
+  const isTokenReady = Boolean(backend) && (!backend.requiresToken || (Boolean(token) && !isTokenLoading));
 
   useEffect(() => {
-    if (playerRef.current) {
-        playerRef.current.configure({ abr: { enabled: abrEnabled } });
-        addLog(`ABR is now ${abrEnabled ? 'enabled' : 'disabled'}.`);
+    if (!pendingDeepLink || !isTokenReady || manifestUrlToLoad) return;
+    log.app.info(`Deep link: loading ${pendingDeepLink.stream}`, pendingDeepLink);
+    setManifestUrlToLoad(pendingDeepLink.stream);
+  }, [pendingDeepLink, isTokenReady, manifestUrlToLoad, log]);
+
+  // Mirror the loaded stream, layout, ABR setting and playhead into the address bar.
+  const syncDeepLink = useCallback(() => {
+    // Offline recordings only exist in this browser, so they don't get a link.
+    if (!manifestUrlToLoad || !selectedLayout || offlineRecording) return;
+    const player = playerHandleRef.current?.getPlayer();
+    const video = playerHandleRef.current?.getVideo();
+    const time = player?.isLive() ? null : video?.currentTime;
+    const href = buildDeepLink({ stream: manifestUrlToLoad, layout: selectedLayout, time, abr: abrEnabled }, window.location.href);
+    if (href !== window.location.href) {
+      window.history.replaceState(window.history.state, '', href);
     }
-  }, [abrEnabled, addLog]);
-
-  // FIXED: Better manifest loading with proper cleanup
-  useEffect(() => {
-    if (!manifestUrlToLoad || !isPlayerReady || !token) return;
-
-    const loadManifest = async () => {
-      setIsLoading(true);
-      setError(null);
-      setPlayerLogs([]); // Clear logs for new load
-      addLog(`Loading manifest: ${manifestUrlToLoad}`);
-      
-      try {
-        const parsedLayouts = await parseManifestForLayouts(manifestUrlToLoad, addLog);
-        setLayouts(parsedLayouts);
-        
-        if (parsedLayouts.length > 0) {
-          await fetchAllLayoutRegions();
-          setSelectedLayout(parsedLayouts[0].name);
-        } else {
-          setError('No layouts found in manifest');
-          addLog('ERROR: No layouts could be parsed from the manifest.');
-        }
-      } catch (error) {
-        setError(`Error loading manifest: ${error.message}`);
-        addLog(`Error loading manifest: ${error.message}`);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-    
-    loadManifest();
-  }, [manifestUrlToLoad, isPlayerReady, token, fetchAllLayoutRegions, addLog]);
+  }, [manifestUrlToLoad, selectedLayout, abrEnabled, offlineRecording]);
 
   useEffect(() => {
-    if (!selectedLayout || !isPlayerReady || !layouts.length || isLoading || !playerRef.current) return;
-    
-    const layoutData = layouts.find(l => l.name === selectedLayout);
-    if (!layoutData || currentLayoutRef.current === selectedLayout) return;
-
-    const loadLayout = async () => {
-      setIsSwitching(true);
-      setError(null);
-      const currentTime = videoRef.current?.currentTime || 0;
-      
-      try {
-        addLog(`Switching to layout: ${selectedLayout}`);
-        await playerRef.current.load(layoutData.masterUrl, currentTime > 1 ? currentTime : 0);
-        currentLayoutRef.current = selectedLayout;
-        addLog(`Successfully loaded: ${selectedLayout}`);
-      } catch (error) {
-        addLog(`Error loading layout: ${error.message}`);
-        setError(`Error loading layout: ${error.message}`);
-      } finally {
-        setIsSwitching(false);
-      }
+    syncDeepLink();
+    const video = playerHandleRef.current?.getVideo();
+    video?.addEventListener('pause', syncDeepLink);
+    video?.addEventListener('seeked', syncDeepLink);
+    const timer = setInterval(syncDeepLink, 10000);
+    return () => {
+      clearInterval(timer);
+      video?.removeEventListener('pause', syncDeepLink);
+      video?.removeEventListener('seeked', syncDeepLink);
     };
-    loadLayout();
-  }, [selectedLayout, isPlayerReady, layouts, isLoading, addLog]);
-
-  useEffect(() => {
-    mapRegionsToCurrentLayout();
-  }, [selectedLayout, allLayoutRegions, mapRegionsToCurrentLayout]);
+  }, [syncDeepLink]);
 
-  const isBusy = isLoading || isSwitching;
-  const isTokenReady = token && !isTokenLoading;
+  // A deep link only applies to the stream it was opened with.
+  const linkForStream = pendingDeepLink?.stream === manifestUrlToLoad ? pendingDeepLink : null;
 
   return (
     <div className="App">
@@ -558,11 +292,11 @@ function App() {
             type="text"
             value={hlsUrl}
             onChange={(e) => setHlsUrl(e.target.value)}
-            placeholder="Enter HLS Master Manifest URL"
+            placeholder="Enter HLS master playlist or DASH MPD URL"
             disabled={isBusy}
           />
-          <button onClick={handleLoadClick} disabled={isBusy || !isPlayerReady || !isTokenReady}>
-            {isBusy ? 'Loading...' : (isPlayerReady ? (isTokenReady ? 'Load Stream' : (isTokenLoading ? 'Auth Init...' : 'Need Token')) : 'Player Init...')}
+          <button onClick={handleLoadClick} disabled={isBusy || !isTokenReady}>
+            {isBusy ? 'Loading...' : (isTokenReady ? 'Load Stream' : (isTokenLoading ? 'Auth Init...' : 'Need Token'))}
           </button>
         </div>
 
@@ -608,22 +342,29 @@ function App() {
           </div>
         )}
 
-        <div 
-          ref={videoContainerRef} 
-          className="video-container" 
-          onClick={handleVideoClick}
-          style={{ cursor: layouts.length > 1 ? 'pointer' : 'default' }}
-        >
-          <video
-            ref={videoRef}
-            id="video"
-            autoPlay
-            controls={false}
-            playsInline
-          ></video>
-        </div>
-
-        {layouts.length > 0 && (
+        <MultiLayoutPlayer
+          ref={playerHandleRef}
+          manifestUrl={manifestUrlToLoad}
+          authProvider={tokenService}
+          backend={offlineBackend || backend}
+          mediaAuth={mediaAuth}
+          initialLayout={linkForStream?.layout}
+          initialStartTime={linkForStream?.time}
+          abrEnabled={abrEnabled}
+          maxResolution={maxResolution}
+          qoe={appConfig?.analytics}
+          liveUpdates={offlineRecording ? null : appConfig?.liveUpdates}
+          multiview={multiview}
+          director={directorEnabled ? appConfig?.director : null}
+          onLayoutChange={handleLayoutChange}
+          onLayoutsChange={handleLayoutsChange}
+          onRegionsChange={handleRegionsChange}
+          onBusyChange={setIsBusy}
+          onQoeSummary={setQoeSummary}
+          onLog={logger.write}
+        />
+
+        {selectedLayout && (
           <div className="controls-area">
             <div>
               <label>
@@ -636,24 +377,69 @@ function App() {
                 {' '}Enable Adaptive Bitrate (ABR)
               </label>
             </div>
-            
-            <label htmlFor="layout-select">Select Layout: </label>
-            <select
-              id="layout-select"
-              value={selectedLayout}
-              onChange={handleLayoutChange}
-              disabled={isBusy}
-            >
-              {layouts.map((layout) => (
-                <option key={layout.name} value={layout.name}>
-                  {layout.displayName}
-                </option>
-              ))}
-            </select>
-            {isSwitching && <span className="switching-indicator"> Switching...</span>}
+            <div>
+              <label>
+                Max resolution:{' '}
+                <select
+                  value={maxResolution ?? ''}
+                  onChange={(e) => setMaxResolution(e.target.value ? Number(e.target.value) : null)}
+                >
+                  {MAX_RESOLUTION_OPTIONS.map(height => (
+                    <option key={height ?? 'any'} value={height ?? ''}>{height ? `${height}p` : 'Any'}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={Boolean(multiviewLayouts)}
+                  onChange={(e) => setMultiviewLayouts(e.target.checked ? streamLayouts.layouts.map(l => l.name) : null)}
+                />
+                {' '}Multiview
+              </label>
+              {multiviewLayouts && (
+                <div className="multiview-settings">
+                  {streamLayouts.layouts.map(layout => (
+                    <label key={layout.name}>
+                      <input
+                        type="checkbox"
+                        checked={multiviewLayouts.includes(layout.name)}
+                        onChange={(e) => toggleMultiviewLayout(layout.name, e.target.checked)}
+                      />
+                      {' '}{layout.displayName}
+                    </label>
+                  ))}
+                  <label>
+                    Columns:{' '}
+                    <select value={multiviewColumns} onChange={(e) => setMultiviewColumns(Number(e.target.value))}>
+                      {[1, 2, 3, 4].map(columns => <option key={columns} value={columns}>{columns}</option>)}
+                    </select>
+                  </label>
+                </div>
+              )}
+            </div>
+            {appConfig?.director?.mode && (
+              <div>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={directorEnabled}
+                    onChange={(e) => setDirectorEnabled(e.target.checked)}
+                  />
+                  {' '}Auto-director ({appConfig.director.mode})
+                </label>
+              </div>
+            )}
+            <div>
+              <button onClick={handleCopyLink} disabled={Boolean(offlineRecording)}>
+                {linkCopied ? 'Link copied!' : 'Copy link'}
+              </button>
+            </div>
           </div>
         )}
-        
+
         {regions.length > 0 && (
           <div className="info-box blue">
             <h4>Layout Regions ({regions.length}) - Canvas: {canvasDimensions.width}x{canvasDimensions.height}</h4>
@@ -667,8 +453,25 @@ function App() {
           </div>
         )}
 
+        <QoeSummary summary={qoeSummary} />
+
+        <DownloadManager
+          supported={offline.supported}
+          stream={manifestUrlToLoad}
+          layouts={streamLayouts.layouts}
+          canDownload={Boolean(selectedLayout) && !isLiveStream && !offlineRecording}
+          recordings={offline.recordings}
+          downloads={offline.downloads}
+          playingStream={offlineRecording?.stream}
+          onDownload={handleDownload}
+          onCancel={offline.cancel}
+          onDismiss={offline.dismiss}
+          onRemove={offline.remove}
+          onPlay={handlePlayOffline}
+        />
+
         {/* Token Status Indicator */}
-        {isTokenReady && (
+        {token && !isTokenLoading && (
           <div style={{ 
             padding: '10px', 
             backgroundColor: '#e8f5e8', 
@@ -687,15 +490,10 @@ function App() {
           </div>
         )}
 
-        <div className="logs-area">
-            <h3>Player Logs:</h3>
-            <pre>
-                {playerLogs.join('\n')}
-            </pre>
-        </div>
+        <LogConsole logger={logger} />
       </main>
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
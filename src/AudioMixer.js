@@ -0,0 +1,34 @@
+import React from 'react';
+import { MIX_KEY } from './audioFocus';
+
+// Audio sources of the playing layout: solo one (the mix plays otherwise) or
+// mute it. Only shown when the stream has more than one to choose from.
+function AudioMixer({ sources, focus, playing, onSolo, onToggleMute, onFollowRegionsChange, disabled }) {
+  if (sources.length <= 1) return null;
+  const soloKey = focus.solo || MIX_KEY;
+
+  return (
+    <fieldset className="audio-mixer" disabled={disabled}>
+      <legend>Audio</legend>
+      {sources.map(({ key, label }) => (
+        <div key={key} className={['audio-mixer-source', key === playing && 'playing'].filter(Boolean).join(' ')}>
+          <label>
+            <input type="radio" name="audio-solo" checked={key === soloKey} onChange={() => onSolo(key)} />
+            {' '}{label}
+          </label>
+          <label>
+            <input type="checkbox" checked={focus.muted.includes(key)} onChange={() => onToggleMute(key)} />
+            {' '}Mute
+          </label>
+          {key === playing && <span className="audio-mixer-on-air">playing</span>}
+        </div>
+      ))}
+      <label className="audio-mixer-follow">
+        <input type="checkbox" checked={focus.followRegions} onChange={(e) => onFollowRegionsChange(e.target.checked)} />
+        {' '}Switch audio to the participant I click
+      </label>
+    </fieldset>
+  );
+}
+
+export default AudioMixer;
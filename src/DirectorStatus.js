@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+
+const MODE_LABELS = {
+  schedule: 'schedule',
+  rotation: 'rotation',
+  'active-speaker': 'following the active speaker',
+};
+
+// What the auto-director is doing, with a hand on it: pause, or resume
+// before the pause runs out.
+function DirectorStatus({ directorState, layouts, onPause, onResume }) {
+  const { mode, status, resumeAt, lastDecision } = directorState;
+  const [now, setNow] = useState(Date.now);
+
+  // Ticks the resume countdown.
+  useEffect(() => {
+    if (status !== 'paused' || resumeAt === null) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [status, resumeAt]);
+
+  if (!mode || status === 'off') return null;
+  const displayName = (name) => layouts.find(l => l.name === name)?.displayName || name;
+
+  let message;
+  if (status === 'paused') {
+    message = resumeAt === null
+      ? 'Auto-director paused.'
+      : `Auto-director paused, resuming in ${Math.max(0, Math.ceil((resumeAt - now) / 1000))}s.`;
+  } else if (status === 'finished') {
+    message = 'Auto-director: schedule finished.';
+  } else {
+    message = `Auto-director: ${MODE_LABELS[mode]}`
+      + (lastDecision ? `, showing ${displayName(lastDecision.layout)} (${lastDecision.reason}).` : '.');
+  }
+
+  return (
+    <div className={['director-status', status].join(' ')} role="status" aria-live="polite">
+      <span>{message}</span>
+      {status === 'running' && <button className="link-button" onClick={() => onPause()}>Pause</button>}
+      {status === 'paused' && <button className="link-button" onClick={() => onResume()}>Resume now</button>}
+    </div>
+  );
+}
+
+export default DirectorStatus;
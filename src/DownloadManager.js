@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import './DownloadManager.css';
+import { downloadQualities } from './offlineLibrary';
+
+const formatQuality = (quality) => {
+  if (!quality) return 'Default';
+  const kbps = `${Math.round(quality.bandwidth / 1000)} kbps`;
+  return quality.height ? `${quality.height}p (${kbps})` : kbps;
+};
+
+const formatSize = (bytes) => {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1e3)} kB`;
+};
+
+// Downloading layouts of the loaded recording, and the recordings saved so far.
+function DownloadManager({
+  supported,
+  stream,
+  layouts,
+  canDownload,
+  recordings,
+  downloads,
+  playingStream,
+  onDownload,
+  onCancel,
+  onDismiss,
+  onRemove,
+  onPlay,
+}) {
+  const [layoutName, setLayoutName] = useState('');
+  const [qualityIndex, setQualityIndex] = useState(0);
+
+  // Default to the first layout, and to its best quality whenever the layout changes.
+  const layout = layouts.find(l => l.name === layoutName) || layouts[0] || null;
+  const qualities = downloadQualities(layout);
+  useEffect(() => {
+    setQualityIndex(0);
+  }, [layout?.name]);
+
+  if (!supported) return null;
+  if (!canDownload && recordings.length === 0 && downloads.length === 0) return null;
+
+  const isDownloading = (name) => downloads.some(d => d.stream === stream && d.layoutName === name && d.status === 'downloading');
+
+  return (
+    <div className="info-box download-manager">
+      <h4>Offline Recordings</h4>
+
+      {canDownload && layout && (
+        <div className="download-form">
+          <label>
+            Layout:{' '}
+            <select value={layout.name} onChange={(e) => setLayoutName(e.target.value)}>
+              {layouts.map(l => <option key={l.name} value={l.name}>{l.displayName}</option>)}
+            </select>
+          </label>
+          <label>
+            Quality:{' '}
+            <select value={qualityIndex} onChange={(e) => setQualityIndex(Number(e.target.value))}>
+              {qualities.map((quality, index) => (
+                <option key={`${quality.height}-${quality.bandwidth}`} value={index}>{formatQuality(quality)}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => onDownload({ layout, quality: qualities[qualityIndex] || null })}
+            disabled={isDownloading(layout.name)}
+          >
+            Download
+          </button>
+        </div>
+      )}
+
+      {downloads.map(d => (
+        <div key={d.id} className={['download-item', d.status].join(' ')}>
+          <span>{d.displayName} · {formatQuality(d.quality)}</span>
+          {d.status === 'failed' ? (
+            <>
+              <span className="download-error">Failed: {d.error}</span>
+              <button className="link-button" onClick={() => onDismiss(d.id)}>Dismiss</button>
+            </>
+          ) : (
+            <>
+              <progress value={d.progress} max={1} />
+              <span>{Math.round(d.progress * 100)}%</span>
+              <button className="link-button" onClick={() => onCancel(d.id)}>Cancel</button>
+            </>
+          )}
+        </div>
+      ))}
+
+      {recordings.map(recording => (
+        <div key={recording.stream} className="recording">
+          <div className="recording-header">
+            <span className="recording-stream" title={recording.stream}>{recording.stream}</span>
+            <button
+              onClick={() => onPlay(recording)}
+              disabled={recording.layouts.length === 0 || recording.stream === playingStream}
+            >
+              {recording.stream === playingStream ? 'Playing' : 'Play offline'}
+            </button>
+          </div>
+          {recording.items.map(item => (
+            <div key={item.offlineUri} className="download-item">
+              <span>
+                {item.displayName} · {formatQuality(item.quality)} · {formatSize(item.size)}
+                {item.isIncomplete && ' (incomplete)'}
+              </span>
+              <button className="link-button" onClick={() => onRemove(item.offlineUri)}>Delete</button>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DownloadManager;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import './EmbedApp.css';
+import MultiLayoutPlayer from './MultiLayoutPlayer';
+import { readDeepLink, isHttpUrl } from './deepLink';
+import { createTokenService } from './tokenService';
+import { createBackend } from './backends';
+import { loadConfig, resolveEnvironmentName } from './config';
+import { categoryLogger, consoleWrite } from './logger';
+import {
+  EMBED_EVENTS,
+  EMBED_PROTOCOL_VERSION,
+  createEmbedMessage,
+  parseEmbedCommand,
+  isOriginAllowed,
+  readEmbedOptions,
+} from './embedProtocol';
+
+// The player alone, for iframes (`?embed=1`). Options come from the query
+// string; host pages drive it through the postMessage API in embedProtocol.js.
+function EmbedApp() {
+  // --- State and Refs ---
+  const [initialLink] = useState(() => readDeepLink(window.location.search));
+  const [options] = useState(() => readEmbedOptions(window.location.search));
+  const [manifestUrl, setManifestUrl] = useState(initialLink.stream || '');
+  // Layout and position for the next stream to load (deep link or `load` command).
+  const [startAt, setStartAt] = useState({ layout: initialLink.layout, time: initialLink.time });
+  const [appConfig, setAppConfig] = useState(null);
+  const [token, setToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  const playerHandleRef = useRef(null);
+  const selectedLayoutRef = useRef(null);
+  // host origin -> Set of event types it subscribed to
+  const subscriptionsRef = useRef(new Map());
+
+  // Embedded players only log to the console; the player itself defaults to it too.
+  const log = useMemo(() => ({
+    embed: categoryLogger(consoleWrite, 'embed'),
+    auth: categoryLogger(consoleWrite, 'auth'),
+  }), []);
+
+  const environmentName = appConfig ? resolveEnvironmentName(appConfig, manifestUrl) : null;
+  const apiSettings = environmentName ? appConfig.environments[environmentName] : null;
+  const allowedOrigins = appConfig?.embed?.allowedOrigins;
+
+  const backendConfig = appConfig?.backend;
+  const backend = useMemo(
+    () => (backendConfig ? createBackend({ config: backendConfig, apiSettings, environmentName, log: log.auth }) : null),
+    [backendConfig, apiSettings, environmentName, log]
+  );
+
+  const requestNewToken = useCallback(() => {
+    if (!backend) return Promise.reject(new Error('Configuration is not loaded'));
+    return backend.getToken();
+  }, [backend]);
+
+  const requestNewTokenRef = useRef(requestNewToken);
+  useEffect(() => {
+    requestNewTokenRef.current = requestNewToken;
+  }, [requestNewToken]);
+
+  const [tokenService] = useState(() => createTokenService({
+    fetchToken: () => requestNewTokenRef.current(),
+    log: log.auth,
+  }));
+
+  // --- Host messaging ---
+  const postToHost = useCallback((message, origin) => {
+    if (window.parent === window) return;
+    window.parent.postMessage(message, origin);
+  }, []);
+
+  const emit = useCallback((type, payload) => {
+    for (const [origin, events] of subscriptionsRef.current) {
+      if (events.has(type)) postToHost(createEmbedMessage(type, payload), origin);
+    }
+  }, [postToHost]);
+
+  const getState = useCallback(() => {
+    const handle = playerHandleRef.current;
+    const video = handle?.getVideo();
+    const player = handle?.getPlayer();
+    return {
+      stream: manifestUrl || null,
+      layout: selectedLayoutRef.current,
+      layouts: handle?.getLayouts() || [],
+      currentTime: video?.currentTime ?? 0,
+      paused: video?.paused ?? true,
+      isLive: Boolean(player?.isLive()),
+    };
+  }, [manifestUrl]);
+
+  // Each command resolves to the payload of its response; throwing reports ok: false.
+  const runCommand = useCallback(async (type, payload, origin) => {
+    const handle = playerHandleRef.current;
+    switch (type) {
+      case 'load': {
+        if (!isHttpUrl(payload.url)) throw new Error('load needs an http(s) url');
+        setStartAt({ layout: payload.layout || null, time: Number.isFinite(payload.time) ? payload.time : null });
+        if (payload.url === manifestUrl) handle?.reload();
+        else setManifestUrl(payload.url);
+        return {};
+      }
+      case 'selectLayout':
+        if (!handle?.navigateToLayout(payload.layout, 'embed')) {
+          throw new Error(`Cannot switch to layout "${payload.layout}" (unknown or unavailable layout, or the stream is still loading)`);
+        }
+        return {};
+      case 'play':
+        await handle?.getVideo()?.play();
+        return {};
+      case 'pause':
+        handle?.getVideo()?.pause();
+        return {};
+      case 'seek': {
+        const video = handle?.getVideo();
+        if (!video || !Number.isFinite(payload.time)) throw new Error('seek needs a numeric time');
+        video.currentTime = payload.time;
+        return {};
+      }
+      case 'getState':
+        return { state: getState() };
+      case 'subscribe':
+      case 'unsubscribe': {
+        const requested = payload.events || EMBED_EVENTS;
+        const unknown = requested.filter(name => !EMBED_EVENTS.includes(name));
+        if (unknown.length > 0) throw new Error(`Unknown events: ${unknown.join(', ')}`);
+        const events = subscriptionsRef.current.get(origin) || new Set();
+        requested.forEach(name => (type === 'subscribe' ? events.add(name) : events.delete(name)));
+        if (events.size > 0) subscriptionsRef.current.set(origin, events);
+        else subscriptionsRef.current.delete(origin);
+        return { events: Array.from(events), state: getState() };
+      }
+      default:
+        throw new Error(`Unknown command "${type}"`);
+    }
+  }, [manifestUrl, getState]);
+
+  useEffect(() => {
+    // Nothing is accepted until the allow-list has loaded.
+    if (!allowedOrigins) return;
+
+    const handleMessage = async (event) => {
+      if (event.source !== window.parent || window.parent === window) return;
+      const command = parseEmbedCommand(event.data);
+      if (!command) return;
+      if (!isOriginAllowed(event.origin, allowedOrigins)) {
+        log.embed.warn(`Ignoring ${command.type || 'message'} from ${event.origin}: origin is not allowed`);
+        return;
+      }
+
+      const respond = (payload) => postToHost(createEmbedMessage('response', payload, command.requestId), event.origin);
+      if (command.error) {
+        respond({ ok: false, error: command.error });
+        return;
+      }
+      try {
+        const result = await runCommand(command.type, command.payload, event.origin);
+        respond({ ok: true, ...result });
+      } catch (err) {
+        respond({ ok: false, error: err.message });
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [allowedOrigins, runCommand, postToHost, log]);
+
+  // --- Lifecycle Effects ---
+  useEffect(() => {
+    loadConfig()
+      .then(setAppConfig)
+      .catch((err) => {
+        (err.problems || [err.message]).forEach(problem => log.embed.error(`Configuration error: ${problem}`));
+        setError('The player is not configured.');
+      });
+  }, [log]);
+
+  useEffect(() => {
+    const unsubscribe = tokenService.subscribe(setToken);
+    return () => {
+      unsubscribe();
+      tokenService.destroy();
+    };
+  }, [tokenService]);
+
+  useEffect(() => {
+    if (!backend?.requiresToken) return;
+    tokenService.getToken({ forceRefresh: true }).catch((err) => {
+      log.auth.error(`Token initialization failed: ${err.message}`, err);
+      setError('Could not connect to the player service.');
+    });
+  }, [backend, tokenService, log]);
+
+  // Announce ourselves to the embedding page when it is allowed to hear from us.
+  useEffect(() => {
+    if (!allowedOrigins || window.parent === window || !document.referrer) return;
+    const hostOrigin = new URL(document.referrer).origin;
+    if (isOriginAllowed(hostOrigin, allowedOrigins)) {
+      postToHost(createEmbedMessage('ready', { version: EMBED_PROTOCOL_VERSION }), hostOrigin);
+    }
+  }, [allowedOrigins, postToHost]);
+
+  // --- Player callbacks, forwarded as events ---
+  const handleLayoutChange = useCallback((layout, source) => {
+    selectedLayoutRef.current = layout;
+    if (layout) emit('layoutchange', { layout, source });
+  }, [emit]);
+
+  const handleRegionClick = useCallback((region, targetLayout) => {
+    emit('regionclick', { region, targetLayout: targetLayout?.name || null });
+  }, [emit]);
+
+  const handleError = useCallback((message) => {
+    emit('error', { message });
+  }, [emit]);
+
+  return (
+    <div className="embed-app">
+      {error && <p className="embed-error">{error}</p>}
+      <MultiLayoutPlayer
+        ref={playerHandleRef}
+        manifestUrl={backend && (token || !backend.requiresToken) ? manifestUrl : ''}
+        authProvider={tokenService}
+        backend={backend}
+        mediaAuth={appConfig?.mediaAuth}
+        initialLayout={startAt.layout}
+        initialStartTime={startAt.time}
+        abrEnabled={initialLink.abr ?? true}
+        qoe={appConfig?.analytics}
+        liveUpdates={appConfig?.liveUpdates}
+        autoPlay={options.autoplay}
+        muted={options.muted}
+        showLayoutPicker={options.showLayoutPicker}
+        showBreadcrumb={options.showBreadcrumb}
+        onLayoutChange={handleLayoutChange}
+        onRegionClick={handleRegionClick}
+        onError={handleError}
+      />
+    </div>
+  );
+}
+
+export default EmbedApp;
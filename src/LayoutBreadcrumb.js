@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Keeps the trail readable when viewers have drilled through many layouts.
+const MAX_BREADCRUMB_ITEMS = 6;
+
+function LayoutBreadcrumb({ history, layouts, disabled }) {
+  const { entries, index } = history;
+  if (entries.length === 0) return null;
+
+  const displayName = (name) => layouts.find(l => l.name === name)?.displayName || name;
+  const trail = entries.slice(0, index + 1).map((entry, i) => ({ ...entry, index: i }));
+  const visible = trail.length > MAX_BREADCRUMB_ITEMS
+    ? [trail[0], null, ...trail.slice(-(MAX_BREADCRUMB_ITEMS - 1))]
+    : trail;
+
+  return (
+    <nav className="layout-breadcrumb" aria-label="Layout history">
+      <button onClick={history.back} disabled={disabled || !history.canGoBack} title="Previous layout">
+        ← Back
+      </button>
+      <button onClick={history.forward} disabled={disabled || !history.canGoForward} title="Next layout">
+        Forward →
+      </button>
+      <button onClick={history.home} disabled={disabled || entries[index]?.layout === entries[0].layout} title="First layout">
+        Home
+      </button>
+      <ol>
+        {visible.map((entry, i) => (
+          <li key={entry ? entry.index : `gap-${i}`}>
+            {!entry && <span className="layout-breadcrumb-gap">…</span>}
+            {entry && entry.index === index && <span aria-current="page">{displayName(entry.layout)}</span>}
+            {entry && entry.index !== index && (
+              <button className="link-button" onClick={() => history.go(entry.index)} disabled={disabled}>
+                {displayName(entry.layout)}
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+export default LayoutBreadcrumb;
@@ -0,0 +1,101 @@
+import React, { useState, useRef, useEffect } from 'react';
+import './LayoutPicker.css';
+import { summarizeLayout } from './layoutSummary';
+
+// Participant labels shown per card before collapsing into "+N".
+const MAX_PARTICIPANT_LABELS = 3;
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown'];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp'];
+
+// Layout cards with a live thumbnail, region count and participants. Arrow
+// keys, Home and End move between cards; Enter or Space switches layout.
+// Layouts that kept failing to load stay listed but can't be picked.
+function LayoutPicker({ layouts, selectedLayout, thumbnails, allLayoutRegions, unavailableLayouts = [], onSelect, disabled, isSwitching }) {
+  const selectedIndex = Math.max(0, layouts.findIndex(l => l.name === selectedLayout));
+  const [focusIndex, setFocusIndex] = useState(selectedIndex);
+  const itemRefs = useRef([]);
+  const moveFocusRef = useRef(false);
+
+  // Follow the selection when it changes from elsewhere (region click, history).
+  useEffect(() => {
+    setFocusIndex(selectedIndex);
+  }, [selectedIndex]);
+
+  useEffect(() => {
+    if (!moveFocusRef.current) return;
+    moveFocusRef.current = false;
+    itemRefs.current[focusIndex]?.focus();
+  }, [focusIndex]);
+
+  const focusItem = (index) => {
+    moveFocusRef.current = true;
+    setFocusIndex((index + layouts.length) % layouts.length);
+  };
+
+  const select = (layout) => {
+    if (!disabled && layout.name !== selectedLayout && !unavailableLayouts.includes(layout.name)) onSelect(layout.name);
+  };
+
+  const handleKeyDown = (e) => {
+    if (NEXT_KEYS.includes(e.key)) focusItem(focusIndex + 1);
+    else if (PREVIOUS_KEYS.includes(e.key)) focusItem(focusIndex - 1);
+    else if (e.key === 'Home') focusItem(0);
+    else if (e.key === 'End') focusItem(layouts.length - 1);
+    else if (e.key === 'Enter' || e.key === ' ') select(layouts[focusIndex]);
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    <div
+      className="layout-picker"
+      role="listbox"
+      aria-label="Layouts"
+      aria-orientation="horizontal"
+      aria-busy={isSwitching}
+      onKeyDown={handleKeyDown}
+    >
+      {layouts.map((layout, index) => {
+        const { regionCount, participants } = summarizeLayout(allLayoutRegions, layout.name);
+        const thumbnail = thumbnails[layout.name];
+        const isActive = layout.name === selectedLayout;
+        const isUnavailable = unavailableLayouts.includes(layout.name);
+        const hiddenParticipants = participants.length - MAX_PARTICIPANT_LABELS;
+
+        return (
+          <div
+            key={layout.name}
+            ref={(element) => { itemRefs.current[index] = element; }}
+            className={['layout-picker-item', isActive && 'active', isUnavailable && 'unavailable'].filter(Boolean).join(' ')}
+            role="option"
+            aria-selected={isActive}
+            aria-disabled={disabled || isUnavailable}
+            tabIndex={index === focusIndex ? 0 : -1}
+            onClick={() => { setFocusIndex(index); select(layout); }}
+          >
+            <div className="layout-picker-thumbnail">
+              {thumbnail
+                ? <img src={thumbnail.url} alt="" />
+                : <span className="layout-picker-placeholder">No preview</span>}
+              {isActive && <span className="layout-picker-badge">{isSwitching ? 'Switching…' : 'Playing'}</span>}
+              {isUnavailable && <span className="layout-picker-badge unavailable">Unavailable</span>}
+            </div>
+            <div className="layout-picker-name">{layout.displayName}</div>
+            <div className="layout-picker-meta">
+              {regionCount} {regionCount === 1 ? 'region' : 'regions'}
+            </div>
+            {participants.length > 0 && (
+              <div className="layout-picker-participants" title={participants.join(', ')}>
+                {participants.slice(0, MAX_PARTICIPANT_LABELS).join(', ')}
+                {hiddenParticipants > 0 && ` +${hiddenParticipants}`}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default LayoutPicker;
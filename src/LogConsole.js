@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import './LogConsole.css';
+import { LOG_LEVELS, LOG_CATEGORIES, filterEntries, entriesToJson, entriesToNdjson } from './logger';
+
+const CAPACITY_OPTIONS = [200, 1000, 5000, 20000];
+
+const formatTime = (time) => {
+  const date = new Date(time);
+  return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+};
+
+const download = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Browses a logger's ring buffer: filter by level, category and text, pause
+// the view while reading, and download everything for a bug report.
+function LogConsole({ logger }) {
+  const entries = useSyncExternalStore(logger.subscribe, logger.getEntries);
+  const capacity = useSyncExternalStore(logger.subscribe, logger.getCapacity);
+  const [minLevel, setMinLevel] = useState('debug');
+  const [categories, setCategories] = useState([]);
+  const [search, setSearch] = useState('');
+  const [pausedEntries, setPausedEntries] = useState(null);
+  const [autoScroll, setAutoScroll] = useState(true);
+  const listRef = useRef(null);
+
+  const isPaused = pausedEntries !== null;
+  const visibleEntries = filterEntries(isPaused ? pausedEntries : entries, { minLevel, categories, search });
+  const newWhilePaused = isPaused ? entries.filter(e => e.id > (pausedEntries.at(-1)?.id ?? 0)).length : 0;
+
+  useEffect(() => {
+    if (autoScroll && !isPaused && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [visibleEntries.length, entries, autoScroll, isPaused]);
+
+  const toggleCategory = (category) => {
+    setCategories(current => (current.includes(category)
+      ? current.filter(c => c !== category)
+      : [...current, category]));
+  };
+
+  const handleDownload = (format) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const all = logger.getEntries();
+    if (format === 'ndjson') {
+      download(entriesToNdjson(all), `player-logs-${stamp}.ndjson`, 'application/x-ndjson');
+    } else {
+      download(entriesToJson(all), `player-logs-${stamp}.json`, 'application/json');
+    }
+  };
+
+  return (
+    <div className="logs-area">
+      <h3>Player Logs:</h3>
+      <div className="log-toolbar">
+        <label>
+          Level{' '}
+          <select value={minLevel} onChange={(e) => setMinLevel(e.target.value)}>
+            {LOG_LEVELS.map(level => <option key={level} value={level}>{level}+</option>)}
+          </select>
+        </label>
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search messages and payloads"
+          aria-label="Search logs"
+        />
+        <button onClick={() => setPausedEntries(isPaused ? null : entries)}>
+          {isPaused ? `Resume${newWhilePaused ? ` (${newWhilePaused} new)` : ''}` : 'Pause'}
+        </button>
+        <label>
+          <input type="checkbox" checked={autoScroll} onChange={(e) => setAutoScroll(e.target.checked)} />
+          {' '}Auto-scroll
+        </label>
+        <label>
+          Keep{' '}
+          <select value={capacity} onChange={(e) => logger.setCapacity(Number(e.target.value))}>
+            {[...new Set([...CAPACITY_OPTIONS, capacity])].sort((a, b) => a - b).map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+          {' '}entries
+        </label>
+        <button onClick={() => logger.clear()}>Clear</button>
+        <button onClick={() => handleDownload('json')} disabled={entries.length === 0}>Download JSON</button>
+        <button onClick={() => handleDownload('ndjson')} disabled={entries.length === 0}>Download NDJSON</button>
+      </div>
+
+      <div className="log-categories">
+        {LOG_CATEGORIES.map(category => (
+          <label key={category}>
+            <input
+              type="checkbox"
+              checked={categories.includes(category)}
+              onChange={() => toggleCategory(category)}
+            />
+            {' '}{category}
+          </label>
+        ))}
+        <span className="log-count">
+          {visibleEntries.length} of {entries.length} entries
+        </span>
+      </div>
+
+      <div className="log-list" ref={listRef}>
+        {visibleEntries.map(entry => (
+          <div key={entry.id} className={`log-entry log-${entry.level}`}>
+            <span className="log-time">{formatTime(entry.time)}</span>
+            <span className="log-level">{entry.level}</span>
+            <span className="log-category">{entry.category}</span>
+            {entry.data === undefined ? (
+              <span className="log-message">{entry.message}</span>
+            ) : (
+              <details className="log-message">
+                <summary>{entry.message}</summary>
+                <pre>{JSON.stringify(entry.data, null, 2)}</pre>
+              </details>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default LogConsole;
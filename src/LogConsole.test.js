@@ -0,0 +1,17 @@
+import { render, screen, act } from '@testing-library/react';
+import LogConsole from './LogConsole';
+import { createLogger } from './logger';
+
+test('shows the capacity the logger has, also when it changes after mount', () => {
+  const logger = createLogger({ mirrorToConsole: false });
+  render(<LogConsole logger={logger} />);
+  const select = screen.getByRole('combobox', { name: /Keep/ });
+  expect(select).toHaveValue('1000');
+
+  // As the app does once its config has loaded.
+  act(() => logger.setCapacity(5000));
+  expect(select).toHaveValue('5000');
+
+  act(() => logger.setCapacity(300));
+  expect(select).toHaveValue('300');
+});
@@ -0,0 +1,224 @@
+import React, { useImperativeHandle } from 'react';
+import 'shaka-player/dist/controls.css';
+import './MultiLayoutPlayer.css';
+import useMultiLayoutPlayer from './useMultiLayoutPlayer';
+import RegionOverlay from './RegionOverlay';
+import LayoutBreadcrumb from './LayoutBreadcrumb';
+import LayoutPicker from './LayoutPicker';
+import RenditionMenu from './RenditionMenu';
+import SwitchStatus from './SwitchStatus';
+import DirectorStatus from './DirectorStatus';
+import AudioMixer from './AudioMixer';
+import MultiviewMosaic from './MultiviewMosaic';
+import { isZoomed, zoomTransform } from './videoZoom';
+
+/**
+ * Drop-in player for multi-layout streams: video with Shaka controls, region
+ * overlay, click-to-switch, breadcrumb, a thumbnail layout picker, a
+ * per-layout quality menu and switch status. The Shaka controls carry layout
+ * and quality menus too, and in fullscreen the switch status shows over the
+ * video. With the `multiview` option, other layouts play as tiles under the
+ * main view. With the `director` option, a status line shows what the
+ * auto-director does and lets the viewer pause it (`showDirectorStatus`).
+ * Regions without a layout of their own zoom the picture in; scroll or pinch
+ * zooms too, dragging pans, and a button resets the view. When the stream has
+ * per-participant audio, a mixer solos or mutes sources and clicking a
+ * participant focuses their audio (`showAudioMixer`).
+ * Accepts every useMultiLayoutPlayer option as a prop. Through
+ * `ref` it exposes
+ * { getPlayer, getVideo, getLayouts, reload, navigateToLayout }; navigateToLayout
+ * returns false when the layout is unknown or unavailable, or the manifest is
+ * still loading.
+ */
+function MultiLayoutPlayer({
+  ref,
+  className,
+  showLayoutPicker = true,
+  showBreadcrumb = true,
+  showRenditionMenu = true,
+  showDirectorStatus = true,
+  showAudioMixer = true,
+  autoPlay = true,
+  muted = false,
+  ...options
+}) {
+  const player = useMultiLayoutPlayer({ captureThumbnails: showLayoutPicker, ...options });
+  const {
+    videoRef,
+    videoContainerRef,
+    freezeFrameRef,
+    thumbnailVideoRef,
+    videoContentRect,
+    zoom,
+    zoomedRegion,
+    isZoomGesture,
+    layouts,
+    selectedLayout,
+    regions,
+    allLayoutRegions,
+    thumbnails,
+    renditions,
+    renditionChoice,
+    canvasDimensions,
+    hoveredRegion,
+    error,
+    isLoading,
+    isSwitching,
+    isBusy,
+    switchState,
+    unavailableLayouts,
+    isFullscreen,
+    multiviewTiles,
+    multiviewColumns,
+    tileOptions,
+    directorState,
+    audioSources,
+    audioFocus,
+    playingAudio,
+    history,
+    selectLayout,
+    dismissSwitchProblem,
+    selectRendition,
+    pauseDirector,
+    resumeDirector,
+    soloAudioSource,
+    toggleAudioMute,
+    setAudioFollowsRegions,
+    reload,
+    isRegionActionable,
+    isRegionZoomable,
+    resetZoom,
+    getPlayer,
+    getVideo,
+    getLayouts,
+  } = player;
+
+  useImperativeHandle(ref, () => ({
+    getPlayer,
+    getVideo,
+    getLayouts,
+    reload,
+    navigateToLayout: (layoutName, source = 'programmatic') => selectLayout(layoutName, source),
+  }), [getPlayer, getVideo, getLayouts, reload, selectLayout]);
+
+  let cursor = 'default';
+  if (hoveredRegion && isRegionActionable(hoveredRegion)) cursor = 'pointer';
+  else if (hoveredRegion && isRegionZoomable(hoveredRegion)) cursor = hoveredRegion === zoomedRegion ? 'zoom-out' : 'zoom-in';
+  else if (isZoomed(zoom)) cursor = 'grab';
+  const pictureTransform = zoomTransform(zoom, videoContentRect);
+
+  return (
+    <div className={['multi-layout-player', className].filter(Boolean).join(' ')}>
+      {error && <p className="multi-layout-player-error">{error}</p>}
+
+      <div
+        ref={videoContainerRef}
+        className={['video-container', isZoomed(zoom) && 'zoomed', isZoomGesture && 'zoom-gesture'].filter(Boolean).join(' ')}
+        onClick={player.handleVideoClick}
+        onMouseMove={player.handleVideoMouseMove}
+        onMouseLeave={player.handleVideoMouseLeave}
+        {...player.zoomPointerHandlers}
+        style={{ cursor }}
+      >
+        <video
+          ref={videoRef}
+          autoPlay={autoPlay}
+          muted={muted}
+          controls={false}
+          playsInline
+          style={{ transform: pictureTransform }}
+        ></video>
+        <canvas ref={freezeFrameRef} className="freeze-frame" aria-hidden="true" style={{ transform: pictureTransform }}></canvas>
+        <RegionOverlay
+          regions={regions}
+          canvasDimensions={canvasDimensions}
+          contentRect={videoContentRect}
+          zoom={zoom}
+          zoomedRegion={zoomedRegion}
+          hoveredRegion={hoveredRegion}
+          isActionable={isRegionActionable}
+          isZoomable={isRegionZoomable}
+        />
+        {isZoomed(zoom) && (
+          // Like the switch notice, clicks here must not reach the region hit-testing.
+          <div className="video-zoom-controls" onClick={(e) => e.stopPropagation()} onPointerDown={(e) => e.stopPropagation()}>
+            <span>{zoom.scale.toFixed(1)}×</span>
+            <button onClick={resetZoom}>Reset zoom</button>
+          </div>
+        )}
+        {isFullscreen && (
+          // Clicks on the notice must not reach the region hit-testing below it.
+          <div className="switch-status-overlay" onClick={(e) => e.stopPropagation()}>
+            <SwitchStatus
+              switchState={switchState}
+              layouts={layouts}
+              unavailableLayouts={unavailableLayouts}
+              onDismiss={dismissSwitchProblem}
+              showSwitching
+            />
+          </div>
+        )}
+      </div>
+
+      <MultiviewMosaic
+        tiles={multiviewTiles}
+        columns={multiviewColumns}
+        tileOptions={tileOptions}
+        onPromote={(layoutName) => selectLayout(layoutName, 'multiview')}
+        disabled={isLoading}
+      />
+
+      {!isFullscreen && (
+        <SwitchStatus
+          switchState={switchState}
+          layouts={layouts}
+          unavailableLayouts={unavailableLayouts}
+          onDismiss={dismissSwitchProblem}
+        />
+      )}
+
+      {showDirectorStatus && (
+        <DirectorStatus directorState={directorState} layouts={layouts} onPause={pauseDirector} onResume={resumeDirector} />
+      )}
+
+      {/* Switching again while a switch runs supersedes it, so only manifest loads lock these. */}
+      {showBreadcrumb && <LayoutBreadcrumb history={history} layouts={layouts} disabled={isLoading} />}
+
+      {showRenditionMenu && (
+        <RenditionMenu renditions={renditions} choice={renditionChoice} onChange={selectRendition} disabled={isBusy} />
+      )}
+
+      {showAudioMixer && (
+        <AudioMixer
+          sources={audioSources}
+          focus={audioFocus}
+          playing={playingAudio}
+          onSolo={soloAudioSource}
+          onToggleMute={toggleAudioMute}
+          onFollowRegionsChange={setAudioFollowsRegions}
+          disabled={isLoading}
+        />
+      )}
+
+      {showLayoutPicker && (
+        <div className="multi-layout-player-controls">
+          {layouts.length > 0 && (
+            <LayoutPicker
+              layouts={layouts}
+              selectedLayout={selectedLayout}
+              thumbnails={thumbnails}
+              allLayoutRegions={allLayoutRegions}
+              unavailableLayouts={unavailableLayouts}
+              onSelect={(layoutName) => selectLayout(layoutName, 'picker')}
+              disabled={isLoading}
+              isSwitching={isSwitching}
+            />
+          )}
+          <video ref={thumbnailVideoRef} className="layout-thumbnail-source" muted playsInline aria-hidden="true"></video>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MultiLayoutPlayer;
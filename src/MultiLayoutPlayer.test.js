@@ -0,0 +1,129 @@
+import { createRef } from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import MultiLayoutPlayer from './MultiLayoutPlayer';
+
+// jsdom can't play media; a stand-in Shaka records what the player asks for.
+let mockBrowserSupported = false;
+const mockPlayers = [];
+jest.mock('shaka-player/dist/shaka-player.ui.js', () => {
+  class Player {
+    constructor() {
+      this.load = jest.fn(() => Promise.resolve());
+      mockPlayers.push(this);
+    }
+    static isBrowserSupported() {
+      return mockBrowserSupported;
+    }
+    attach() {}
+    configure() {}
+    addEventListener() {}
+    removeEventListener() {}
+    unload() { return Promise.resolve(); }
+    destroy() { return Promise.resolve(); }
+    isLive() { return false; }
+    getStats() { return {}; }
+    getVariantTracks() { return []; }
+    getAudioTracks() { return []; }
+    getManifest() { return null; }
+    seekRange() { return { start: 0, end: 60 }; }
+    getNetworkingEngine() { return null; }
+    preload() { return Promise.resolve(null); }
+  }
+  Player.version = 'test';
+  class Overlay {
+    configure() {}
+    getControls() {}
+    destroy() {}
+  }
+  return {
+    Player,
+    polyfill: { installAll: () => {} },
+    ui: {
+      Element: class {},
+      Controls: { registerElement: () => {} },
+      OverflowMenu: { registerElement: () => {} },
+      Overlay,
+    },
+  };
+});
+
+const MANIFEST_URL = 'https://cdn.example.com/meeting/master.m3u8';
+const LAYOUTS = [
+  { name: 'grid', masterUrl: 'https://cdn.example.com/meeting/grid.m3u8', variants: [{ resolution: { width: 1920, height: 1080 } }] },
+  { name: 'speaker', masterUrl: 'https://cdn.example.com/meeting/speaker.m3u8', variants: [{ resolution: { width: 1920, height: 1080 } }] },
+];
+
+const backend = {
+  type: 'test',
+  getLayouts: async () => LAYOUTS,
+  streamIdFor: () => 'meeting',
+  getLayoutRegions: async () => [],
+};
+
+// Renders a player on the test stream and waits for its first layout to load.
+const renderPlayer = async (props = {}) => {
+  const ref = createRef();
+  render(
+    <MultiLayoutPlayer ref={ref} manifestUrl={MANIFEST_URL} backend={backend} showLayoutPicker={false} onLog={() => {}} {...props} />
+  );
+  const player = mockPlayers[0];
+  await waitFor(() => expect(player.load).toHaveBeenCalledWith(LAYOUTS[0].masterUrl, 0, undefined));
+  return { ref, player };
+};
+
+beforeEach(() => {
+  mockPlayers.length = 0;
+});
+
+test('reports an error when the browser cannot play the stream', () => {
+  const onError = jest.fn();
+  render(<MultiLayoutPlayer onError={onError} onLog={() => {}} />);
+
+  expect(onError).toHaveBeenCalledWith('Browser not supported by Shaka Player.', undefined);
+  expect(screen.getByText(/Browser not supported/)).toBeInTheDocument();
+});
+
+describe('with a supported browser', () => {
+  beforeEach(() => {
+    mockBrowserSupported = true;
+  });
+
+  afterEach(() => {
+    mockBrowserSupported = false;
+  });
+
+  test('exposes the layouts of the stream through the ref', async () => {
+    const { ref } = await renderPlayer();
+
+    expect(ref.current.getLayouts()).toEqual(['grid', 'speaker']);
+    expect(ref.current.getPlayer()).toBe(mockPlayers[0]);
+  });
+
+  test('switches layouts through navigateToLayout', async () => {
+    const onLayoutChange = jest.fn();
+    const { ref, player } = await renderPlayer({ onLayoutChange });
+
+    let accepted;
+    act(() => {
+      accepted = ref.current.navigateToLayout('speaker');
+    });
+
+    expect(accepted).toBe(true);
+    await waitFor(() => expect(player.load).toHaveBeenLastCalledWith(LAYOUTS[1].masterUrl, 0, undefined));
+    expect(onLayoutChange).toHaveBeenLastCalledWith('speaker', 'programmatic');
+  });
+
+  test('refuses to navigate to a layout the stream does not have', async () => {
+    const onLayoutChange = jest.fn();
+    const { ref, player } = await renderPlayer({ onLayoutChange });
+
+    let accepted;
+    act(() => {
+      accepted = ref.current.navigateToLayout('unknown');
+    });
+
+    expect(accepted).toBe(false);
+    expect(player.load).toHaveBeenCalledTimes(1);
+    expect(onLayoutChange).toHaveBeenLastCalledWith('grid', 'initial');
+  });
+});
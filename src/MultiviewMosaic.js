@@ -0,0 +1,43 @@
+import React from 'react';
+import './MultiviewMosaic.css';
+import useMultiviewTile from './useMultiviewTile';
+
+function MultiviewTile({ layout, tileOptions, onPromote, disabled }) {
+  const { videoRef, status } = useMultiviewTile(layout, tileOptions);
+
+  return (
+    <button
+      className={['multiview-tile', status].join(' ')}
+      onClick={() => onPromote(layout.name)}
+      disabled={disabled}
+      title={`Show ${layout.displayName} in the main view`}
+    >
+      <video ref={videoRef} muted playsInline aria-hidden="true"></video>
+      <span className="multiview-tile-label">
+        {layout.displayName}
+        {status === 'failed' && ' (not loading)'}
+      </span>
+    </button>
+  );
+}
+
+// Other layouts playing next to the main view; clicking a tile promotes it.
+function MultiviewMosaic({ tiles, columns, tileOptions, onPromote, disabled }) {
+  if (tiles.length === 0) return null;
+
+  return (
+    <div className="multiview-mosaic" style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}>
+      {tiles.map(layout => (
+        <MultiviewTile
+          key={layout.name}
+          layout={layout}
+          tileOptions={tileOptions}
+          onPromote={onPromote}
+          disabled={disabled}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default MultiviewMosaic;
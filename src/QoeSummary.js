@@ -0,0 +1,68 @@
+import React from 'react';
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '–' : `${Math.round(ms)} ms`);
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+// Bitrates with their share of on-screen time, highest share first.
+const bitrateShares = (bitrateTimeMs) => {
+  const total = Object.values(bitrateTimeMs).reduce((sum, ms) => sum + ms, 0);
+  if (total === 0) return '–';
+  return Object.entries(bitrateTimeMs)
+    .sort(([, a], [, b]) => b - a)
+    .map(([bitrate, ms]) => `${Math.round(bitrate / 1000)} kbps ${Math.round((ms / total) * 100)}%`)
+    .join(', ');
+};
+
+const droppedShare = ({ droppedFrames, decodedFrames }) => (decodedFrames > 0
+  ? `${droppedFrames} (${((droppedFrames / decodedFrames) * 100).toFixed(1)}%)`
+  : String(droppedFrames));
+
+const averageSwitch = ({ count, totalLatencyMs }) => (count > 0 ? formatMs(totalLatencyMs / count) : '–');
+
+// Quality of experience for the current stream, in total and per layout.
+function QoeSummary({ summary }) {
+  if (!summary) return null;
+  const { session, layouts } = summary;
+
+  return (
+    <div className="info-box green">
+      <h4>Quality of Experience ({formatSeconds(summary.durationMs)} session)</h4>
+      <div className="small-text">
+        <div>Time to first frame: {formatMs(session.timeToFirstFrameMs)}</div>
+        <div>
+          Layout switches: {session.switches.count} (avg {averageSwitch(session.switches)}, max {formatMs(session.switches.count ? session.switches.maxLatencyMs : null)}
+          {session.switches.failed > 0 ? `, ${session.switches.failed} failed` : ''})
+        </div>
+        <div>Rebuffers: {session.rebuffers.count} ({formatSeconds(session.rebuffers.durationMs)}), stalls: {session.stalls}</div>
+        <div>Dropped frames: {droppedShare(session)}</div>
+        <div>Bitrate time-share: {bitrateShares(session.bitrateTimeMs)}</div>
+      </div>
+      {Object.keys(layouts).length > 0 && (
+        <table className="qoe-table small-text">
+          <thead>
+            <tr>
+              <th>Layout</th>
+              <th>Switches to</th>
+              <th>Rebuffers</th>
+              <th>Dropped</th>
+              <th>Bitrates</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(layouts).map(([name, metrics]) => (
+              <tr key={name}>
+                <td>{name}</td>
+                <td>{metrics.switches.count} (avg {averageSwitch(metrics.switches)})</td>
+                <td>{metrics.rebuffers.count} ({formatSeconds(metrics.rebuffers.durationMs)})</td>
+                <td>{droppedShare(metrics)}</td>
+                <td>{bitrateShares(metrics.bitrateTimeMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default QoeSummary;
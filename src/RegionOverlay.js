@@ -0,0 +1,59 @@
+import React from 'react';
+import './RegionOverlay.css';
+import { regionLabel } from './layoutSummary';
+import { IDENTITY_ZOOM, zoomTransform } from './videoZoom';
+
+// Draws the layout regions over the video picture, zoomed with it. Purely
+// visual: hover and click hit-testing stay on the video container so the
+// Shaka controls keep receiving pointer events.
+function RegionOverlay({ regions, canvasDimensions, contentRect, zoom = IDENTITY_ZOOM, zoomedRegion, hoveredRegion, isActionable, isZoomable }) {
+  if (!contentRect || !regions.length || !canvasDimensions.width || !canvasDimensions.height) return null;
+
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div
+      className="region-overlay"
+      aria-hidden="true"
+      style={{
+        left: contentRect.x,
+        top: contentRect.y,
+        width: contentRect.width,
+        height: contentRect.height,
+        transform: zoomTransform(zoom, contentRect, contentRect),
+        // Labels keep their size while the regions grow.
+        '--zoom-scale': zoom.scale,
+      }}
+    >
+      {regions.map((region, index) => {
+        const actionable = isActionable(region);
+        const zoomable = !actionable && Boolean(isZoomable?.(region));
+        const classNames = ['region-overlay-item'];
+        if (actionable) classNames.push('actionable');
+        if (zoomable) classNames.push('zoomable');
+        if (region === hoveredRegion) classNames.push('hovered');
+
+        return (
+          <div
+            key={region.id || index}
+            className={classNames.join(' ')}
+            style={{
+              left: toPercent(region.x, canvasDimensions.width),
+              top: toPercent(region.y, canvasDimensions.height),
+              width: toPercent(region.width, canvasDimensions.width),
+              height: toPercent(region.height, canvasDimensions.height),
+            }}
+          >
+            <span className="region-overlay-label">{regionLabel(region)}</span>
+            {actionable && <span className="region-overlay-hint">Click to focus</span>}
+            {zoomable && (
+              <span className="region-overlay-hint">{region === zoomedRegion ? 'Click to zoom out' : 'Click to zoom'}</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RegionOverlay;
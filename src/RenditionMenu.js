@@ -0,0 +1,33 @@
+import React from 'react';
+import { renditionLabel } from './renditions';
+
+const renditionValue = (rendition) => `${rendition.height || 0}:${rendition.bandwidth}`;
+
+// Quality menu for the current layout: Auto (ABR) or one pinned rendition.
+function RenditionMenu({ renditions, choice, onChange, disabled }) {
+  if (renditions.length === 0) return null;
+
+  const active = renditions.find(r => r.active);
+  const value = choice && active ? renditionValue(active) : 'auto';
+
+  const handleChange = (e) => {
+    const rendition = renditions.find(r => renditionValue(r) === e.target.value);
+    onChange(rendition || null);
+  };
+
+  return (
+    <label className="rendition-menu">
+      Quality:{' '}
+      <select value={value} onChange={handleChange} disabled={disabled}>
+        <option value="auto">Auto{!choice && active ? ` (${renditionLabel(active)})` : ''}</option>
+        {renditions.map(rendition => (
+          <option key={renditionValue(rendition)} value={renditionValue(rendition)}>
+            {renditionLabel(rendition)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default RenditionMenu;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { SWITCH_RETRY } from './layoutSwitch';
+
+// Tells the viewer when a switch is retrying, recovering or didn't land where
+// they asked. Plain switches are shown by the picker badge instead, unless
+// `showSwitching` is set (in fullscreen, where the picker is out of sight).
+function SwitchStatus({ switchState, layouts, unavailableLayouts, onDismiss, showSwitching = false }) {
+  const { phase, target, attempt, problem } = switchState;
+  const displayName = (name) => layouts.find(l => l.name === name)?.displayName || name;
+
+  let message = null;
+  if (phase === 'retrying' || (phase === 'loading' && attempt > 1)) {
+    message = `${displayName(target)} is not responding, retrying (attempt ${attempt} of ${SWITCH_RETRY.maxAttempts})…`;
+  } else if (showSwitching && phase === 'loading') {
+    message = `Switching to ${displayName(target)}…`;
+  } else if (problem) {
+    message = [
+      `${displayName(problem.layout)} could not be loaded (${problem.message}).`,
+      problem.recoveredTo && (phase === 'recovering'
+        ? `Returning to ${displayName(problem.recoveredTo)}…`
+        : `Showing ${displayName(problem.recoveredTo)} instead.`),
+      unavailableLayouts.includes(problem.layout) && 'It has been marked unavailable.',
+    ].filter(Boolean).join(' ');
+  }
+  if (!message) return null;
+
+  return (
+    <div className={['switch-status', problem && 'problem'].filter(Boolean).join(' ')} role="status" aria-live="polite">
+      <span>{message}</span>
+      {problem && phase !== 'recovering' && (
+        <button className="link-button" onClick={onDismiss}>Dismiss</button>
+      )}
+    </div>
+  );
+}
+
+export default SwitchStatus;
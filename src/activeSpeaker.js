@@ -0,0 +1,87 @@
+import { decodeJsonPayload } from './timedRegions';
+import { findLayoutByName } from './layouts';
+
+// --- Active speaker signals ---
+// The mixer can announce who is speaking inside the stream, the same ways it
+// carries regions (see timedRegions.js):
+//
+//   HLS  #EXT-X-DATERANGE:...,X-ACTIVE-SPEAKER="<base64>"
+//   ID3  TXXX frame with description "active-speaker"
+//   emsg / DASH EventStream with schemeIdUri "urn:sariska:active-speaker"
+//
+// The payload names the source as regions do, { "source_type": "participant",
+// "source_idx": 2 }; without a source nobody is speaking.
+
+export const SPEAKER_DATERANGE_ATTRIBUTE = 'X-ACTIVE-SPEAKER';
+export const SPEAKER_ID3_DESCRIPTION = 'active-speaker';
+export const SPEAKER_SCHEME_ID = 'urn:sariska:active-speaker';
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/** { source_type, source_idx } of the speaker, null for nobody, undefined when not a speaker payload. */
+export const decodeSpeakerPayload = (data) => {
+  const payload = decodeJsonPayload(data);
+  if (!payload) return undefined;
+  if (payload.source_type == null) return null;
+  if (typeof payload.source_type !== 'string' || !Number.isInteger(payload.source_idx)) return undefined;
+  return { source_type: payload.source_type, source_idx: payload.source_idx };
+};
+
+const cueFrom = (startTime, endTime, data) => {
+  const speaker = decodeSpeakerPayload(data);
+  if (speaker === undefined || !isFiniteNumber(startTime)) return null;
+  return { speaker, startTime, endTime: isFiniteNumber(endTime) ? endTime : Infinity };
+};
+
+// Shaka `metadata` event: EXT-X-DATERANGE attributes and ID3 frames.
+export const speakerCueFromMetadataEvent = ({ startTime, endTime, payload }) => {
+  if (!payload) return null;
+  const isDateRange = payload.key === SPEAKER_DATERANGE_ATTRIBUTE;
+  const isId3 = payload.key === 'TXXX' && payload.description === SPEAKER_ID3_DESCRIPTION;
+  return isDateRange || isId3 ? cueFrom(startTime, endTime, payload.data) : null;
+};
+
+// Shaka `emsg` event detail.
+export const speakerCueFromEmsg = ({ schemeIdUri, startTime, endTime, messageData }) =>
+  (schemeIdUri === SPEAKER_SCHEME_ID ? cueFrom(startTime, endTime, messageData) : null);
+
+// Shaka `timelineregionadded` event detail (DASH EventStream).
+export const speakerCueFromTimelineRegion = ({ schemeIdUri, startTime, endTime, eventNode, eventElement }) => {
+  if (schemeIdUri !== SPEAKER_SCHEME_ID) return null;
+  const text = eventNode?.children?.filter(child => typeof child === 'string').join('')
+    ?? eventElement?.textContent;
+  return cueFrom(startTime, endTime, text);
+};
+
+export const isSameSpeaker = (a, b) => (a && b
+  ? a.source_type === b.source_type && a.source_idx === b.source_idx
+  : a === b);
+
+// Share of the canvas the speaker's regions cover in one regions API entry.
+const speakerShare = (entry, speaker) => {
+  const canvasArea = (entry.canvas_width || 1) * (entry.canvas_height || 1);
+  const area = (entry.regions || [])
+    .filter(region => isSameSpeaker(region, speaker))
+    .reduce((sum, region) => sum + region.width * region.height, 0);
+  return area / canvasArea;
+};
+
+/**
+ * The layout that puts `speaker` in focus: the one where their regions cover
+ * the largest share of the canvas. The current layout when it shows them as
+ * large as any other; null when no layout of the stream shows them.
+ */
+export const layoutForSpeaker = (allLayoutRegions, speaker, currentLayout, layouts) => {
+  if (!speaker) return null;
+  let best = null;
+  let currentShare = 0;
+  for (const entry of allLayoutRegions) {
+    const layout = findLayoutByName(layouts, entry.layout_name);
+    const share = layout ? speakerShare(entry, speaker) : 0;
+    if (share <= 0) continue;
+    if (layout.name === currentLayout) currentShare = share;
+    if (!best || share > best.share) best = { name: layout.name, share };
+  }
+  if (!best) return null;
+  return currentShare >= best.share ? currentLayout : best.name;
+};
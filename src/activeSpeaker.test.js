@@ -0,0 +1,64 @@
+import {
+  decodeSpeakerPayload,
+  speakerCueFromMetadataEvent,
+  speakerCueFromEmsg,
+  layoutForSpeaker,
+  SPEAKER_DATERANGE_ATTRIBUTE,
+  SPEAKER_SCHEME_ID,
+} from './activeSpeaker';
+
+const SPEAKER = { source_type: 'participant', source_idx: 2 };
+const LAYOUTS = [{ name: 'gallery' }, { name: 'speaker-1' }, { name: 'speaker-2' }];
+const LAYOUT_REGIONS = [
+  {
+    layout_name: 'gallery',
+    canvas_width: 1280,
+    canvas_height: 720,
+    regions: [
+      { source_type: 'participant', source_idx: 1, width: 640, height: 720, parent_layout_name: 'speaker-1' },
+      { source_type: 'participant', source_idx: 2, width: 640, height: 720, parent_layout_name: 'speaker-2' },
+    ],
+  },
+  // Speaker layouts show the other participant as a thumbnail that leads back to the gallery.
+  {
+    layout_name: 'speaker-1',
+    canvas_width: 1280,
+    canvas_height: 720,
+    regions: [
+      { source_type: 'participant', source_idx: 1, width: 1280, height: 720 },
+      { source_type: 'participant', source_idx: 2, width: 320, height: 180, parent_layout_name: 'gallery' },
+    ],
+  },
+  {
+    layout_name: 'speaker-2',
+    canvas_width: 1920,
+    canvas_height: 1080,
+    regions: [{ source_type: 'participant', source_idx: 2, width: 1920, height: 1080 }],
+  },
+];
+
+test('decodes speakers, nobody speaking and malformed payloads', () => {
+  expect(decodeSpeakerPayload(btoa(JSON.stringify(SPEAKER)))).toEqual(SPEAKER);
+  expect(decodeSpeakerPayload('{}')).toBeNull();
+  expect(decodeSpeakerPayload('{"source_type":"participant","source_idx":"2"}')).toBeUndefined();
+  expect(decodeSpeakerPayload('not json')).toBeUndefined();
+});
+
+test('reads speaker cues from DateRange and emsg and ignores other schemes', () => {
+  const data = JSON.stringify(SPEAKER);
+  expect(speakerCueFromMetadataEvent({ startTime: 4, endTime: null, payload: { key: SPEAKER_DATERANGE_ATTRIBUTE, data } }))
+    .toEqual({ speaker: SPEAKER, startTime: 4, endTime: Infinity });
+  expect(speakerCueFromMetadataEvent({ startTime: 4, payload: { key: 'X-LAYOUT-REGIONS', data } })).toBeNull();
+  expect(speakerCueFromEmsg({ schemeIdUri: SPEAKER_SCHEME_ID, startTime: 1, endTime: 3, messageData: '{}' }))
+    .toEqual({ speaker: null, startTime: 1, endTime: 3 });
+  expect(speakerCueFromEmsg({ schemeIdUri: 'urn:other', startTime: 1, endTime: 3, messageData: data })).toBeNull();
+});
+
+test('picks the layout showing the speaker largest and stays when already there', () => {
+  expect(layoutForSpeaker(LAYOUT_REGIONS, SPEAKER, 'gallery', LAYOUTS)).toBe('speaker-2');
+  expect(layoutForSpeaker(LAYOUT_REGIONS, SPEAKER, 'speaker-1', LAYOUTS)).toBe('speaker-2');
+  expect(layoutForSpeaker(LAYOUT_REGIONS, SPEAKER, 'speaker-2', LAYOUTS)).toBe('speaker-2');
+  expect(layoutForSpeaker(LAYOUT_REGIONS, SPEAKER, 'gallery', LAYOUTS.slice(0, 2))).toBe('gallery');
+  expect(layoutForSpeaker(LAYOUT_REGIONS, { source_type: 'participant', source_idx: 7 }, 'gallery', LAYOUTS)).toBeNull();
+  expect(layoutForSpeaker(LAYOUT_REGIONS, null, 'gallery', LAYOUTS)).toBeNull();
+});
@@ -0,0 +1,76 @@
+// --- API token generation ---
+// Tokens are issued by the API for a per-tab anonymous user, stored in sessionStorage
+// so reloads keep the same identity. Callers normally go through a token service.
+
+const generateRandomString = (length) => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+};
+
+// Requests a brand new token for the given environment.
+// `log` is a category logger ({ debug, info, warn, error }), see logger.js.
+export const generateToken = async (apiSettings, environmentName, log) => {
+  if (!apiSettings) throw new Error('Configuration is not loaded');
+
+  let id = sessionStorage.getItem('id') || generateRandomString(10);
+  let name = sessionStorage.getItem('name') || generateRandomString(8);
+  sessionStorage.setItem('id', id);
+  sessionStorage.setItem('name', name);
+  
+  
+  try {
+    log.info(`Attempting to generate authentication token (${environmentName})...`, { environment: environmentName });
+    
+    const response = await fetch(`${apiSettings.apiBaseUrl}/api/v1/misc/generate-token`, {
+      method: 'POST',
+      headers: { 
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      mode: 'cors', // Explicitly set CORS mode
+      credentials: 'omit', // Don't send credentials unless necessary
+      body: JSON.stringify({ 
+        apiKey: apiSettings.apiKey, 
+        user: { id, name, moderator: true } 
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    if (!data.token) {
+      throw new Error('No token received from server');
+    }
+    
+    log.info('Authentication token generated successfully');
+    return data.token;
+    
+  } catch (error) {
+    log.error(`Token generation failed: ${error.message}`, error);
+    
+    // Enhanced CORS error detection
+    if (error.message.includes('CORS') || 
+        error.message.includes('Failed to fetch') || 
+        error.message.includes('Network request failed') ||
+        error.name === 'TypeError') {
+      
+      log.warn('CORS Error detected. This usually means:');
+      log.warn('1. The server needs to allow your domain in CORS settings');
+      log.warn('2. Try running your React app from localhost instead');
+      log.warn('3. Contact the API provider to whitelist your domain');
+      
+      // Throw a specific CORS error
+      const corsError = new Error('CORS_ERROR: Unable to connect to API due to Cross-Origin restrictions');
+      corsError.isCorsError = true;
+      throw corsError;
+    }
+    
+    throw error;
+  }
+};
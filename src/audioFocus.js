@@ -0,0 +1,83 @@
+import { regionLabel } from './layoutSummary';
+
+// --- Per-participant audio ---
+// Besides the program mix, the packager can offer an audio rendition per
+// participant (their voice alone, or a mix emphasising them). Each is an
+// EXT-X-MEDIA TYPE=AUDIO entry naming its source the way regions do:
+//
+//   #EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Mix",DEFAULT=YES,URI="mix.m3u8"
+//   #EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Alice",X-SOURCE-TYPE="participant",X-SOURCE-IDX=2,URI="p2.m3u8"
+//
+// Without those attributes a NAME written like a region label
+// ("participant 3", counting from 1) names the source too; anything else is
+// a mix. Shaka lists the renditions as audio tracks by NAME (or DASH Label).
+//
+// Only one rendition plays at a time, so the mixer picks one: the soloed
+// source, else the mix. Muting a source silences the player while it would play.
+
+export const AUDIO_SOURCE_TYPE_ATTRIBUTE = 'X-SOURCE-TYPE';
+export const AUDIO_SOURCE_IDX_ATTRIBUTE = 'X-SOURCE-IDX';
+export const MIX_KEY = 'mix';
+
+export const DEFAULT_AUDIO_FOCUS = { solo: null, muted: [], followRegions: true };
+
+export const audioSourceKey = (source) => (source ? `${source.source_type}:${source.source_idx}` : MIX_KEY);
+
+// "participant 3" -> { source_type: 'participant', source_idx: 2 }
+const sourceFromLabel = (label) => {
+  const match = /^(\S+) (\d+)$/.exec(label?.trim() || '');
+  return match && Number(match[2]) > 0 ? { source_type: match[1].toLowerCase(), source_idx: Number(match[2]) - 1 } : null;
+};
+
+/** Source of an EXT-X-MEDIA entry (see m3u8.js), null for a mix. */
+export const audioSourceFromMedia = (media) => {
+  const attribute = (name) => media.attributes?.find(a => a.name === name)?.value;
+  const type = attribute(AUDIO_SOURCE_TYPE_ATTRIBUTE);
+  const idx = Number.parseInt(attribute(AUDIO_SOURCE_IDX_ATTRIBUTE), 10);
+  if (type && Number.isInteger(idx)) return { source_type: type, source_idx: idx };
+  return sourceFromLabel(media.name);
+};
+
+// Several tracks of one source (languages, codecs): the active one wins, then the primary one.
+const trackRank = (track) => (track.active ? 2 : Number(Boolean(track.primary)));
+
+const sourceLabel = (track, source) => {
+  if (!source) return 'Mix';
+  const label = regionLabel(source);
+  return track.label && track.label !== label ? `${track.label} (${label})` : label;
+};
+
+/**
+ * The audio sources of the playing layout, from Shaka's audio tracks and the
+ * layout's EXT-X-MEDIA entries: { key, source, label, track } with the mix
+ * first and one entry per source (the active track, else the primary one).
+ */
+export const listAudioSources = (audioTracks, layoutMedia = []) => {
+  const mediaByName = new Map(layoutMedia.filter(m => m.type === 'AUDIO').map(m => [m.name, m]));
+  const byKey = new Map();
+  for (const track of audioTracks) {
+    const media = mediaByName.get(track.label);
+    const source = media ? audioSourceFromMedia(media) : sourceFromLabel(track.label);
+    const key = audioSourceKey(source);
+    const existing = byKey.get(key);
+    if (existing && trackRank(existing.track) >= trackRank(track)) continue;
+    byKey.set(key, { key, source, label: sourceLabel(track, source), track });
+  }
+  return Array.from(byKey.values()).sort((a, b) => {
+    if (!a.source || !b.source) return a.source ? 1 : -1;
+    return a.source.source_type.localeCompare(b.source.source_type) || a.source.source_idx - b.source.source_idx;
+  });
+};
+
+/**
+ * What to play for a focus { solo, muted }: the soloed source if the layout
+ * has it, else the mix (else whatever comes first). `muted` when that source
+ * is muted. Null when there is no audio to choose from.
+ */
+export const chooseAudio = (sources, focus) => {
+  const target = sources.find(s => s.key === focus.solo)
+    || sources.find(s => s.key === MIX_KEY)
+    || sources[0];
+  if (!target) return null;
+  return { source: target, muted: focus.muted.includes(target.key), soloMissing: Boolean(focus.solo) && target.key !== focus.solo };
+};
@@ -0,0 +1,44 @@
+import { DEFAULT_AUDIO_FOCUS, audioSourceFromMedia, listAudioSources, chooseAudio } from './audioFocus';
+import { parseMasterPlaylist } from './m3u8';
+
+const MASTER = `#EXTM3U
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Mix",DEFAULT=YES,URI="mix.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Alice",X-SOURCE-TYPE="participant",X-SOURCE-IDX=2,URI="p2.m3u8"
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="participant 1",URI="p0.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=800000,AUDIO="aud"
+gallery/720p.m3u8
+`;
+
+const track = (label, extra = {}) => ({ label, language: 'en', active: false, primary: false, ...extra });
+
+test('reads the source of an audio rendition from its attributes or its name', () => {
+  const [mix, alice, first] = parseMasterPlaylist(MASTER, 'https://cdn.example.com/live/master.m3u8').media;
+  expect(audioSourceFromMedia(mix)).toBeNull();
+  expect(audioSourceFromMedia(alice)).toEqual({ source_type: 'participant', source_idx: 2 });
+  expect(audioSourceFromMedia(first)).toEqual({ source_type: 'participant', source_idx: 0 });
+});
+
+test('lists one entry per source, mix first, preferring the active track', () => {
+  const { media } = parseMasterPlaylist(MASTER, 'https://cdn.example.com/live/master.m3u8');
+  const sources = listAudioSources([
+    track('Alice'),
+    track('Mix', { primary: true }),
+    track('Mix', { language: 'de', active: true }),
+    track('participant 1'),
+  ], media);
+  expect(sources.map(s => [s.key, s.label])).toEqual([
+    ['mix', 'Mix'],
+    ['participant:0', 'participant 1'],
+    ['participant:2', 'Alice (participant 3)'],
+  ]);
+  expect(sources[0].track.language).toBe('de');
+});
+
+test('plays the soloed source if the layout has it, else the mix', () => {
+  const sources = listAudioSources([track('Mix'), track('participant 2')]);
+  expect(chooseAudio(sources, DEFAULT_AUDIO_FOCUS)).toMatchObject({ source: { key: 'mix' }, muted: false, soloMissing: false });
+  expect(chooseAudio(sources, { ...DEFAULT_AUDIO_FOCUS, solo: 'participant:1', muted: ['participant:1'] }))
+    .toMatchObject({ source: { key: 'participant:1' }, muted: true });
+  expect(chooseAudio(sources, { ...DEFAULT_AUDIO_FOCUS, solo: 'participant:5' })).toMatchObject({ source: { key: 'mix' }, soloMissing: true });
+  expect(chooseAudio([], DEFAULT_AUDIO_FOCUS)).toBeNull();
+});
@@ -0,0 +1,131 @@
+import { generateToken } from './apiToken';
+
+// --- Backends ---
+// Everything the player needs from a server besides the media itself: an API
+// token, the regions of each layout, and the stream ID those are looked up by.
+// A backend is a plain object:
+//
+//   {
+//     type,                            'sariska', 'static' or 'mock'
+//     requiresToken,                   false when getToken() has nothing to hand out
+//     getToken(),                      resolves to a token (or null)
+//     streamIdFor(manifestUrl),        ID used for region lookups and live events, or null
+//     getLayoutRegions(streamId, context),  resolves to regions API entries
+//     getLayouts(manifestUrl),         optional: layouts known without parsing a
+//                                      manifest (offline recordings, see offlineLibrary.js)
+//   }
+//
+// `context` is { manifestUrl, authProvider, fetchMedia }: the token service for
+// API calls and a fetch that authorizes like manifest requests do.
+
+export const BACKEND_TYPES = ['sariska', 'static', 'mock'];
+
+// Sidecar file read by the static backend, relative to the manifest.
+export const DEFAULT_REGIONS_FILE = 'layout-regions.json';
+
+// `<app>/<stream>` from .../hls/<app>/<stream>/... (or .../dash/...), as the Sariska API expects.
+export const streamPathFromUrl = (manifestUrl) => {
+  const urlParts = (manifestUrl || '').split('/');
+  const formatIndex = urlParts.findIndex(part => part === 'hls' || part === 'dash');
+  if (formatIndex === -1 || formatIndex + 2 >= urlParts.length) return null;
+  return `${urlParts[formatIndex + 1]}/${urlParts[formatIndex + 2]}`;
+};
+
+// Without an hls/dash segment, the directory of the manifest identifies the stream.
+const manifestDirectory = (manifestUrl) => {
+  try {
+    return new URL(manifestUrl).pathname.replace(/\/[^/]*$/, '').replace(/^\//, '') || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Regions come either as the API response ({ data: [...] }) or as the bare list.
+const regionEntries = (body) => {
+  const entries = Array.isArray(body) ? body : body?.data;
+  if (!Array.isArray(entries)) throw new Error('Layout regions are not a list');
+  return entries;
+};
+
+const SILENT_LOG = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Sariska API: tokens from /api/v1/misc/generate-token, regions from the SRS
+ * hook keyed by `<app>/<stream>`.
+ */
+export const createSariskaBackend = ({ apiBaseUrl, apiKey, environmentName, log = SILENT_LOG }) => ({
+  type: 'sariska',
+  requiresToken: true,
+  getToken: () => generateToken({ apiBaseUrl, apiKey }, environmentName, log),
+  streamIdFor: streamPathFromUrl,
+  getLayoutRegions: async (streamId, { authProvider }) => {
+    const response = await authProvider.fetchWithAuth(`${apiBaseUrl}/terraform/v1/hooks/srs/fetchAllLayoutRegions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      mode: 'cors',
+      body: JSON.stringify({ stream_path: streamId }),
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return regionEntries(await response.json());
+  },
+});
+
+/**
+ * Self-hosted packagers: regions are a JSON file published next to the
+ * manifest, no API and no token.
+ */
+export const createStaticBackend = ({ regionsFile = DEFAULT_REGIONS_FILE } = {}) => ({
+  type: 'static',
+  requiresToken: false,
+  getToken: async () => null,
+  streamIdFor: (manifestUrl) => streamPathFromUrl(manifestUrl) || manifestDirectory(manifestUrl),
+  getLayoutRegions: async (streamId, { manifestUrl, fetchMedia = fetch }) => {
+    const url = new URL(regionsFile, manifestUrl).toString();
+    const response = await fetchMedia(url);
+    // No sidecar just means the stream has no clickable regions.
+    if (response.status === 404) return [];
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status} (${url})`);
+    return regionEntries(await response.json());
+  },
+});
+
+/**
+ * In-memory backend for offline development and tests. `layoutRegions` is
+ * either one list for every stream or an object keyed by stream ID;
+ * setLayoutRegions swaps them at runtime (e.g. to exercise live updates).
+ */
+export const createMockBackend = ({ token = 'mock-token', layoutRegions = [], latencyMs = 0 } = {}) => {
+  let regions = layoutRegions;
+  const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), latencyMs));
+
+  return {
+    type: 'mock',
+    requiresToken: true,
+    getToken: () => later(token),
+    streamIdFor: (manifestUrl) => streamPathFromUrl(manifestUrl) || manifestDirectory(manifestUrl),
+    getLayoutRegions: (streamId) => later(Array.isArray(regions) ? regions : (regions[streamId] || [])),
+    setLayoutRegions: (next) => {
+      regions = next;
+    },
+  };
+};
+
+/**
+ * The backend described by the `backend` section of the runtime configuration.
+ * `apiSettings` is the resolved environment, which only the Sariska backend uses.
+ */
+export const createBackend = ({ config = {}, apiSettings, environmentName, log }) => {
+  switch (config.type || 'sariska') {
+    case 'static':
+      return createStaticBackend({ regionsFile: config.regionsFile });
+    case 'mock':
+      return createMockBackend({ layoutRegions: config.layoutRegions });
+    case 'sariska':
+      return apiSettings ? createSariskaBackend({ ...apiSettings, environmentName, log }) : null;
+    default:
+      throw new Error(`Unknown backend type "${config.type}"`);
+  }
+};
@@ -0,0 +1,69 @@
+import {
+  streamPathFromUrl,
+  createSariskaBackend,
+  createStaticBackend,
+  createMockBackend,
+  createBackend,
+} from './backends';
+
+const HLS_URL = 'https://cdn.example.com/hls/app/stream/master.m3u8';
+const SELF_HOSTED_URL = 'https://media.example.org/live/town-hall/master.m3u8?sig=1';
+
+const REGIONS = [{ layout_name: 'gallery', canvas_width: 1920, canvas_height: 1080, regions: [] }];
+
+const jsonResponse = (body, status = 200) => ({ ok: status >= 200 && status < 300, status, json: async () => body });
+
+test('derives the stream path from hls and dash URLs', () => {
+  expect(streamPathFromUrl(HLS_URL)).toBe('app/stream');
+  expect(streamPathFromUrl('https://cdn.example.com/dash/app/stream/manifest.mpd')).toBe('app/stream');
+  expect(streamPathFromUrl(SELF_HOSTED_URL)).toBeNull();
+});
+
+test('sariska backend posts the stream path to the regions hook', async () => {
+  const fetchWithAuth = jest.fn(async () => jsonResponse({ data: REGIONS }));
+  const backend = createSariskaBackend({ apiBaseUrl: 'https://api.example.com', apiKey: 'key' });
+
+  expect(backend.streamIdFor(HLS_URL)).toBe('app/stream');
+  await expect(backend.getLayoutRegions('app/stream', { authProvider: { fetchWithAuth } })).resolves.toEqual(REGIONS);
+  const [url, init] = fetchWithAuth.mock.calls[0];
+  expect(url).toBe('https://api.example.com/terraform/v1/hooks/srs/fetchAllLayoutRegions');
+  expect(JSON.parse(init.body)).toEqual({ stream_path: 'app/stream' });
+});
+
+test('static backend reads the sidecar next to the manifest', async () => {
+  const fetchMedia = jest.fn(async () => jsonResponse(REGIONS));
+  const backend = createStaticBackend();
+
+  expect(backend.requiresToken).toBe(false);
+  expect(backend.streamIdFor(SELF_HOSTED_URL)).toBe('live/town-hall');
+  await expect(backend.getLayoutRegions('live/town-hall', { manifestUrl: SELF_HOSTED_URL, fetchMedia })).resolves.toEqual(REGIONS);
+  expect(fetchMedia).toHaveBeenCalledWith('https://media.example.org/live/town-hall/layout-regions.json');
+});
+
+test('static backend treats a missing sidecar as no regions and rejects other failures', async () => {
+  const backend = createStaticBackend({ regionsFile: '../regions.json' });
+  const context = (response) => ({ manifestUrl: SELF_HOSTED_URL, fetchMedia: async () => response });
+
+  await expect(backend.getLayoutRegions('x', context(jsonResponse(null, 404)))).resolves.toEqual([]);
+  await expect(backend.getLayoutRegions('x', context(jsonResponse(null, 500)))).rejects.toThrow(/500.*live\/regions.json/);
+  await expect(backend.getLayoutRegions('x', context(jsonResponse({ layouts: [] })))).rejects.toThrow(/not a list/);
+});
+
+test('mock backend serves regions per stream and can change them', async () => {
+  const backend = createMockBackend({ layoutRegions: { 'app/stream': REGIONS } });
+
+  await expect(backend.getToken()).resolves.toBe('mock-token');
+  await expect(backend.getLayoutRegions('app/stream')).resolves.toEqual(REGIONS);
+  await expect(backend.getLayoutRegions('other/stream')).resolves.toEqual([]);
+  backend.setLayoutRegions([]);
+  await expect(backend.getLayoutRegions('app/stream')).resolves.toEqual([]);
+});
+
+test('builds the configured backend', () => {
+  const apiSettings = { apiBaseUrl: 'https://api.example.com', apiKey: 'key' };
+  expect(createBackend({ config: { type: 'sariska' }, apiSettings }).type).toBe('sariska');
+  expect(createBackend({ config: { type: 'sariska' }, apiSettings: null })).toBeNull();
+  expect(createBackend({ config: { type: 'static', regionsFile: 'r.json' } }).type).toBe('static');
+  expect(createBackend({ config: { type: 'mock', layoutRegions: REGIONS } }).type).toBe('mock');
+  expect(() => createBackend({ config: { type: 'ftp' } })).toThrow(/Unknown backend type/);
+});
@@ -0,0 +1,216 @@
+import { BACKEND_TYPES } from './backends';
+import { DEFAULT_DIRECTOR, directorProblems } from './director';
+import { isHttpUrl } from './deepLink';
+
+// --- Runtime configuration ---
+// Settings come from build-time REACT_APP_* variables and a `config.json`
+// served next to the app, which wins so one build can be deployed anywhere.
+// API keys are never part of the source; deployments supply them.
+//
+// {
+//   "environment": "production",
+//   "environments": {
+//     "production": { "apiBaseUrl": "...", "meetingHostUrl": "...", "apiKey": "..." }
+//   },
+//   "hostEnvironments": { "*.dev.example.com": "development" },
+//   "mediaAuth": { "mode": "none", "queryParam": "token" },
+//   "embed": { "allowedOrigins": ["https://partner.example.com", "https://*.example.org"] },
+//   "analytics": { "endpoint": "https://qoe.example.com/beacon", "batchSize": 20, "flushIntervalMs": 15000 },
+//   "logging": { "capacity": 1000 },
+//   "liveUpdates": { "pollIntervalMs": 10000, "eventsUrl": "https://events.example.com/live/{streamPath}" },
+//   "backend": { "type": "sariska" },
+//   "director": { "mode": "rotation", "intervalMs": 20000, "resumeAfterMs": 30000 }
+// }
+//
+// `backend.type` picks where tokens and regions come from (see backends.js):
+// "sariska" (the API of the selected environment), "static" (a `regionsFile`
+// next to the manifest, no API) or "mock" (in memory, optional `layoutRegions`).
+// `director` switches layouts automatically (see director.js); off without a mode.
+
+const MEDIA_AUTH_MODES = ['none', 'header', 'query'];
+
+const DEFAULT_CONFIG = {
+  environment: 'production',
+  environments: {},
+  hostEnvironments: {},
+  mediaAuth: { mode: 'none', queryParam: 'token' },
+  embed: { allowedOrigins: [] },
+  analytics: { endpoint: null, batchSize: 20, flushIntervalMs: 15000 },
+  logging: { capacity: 1000 },
+  liveUpdates: { pollIntervalMs: 10000, eventsUrl: null },
+  backend: { type: 'sariska' },
+  director: DEFAULT_DIRECTOR,
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const mergeConfig = (...sources) => sources.reduce((merged, source) => {
+  const result = { ...merged };
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeConfig(result[key], value) : value;
+  }
+  return result;
+}, {});
+
+const pickDefined = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+
+// Build-time settings describe a single environment (the selected one).
+export const configFromEnv = (env) => {
+  const config = {};
+  if (env.REACT_APP_ENVIRONMENT) config.environment = env.REACT_APP_ENVIRONMENT;
+
+  const settings = pickDefined({
+    apiBaseUrl: env.REACT_APP_API_BASE_URL,
+    meetingHostUrl: env.REACT_APP_MEETING_HOST_URL,
+    apiKey: env.REACT_APP_API_KEY,
+  });
+  if (Object.keys(settings).length > 0) {
+    config.environments = { [config.environment || DEFAULT_CONFIG.environment]: settings };
+  }
+
+  const mediaAuth = pickDefined({
+    mode: env.REACT_APP_MEDIA_AUTH_MODE,
+    queryParam: env.REACT_APP_MEDIA_AUTH_QUERY_PARAM,
+  });
+  if (Object.keys(mediaAuth).length > 0) config.mediaAuth = mediaAuth;
+
+  if (env.REACT_APP_EMBED_ALLOWED_ORIGINS) {
+    config.embed = { allowedOrigins: env.REACT_APP_EMBED_ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean) };
+  }
+  if (env.REACT_APP_ANALYTICS_ENDPOINT) config.analytics = { endpoint: env.REACT_APP_ANALYTICS_ENDPOINT };
+  if (env.REACT_APP_LOG_CAPACITY) config.logging = { capacity: Number(env.REACT_APP_LOG_CAPACITY) };
+  if (env.REACT_APP_LIVE_EVENTS_URL) config.liveUpdates = { eventsUrl: env.REACT_APP_LIVE_EVENTS_URL };
+  if (env.REACT_APP_BACKEND) config.backend = { type: env.REACT_APP_BACKEND };
+  return config;
+};
+
+// https://host[:port], optionally with a leading wildcard label; no path.
+const isOriginPattern = (value) => typeof value === 'string'
+  && /^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(value);
+
+const configError = (problems) => {
+  const error = new Error(`Invalid configuration: ${problems.join('; ')}`);
+  error.isConfigError = true;
+  error.problems = problems;
+  return error;
+};
+
+export const validateConfig = (config) => {
+  const problems = [];
+  const environments = config.environments || {};
+  const backend = config.backend || { type: 'sariska' };
+
+  if (!BACKEND_TYPES.includes(backend.type)) {
+    problems.push(`backend.type must be one of ${BACKEND_TYPES.join(', ')}`);
+  }
+  if (backend.regionsFile !== undefined && !(typeof backend.regionsFile === 'string' && backend.regionsFile)) {
+    problems.push('backend.regionsFile must be a file name or path relative to the manifest');
+  }
+  if (backend.layoutRegions !== undefined && !Array.isArray(backend.layoutRegions)) {
+    problems.push('backend.layoutRegions must be a list of regions API entries');
+  }
+
+  // Only the Sariska backend talks to the API; the others run without environments.
+  if (backend.type === 'sariska' && Object.keys(environments).length === 0) {
+    problems.push('no environments are configured (add them to config.json or set REACT_APP_API_BASE_URL/REACT_APP_API_KEY)');
+  }
+  if (backend.type === 'sariska' && !environments[config.environment]) {
+    problems.push(`selected environment "${config.environment}" is not defined`);
+  }
+
+  for (const [name, settings] of Object.entries(environments)) {
+    if (!isHttpUrl(settings.apiBaseUrl)) problems.push(`environments.${name}.apiBaseUrl is missing or not an http(s) URL`);
+    if (!settings.apiKey) problems.push(`environments.${name}.apiKey is missing`);
+    if (settings.meetingHostUrl && !isHttpUrl(settings.meetingHostUrl)) {
+      problems.push(`environments.${name}.meetingHostUrl is not an http(s) URL`);
+    }
+  }
+
+  for (const [host, name] of Object.entries(config.hostEnvironments || {})) {
+    if (!environments[name]) problems.push(`hostEnvironments["${host}"] refers to unknown environment "${name}"`);
+  }
+
+  if (!MEDIA_AUTH_MODES.includes(config.mediaAuth?.mode)) {
+    problems.push(`mediaAuth.mode must be one of ${MEDIA_AUTH_MODES.join(', ')}`);
+  }
+
+  const allowedOrigins = config.embed?.allowedOrigins ?? [];
+  if (!Array.isArray(allowedOrigins)) {
+    problems.push('embed.allowedOrigins must be a list of origins');
+  } else {
+    for (const origin of allowedOrigins) {
+      if (origin !== '*' && !isOriginPattern(origin)) {
+        problems.push(`embed.allowedOrigins entry "${origin}" is not an origin like https://example.com or https://*.example.com`);
+      }
+    }
+  }
+
+  const analytics = config.analytics || {};
+  if (analytics.endpoint && !isHttpUrl(analytics.endpoint) && !String(analytics.endpoint).startsWith('/')) {
+    problems.push('analytics.endpoint must be an http(s) URL or an absolute path');
+  }
+  for (const key of ['batchSize', 'flushIntervalMs']) {
+    if (analytics[key] !== undefined && !(Number.isInteger(analytics[key]) && analytics[key] > 0)) {
+      problems.push(`analytics.${key} must be a positive integer`);
+    }
+  }
+
+  const logCapacity = config.logging?.capacity;
+  if (logCapacity !== undefined && !(Number.isInteger(logCapacity) && logCapacity > 0)) {
+    problems.push('logging.capacity must be a positive integer');
+  }
+
+  const liveUpdates = config.liveUpdates || {};
+  if (liveUpdates.pollIntervalMs !== undefined && !(Number.isInteger(liveUpdates.pollIntervalMs) && liveUpdates.pollIntervalMs >= 0)) {
+    problems.push('liveUpdates.pollIntervalMs must be a non-negative integer (0 turns polling off)');
+  }
+  if (liveUpdates.eventsUrl && !isHttpUrl(liveUpdates.eventsUrl) && !String(liveUpdates.eventsUrl).startsWith('/')) {
+    problems.push('liveUpdates.eventsUrl must be an http(s) URL or an absolute path');
+  }
+
+  problems.push(...directorProblems(config.director));
+
+  if (problems.length > 0) throw configError(problems);
+  return config;
+};
+
+const hostMatches = (pattern, hostname) => (pattern.startsWith('*.')
+  ? hostname.endsWith(pattern.slice(1))
+  : hostname === pattern);
+
+// Environment to use for a stream: a matching host override, else the configured default.
+export const resolveEnvironmentName = (config, streamUrl) => {
+  let hostname = null;
+  try {
+    hostname = new URL(streamUrl).hostname;
+  } catch (e) {
+    return config.environment;
+  }
+  const match = Object.entries(config.hostEnvironments || {}).find(([pattern]) => hostMatches(pattern, hostname));
+  return match ? match[1] : config.environment;
+};
+
+// The dev server answers unknown paths with index.html, so only JSON counts as a config file.
+const fetchRuntimeConfig = async (url) => {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-store' });
+  } catch (e) {
+    throw configError([`could not fetch ${url}: ${e.message}`]);
+  }
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+  if (response.status === 404 || (response.ok && !isJson)) return {};
+  if (!response.ok) throw configError([`could not fetch ${url}: HTTP ${response.status}`]);
+
+  try {
+    return await response.json();
+  } catch (e) {
+    throw configError([`${url} is not valid JSON: ${e.message}`]);
+  }
+};
+
+export const loadConfig = async (env = process.env) => {
+  const url = env.REACT_APP_CONFIG_URL || `${env.PUBLIC_URL || ''}/config.json`;
+  const runtimeConfig = await fetchRuntimeConfig(url);
+  return validateConfig(mergeConfig(DEFAULT_CONFIG, configFromEnv(env), runtimeConfig));
+};
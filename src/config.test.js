@@ -0,0 +1,98 @@
+import { configFromEnv, validateConfig, resolveEnvironmentName, loadConfig } from './config';
+
+const CONFIG = {
+  environment: 'production',
+  environments: {
+    production: { apiBaseUrl: 'https://api.example.com', apiKey: 'prod-key' },
+    development: { apiBaseUrl: 'https://api.dev.example.com', apiKey: 'dev-key' },
+  },
+  hostEnvironments: { '*.dev.example.com': 'development', 'staging.example.com': 'development' },
+  mediaAuth: { mode: 'none' },
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('resolves per-host overrides and falls back to the selected environment', () => {
+  expect(resolveEnvironmentName(CONFIG, 'https://edge.dev.example.com/hls/a/b/master.m3u8')).toBe('development');
+  expect(resolveEnvironmentName(CONFIG, 'https://staging.example.com/master.m3u8')).toBe('development');
+  expect(resolveEnvironmentName(CONFIG, 'https://edge.example.com/master.m3u8')).toBe('production');
+  expect(resolveEnvironmentName(CONFIG, '')).toBe('production');
+});
+
+test('reports every missing or invalid value', () => {
+  let error;
+  try {
+    validateConfig({
+      environment: 'qa',
+      environments: { production: { apiBaseUrl: 'not a url' } },
+      hostEnvironments: { 'edge.example.com': 'staging' },
+      mediaAuth: { mode: 'cookie' },
+    });
+  } catch (e) {
+    error = e;
+  }
+  expect(error.isConfigError).toBe(true);
+  expect(error.problems).toHaveLength(5);
+});
+
+test('maps build-time variables onto the selected environment', () => {
+  expect(configFromEnv({
+    REACT_APP_ENVIRONMENT: 'development',
+    REACT_APP_API_BASE_URL: 'https://api.dev.example.com',
+    REACT_APP_API_KEY: 'dev-key',
+  })).toEqual({
+    environment: 'development',
+    environments: { development: { apiBaseUrl: 'https://api.dev.example.com', apiKey: 'dev-key' } },
+  });
+});
+
+test('validates embed origins and reads them from the build-time list', () => {
+  expect(configFromEnv({ REACT_APP_EMBED_ALLOWED_ORIGINS: 'https://a.example.com, https://*.b.example.com' }).embed)
+    .toEqual({ allowedOrigins: ['https://a.example.com', 'https://*.b.example.com'] });
+  expect(() => validateConfig({ ...CONFIG, embed: { allowedOrigins: ['https://a.example.com/path'] } }))
+    .toThrow(/embed.allowedOrigins/);
+});
+
+test('validates live update settings', () => {
+  expect(() => validateConfig({ ...CONFIG, liveUpdates: { pollIntervalMs: 0, eventsUrl: '/live-events/{streamPath}' } })).not.toThrow();
+  expect(() => validateConfig({ ...CONFIG, liveUpdates: { pollIntervalMs: -1 } })).toThrow(/liveUpdates.pollIntervalMs/);
+  expect(() => validateConfig({ ...CONFIG, liveUpdates: { eventsUrl: 'ftp://events' } })).toThrow(/liveUpdates.eventsUrl/);
+});
+
+test('validates the director settings', () => {
+  const schedule = [{ layout: 'gallery', durationMs: 30000 }];
+  expect(() => validateConfig({ ...CONFIG, director: { mode: null } })).not.toThrow();
+  expect(() => validateConfig({ ...CONFIG, director: { mode: 'schedule', schedule, resumeAfterMs: 0 } })).not.toThrow();
+  expect(() => validateConfig({ ...CONFIG, director: { mode: 'random' } })).toThrow(/director.mode/);
+  expect(() => validateConfig({ ...CONFIG, director: { mode: 'schedule', schedule: [] } })).toThrow(/director.schedule/);
+  expect(() => validateConfig({ ...CONFIG, director: { mode: 'schedule', schedule: [{ layout: 'gallery' }] } }))
+    .toThrow(/director.schedule\[0\].durationMs/);
+  expect(() => validateConfig({ ...CONFIG, director: { mode: 'rotation', intervalMs: 0 } })).toThrow(/director.intervalMs/);
+});
+
+test('only the sariska backend needs API environments', () => {
+  expect(() => validateConfig({ environment: 'production', mediaAuth: { mode: 'none' }, backend: { type: 'static' } })).not.toThrow();
+  expect(() => validateConfig({ environment: 'production', mediaAuth: { mode: 'none' }, backend: { type: 'sariska' } }))
+    .toThrow(/no environments are configured/);
+  expect(() => validateConfig({ ...CONFIG, backend: { type: 'mock', layoutRegions: {} } })).toThrow(/backend.layoutRegions/);
+  expect(() => validateConfig({ ...CONFIG, backend: { type: 'custom' } })).toThrow(/backend.type/);
+  expect(configFromEnv({ REACT_APP_BACKEND: 'mock' }).backend).toEqual({ type: 'mock' });
+});
+
+test('runtime config.json overrides build-time values', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve({ environments: { production: { apiKey: 'runtime-key' } } }),
+  });
+  const config = await loadConfig({
+    PUBLIC_URL: '/player',
+    REACT_APP_API_BASE_URL: 'https://api.example.com',
+    REACT_APP_API_KEY: 'build-key',
+  });
+  expect(global.fetch.mock.calls[0][0]).toBe('/player/config.json');
+  expect(config.environments.production).toEqual({ apiBaseUrl: 'https://api.example.com', apiKey: 'runtime-key' });
+});
@@ -0,0 +1,79 @@
+// --- Shareable deep links ---
+// Player state lives in the query string: ?stream=<manifest>&layout=<name>&t=<seconds>&abr=0
+// Anything that fails validation is dropped (and reported) instead of
+// blocking startup, so stale links still open the stream.
+
+const PARAMS = {
+  stream: 'stream',
+  layout: 'layout',
+  time: 't',
+  abr: 'abr',
+};
+
+// Accepts plain seconds ("750"), clock notation ("12:30", "1:02:30") or "1h2m30s".
+export const parseTimeParam = (value) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+
+  if (/^\d+(:\d{1,2}){1,2}$/.test(trimmed)) {
+    return trimmed.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+
+  const match = trimmed.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (match && (match[1] || match[2] || match[3])) {
+    return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2] || '0', 10) * 60) + parseFloat(match[3] || '0');
+  }
+  return null;
+};
+
+// Also how the config and the embed API check the URLs they are given.
+export const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+export const readDeepLink = (search) => {
+  const params = new URLSearchParams(search);
+  const link = { stream: null, layout: null, time: null, abr: null, errors: [] };
+
+  const stream = params.get(PARAMS.stream);
+  if (stream) {
+    if (isHttpUrl(stream)) link.stream = stream;
+    else link.errors.push(`Ignoring invalid stream URL in link: ${stream}`);
+  }
+
+  const layout = params.get(PARAMS.layout);
+  if (layout) link.layout = layout;
+
+  const time = params.get(PARAMS.time);
+  if (time) {
+    const seconds = parseTimeParam(time);
+    if (seconds !== null) link.time = seconds;
+    else link.errors.push(`Ignoring invalid playback position in link: ${time}`);
+  }
+
+  const abr = params.get(PARAMS.abr);
+  if (abr) {
+    if (abr === '0' || abr === '1') link.abr = abr === '1';
+    else link.errors.push(`Ignoring invalid abr value in link: ${abr}`);
+  }
+
+  return link;
+};
+
+// Rewrites only our own parameters, so unrelated query parameters survive.
+export const buildDeepLink = ({ stream, layout, time, abr }, href) => {
+  const url = new URL(href);
+  Object.values(PARAMS).forEach(name => url.searchParams.delete(name));
+
+  if (stream) url.searchParams.set(PARAMS.stream, stream);
+  if (stream && layout) url.searchParams.set(PARAMS.layout, layout);
+  if (stream && time > 0) url.searchParams.set(PARAMS.time, String(Math.floor(time)));
+  if (abr === false) url.searchParams.set(PARAMS.abr, '0');
+  return url.toString();
+};
@@ -0,0 +1,34 @@
+import { readDeepLink, buildDeepLink, parseTimeParam } from './deepLink';
+
+test('parses the supported playback position formats', () => {
+  expect(parseTimeParam('750')).toBe(750);
+  expect(parseTimeParam('12:30')).toBe(750);
+  expect(parseTimeParam('1:02:30')).toBe(3750);
+  expect(parseTimeParam('12m30s')).toBe(750);
+  expect(parseTimeParam('soon')).toBeNull();
+});
+
+test('round-trips player state through the query string', () => {
+  const href = buildDeepLink(
+    { stream: 'https://edge.example.com/hls/a/b/master.m3u8', layout: 'speaker', time: 750.4, abr: false },
+    'https://player.example.com/?theme=dark',
+  );
+  const url = new URL(href);
+  expect(url.searchParams.get('theme')).toBe('dark');
+  expect(readDeepLink(url.search)).toEqual({
+    stream: 'https://edge.example.com/hls/a/b/master.m3u8',
+    layout: 'speaker',
+    time: 750,
+    abr: false,
+    errors: [],
+  });
+});
+
+test('drops invalid parameters and reports them', () => {
+  const link = readDeepLink('?stream=javascript:alert(1)&t=later&abr=maybe&layout=gallery');
+  expect(link.stream).toBeNull();
+  expect(link.time).toBeNull();
+  expect(link.abr).toBeNull();
+  expect(link.layout).toBe('gallery');
+  expect(link.errors).toHaveLength(3);
+});
@@ -0,0 +1,93 @@
+// --- Auto-director ---
+// Switches layouts without a viewer, for kiosk and lobby screens. Three modes:
+//
+//   schedule        { "mode": "schedule", "loop": true,
+//                     "schedule": [{ "layout": "gallery", "durationMs": 30000 }, ...] }
+//   rotation        { "mode": "rotation", "layouts": ["gallery", "speaker"], "intervalMs": 20000 }
+//                   (every layout of the stream when `layouts` is left out)
+//   active-speaker  { "mode": "active-speaker", "minHoldMs": 5000 }
+//                   follows the in-stream speaker signals (see activeSpeaker.js)
+//
+// A layout change the director didn't make pauses it for `resumeAfterMs`
+// (0 keeps it paused until resumed by hand).
+
+export const DIRECTOR_MODES = ['schedule', 'rotation', 'active-speaker'];
+
+export const DEFAULT_DIRECTOR = {
+  mode: null,
+  schedule: [],
+  loop: true,
+  layouts: null,
+  intervalMs: 20000,
+  minHoldMs: 5000,
+  resumeAfterMs: 30000,
+};
+
+// Layout changes from these sources are the player's own, not the viewer's.
+export const SYSTEM_LAYOUT_SOURCES = ['initial', 'director', 'recovery', 'fallback'];
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/** Configuration problems of a `director` section, as messages. */
+export const directorProblems = (director) => {
+  if (!director || director.mode == null) return [];
+  const problems = [];
+  if (!DIRECTOR_MODES.includes(director.mode)) {
+    problems.push(`director.mode must be one of ${DIRECTOR_MODES.join(', ')}`);
+  }
+  if (director.mode === 'schedule') {
+    if (!Array.isArray(director.schedule) || director.schedule.length === 0) {
+      problems.push('director.schedule must list at least one { layout, durationMs } step');
+    } else {
+      director.schedule.forEach((step, i) => {
+        if (!step || typeof step.layout !== 'string' || !step.layout) problems.push(`director.schedule[${i}].layout must be a layout name`);
+        if (!isPositiveInteger(step?.durationMs)) problems.push(`director.schedule[${i}].durationMs must be a positive integer`);
+      });
+    }
+  }
+  if (director.layouts != null && !(Array.isArray(director.layouts) && director.layouts.every(name => typeof name === 'string'))) {
+    problems.push('director.layouts must be a list of layout names');
+  }
+  for (const key of ['intervalMs', 'minHoldMs']) {
+    if (director[key] !== undefined && !isPositiveInteger(director[key])) problems.push(`director.${key} must be a positive integer`);
+  }
+  if (director.resumeAfterMs !== undefined && !isNonNegativeInteger(director.resumeAfterMs)) {
+    problems.push('director.resumeAfterMs must be a non-negative integer (0 waits for a manual resume)');
+  }
+  return problems;
+};
+
+/** The `director` option with defaults filled in, or null when it is off. */
+export const normalizeDirector = (director) => {
+  if (!director || !DIRECTOR_MODES.includes(director.mode)) return null;
+  return { ...DEFAULT_DIRECTOR, ...director };
+};
+
+const stepAt = (settings, layoutNames, index) => {
+  if (settings.mode === 'schedule') {
+    const { schedule } = settings;
+    if (!settings.loop && index >= schedule.length) return null;
+    return schedule[index % schedule.length];
+  }
+  const rotation = settings.layouts || layoutNames;
+  return rotation.length > 0 ? { layout: rotation[index % rotation.length], durationMs: settings.intervalMs } : null;
+};
+
+/**
+ * The step to play at `index` or after it, skipping layouts that aren't
+ * playable: { index, layout, durationMs, skipped } where `skipped` are the
+ * layouts passed over. Null when the schedule has ended or nothing is playable.
+ */
+export const nextPlayableStep = (settings, layoutNames, playable, index) => {
+  const steps = settings.mode === 'schedule' ? settings.schedule.length : (settings.layouts || layoutNames).length;
+  const skipped = [];
+  for (let i = index; i < index + steps; i++) {
+    const step = stepAt(settings, layoutNames, i);
+    if (!step) return null;
+    const layout = layoutNames.find(name => name.toLowerCase() === step.layout.toLowerCase());
+    if (layout && playable(layout)) return { index: i, layout, durationMs: step.durationMs, skipped };
+    skipped.push(step.layout);
+  }
+  return null;
+};
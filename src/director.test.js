@@ -0,0 +1,39 @@
+import { directorProblems, normalizeDirector, nextPlayableStep, DEFAULT_DIRECTOR } from './director';
+
+const LAYOUT_NAMES = ['gallery', 'speaker', 'screen'];
+const everyLayout = () => true;
+
+test('is off without a known mode and fills in defaults otherwise', () => {
+  expect(normalizeDirector(null)).toBeNull();
+  expect(normalizeDirector({ mode: null })).toBeNull();
+  expect(normalizeDirector({ mode: 'random' })).toBeNull();
+  expect(normalizeDirector({ mode: 'rotation', intervalMs: 5000 })).toEqual({ ...DEFAULT_DIRECTOR, mode: 'rotation', intervalMs: 5000 });
+  expect(directorProblems({ mode: 'rotation', layouts: 'gallery', resumeAfterMs: -1 })).toEqual([
+    'director.layouts must be a list of layout names',
+    'director.resumeAfterMs must be a non-negative integer (0 waits for a manual resume)',
+  ]);
+});
+
+test('plays schedule steps in order, looping unless told not to', () => {
+  const schedule = [{ layout: 'Speaker', durationMs: 10000 }, { layout: 'gallery', durationMs: 5000 }];
+  const looping = normalizeDirector({ mode: 'schedule', schedule });
+  expect(nextPlayableStep(looping, LAYOUT_NAMES, everyLayout, 0)).toEqual({ index: 0, layout: 'speaker', durationMs: 10000, skipped: [] });
+  expect(nextPlayableStep(looping, LAYOUT_NAMES, everyLayout, 3)).toMatchObject({ index: 3, layout: 'gallery' });
+  expect(nextPlayableStep({ ...looping, loop: false }, LAYOUT_NAMES, everyLayout, 2)).toBeNull();
+});
+
+test('skips layouts that are missing or unavailable', () => {
+  const schedule = [{ layout: 'missing', durationMs: 1000 }, { layout: 'speaker', durationMs: 1000 }, { layout: 'gallery', durationMs: 1000 }];
+  const settings = normalizeDirector({ mode: 'schedule', schedule });
+  expect(nextPlayableStep(settings, LAYOUT_NAMES, name => name !== 'speaker', 0))
+    .toEqual({ index: 2, layout: 'gallery', durationMs: 1000, skipped: ['missing', 'speaker'] });
+  expect(nextPlayableStep(settings, LAYOUT_NAMES, () => false, 0)).toBeNull();
+});
+
+test('rotates through the listed layouts, or every layout of the stream', () => {
+  const all = normalizeDirector({ mode: 'rotation', intervalMs: 20000 });
+  expect([0, 1, 2, 3].map(i => nextPlayableStep(all, LAYOUT_NAMES, everyLayout, i).layout))
+    .toEqual(['gallery', 'speaker', 'screen', 'gallery']);
+  const listed = normalizeDirector({ mode: 'rotation', layouts: ['screen', 'speaker'] });
+  expect(nextPlayableStep(listed, LAYOUT_NAMES, everyLayout, 1)).toEqual({ index: 1, layout: 'speaker', durationMs: 20000, skipped: [] });
+});
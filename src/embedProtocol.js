@@ -0,0 +1,70 @@
+// --- Embed postMessage protocol ---
+// Host pages talk to an embedded player (iframe) with messages of the form
+//   { source: 'multi-layout-player', version: 1, type, requestId?, payload }
+// Commands flow host -> player and get a `response` with the same requestId;
+// events flow player -> host, but only for event types the host subscribed to.
+// public/embed.js wraps all of this in a <multi-layout-player> custom element.
+
+export const EMBED_MESSAGE_SOURCE = 'multi-layout-player';
+export const EMBED_PROTOCOL_VERSION = 1;
+
+export const EMBED_COMMANDS = ['load', 'selectLayout', 'play', 'pause', 'seek', 'getState', 'subscribe', 'unsubscribe'];
+export const EMBED_EVENTS = ['ready', 'layoutchange', 'regionclick', 'error'];
+
+export const createEmbedMessage = (type, payload = {}, requestId) => ({
+  source: EMBED_MESSAGE_SOURCE,
+  version: EMBED_PROTOCOL_VERSION,
+  type,
+  ...(requestId !== undefined ? { requestId } : {}),
+  payload,
+});
+
+// Returns the command carried by a message event's data, or null for anything
+// that is not ours. Messages from a newer protocol version are rejected with a
+// reason so the host can find out it needs a newer player.
+export const parseEmbedCommand = (data) => {
+  if (!data || typeof data !== 'object' || data.source !== EMBED_MESSAGE_SOURCE) return null;
+  if (data.version !== EMBED_PROTOCOL_VERSION) {
+    return { error: `Unsupported protocol version ${data.version} (player speaks ${EMBED_PROTOCOL_VERSION})`, requestId: data.requestId };
+  }
+  if (!EMBED_COMMANDS.includes(data.type)) {
+    return { error: `Unknown command "${data.type}"`, requestId: data.requestId };
+  }
+  const payload = data.payload && typeof data.payload === 'object' ? data.payload : {};
+  return { type: data.type, requestId: data.requestId, payload };
+};
+
+const originMatches = (pattern, origin) => {
+  if (pattern === '*') return true;
+  if (!pattern.includes('*.')) return pattern === origin;
+  // https://*.example.com matches any subdomain (not the bare domain) on that scheme/port.
+  const [scheme, rest] = pattern.split('://');
+  try {
+    const url = new URL(origin);
+    return url.protocol === `${scheme}:` && url.host.endsWith(rest.slice(1));
+  } catch (e) {
+    return false;
+  }
+};
+
+// Same-origin hosts are always allowed; everything else must be listed.
+export const isOriginAllowed = (origin, allowedOrigins = [], ownOrigin = window.location.origin) => {
+  if (!origin || origin === 'null') return false;
+  if (origin === ownOrigin) return true;
+  return allowedOrigins.some(pattern => originMatches(pattern, origin));
+};
+
+// Embed options from the iframe's query string, on top of the deep link parameters.
+export const readEmbedOptions = (search) => {
+  const params = new URLSearchParams(search);
+  const flag = (name, fallback) => {
+    const value = params.get(name);
+    return value === null ? fallback : value === '1' || value === 'true';
+  };
+  return {
+    muted: flag('muted', false),
+    autoplay: flag('autoplay', true),
+    showLayoutPicker: flag('picker', false),
+    showBreadcrumb: flag('breadcrumb', false),
+  };
+};
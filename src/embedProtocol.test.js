@@ -0,0 +1,31 @@
+import { createEmbedMessage, parseEmbedCommand, isOriginAllowed, readEmbedOptions } from './embedProtocol';
+
+test('parses our commands and ignores foreign messages', () => {
+  expect(parseEmbedCommand({ type: 'play' })).toBeNull();
+  expect(parseEmbedCommand('hello')).toBeNull();
+
+  const message = { ...createEmbedMessage('seek', { time: 12 }, 7) };
+  expect(parseEmbedCommand(message)).toEqual({ type: 'seek', requestId: 7, payload: { time: 12 } });
+
+  expect(parseEmbedCommand({ ...message, version: 2 }).error).toMatch(/version 2/);
+  expect(parseEmbedCommand({ ...message, type: 'eject' }).error).toMatch(/Unknown command/);
+});
+
+test('allows the own origin, listed origins and wildcard subdomains only', () => {
+  const allowed = ['https://partner.example.com', 'https://*.example.org'];
+  const own = 'https://player.example.net';
+
+  expect(isOriginAllowed(own, [], own)).toBe(true);
+  expect(isOriginAllowed('https://partner.example.com', allowed, own)).toBe(true);
+  expect(isOriginAllowed('https://news.example.org', allowed, own)).toBe(true);
+  expect(isOriginAllowed('https://example.org', allowed, own)).toBe(false);
+  expect(isOriginAllowed('http://news.example.org', allowed, own)).toBe(false);
+  expect(isOriginAllowed('https://evil-example.org', allowed, own)).toBe(false);
+  expect(isOriginAllowed('null', ['*'], own)).toBe(false);
+  expect(isOriginAllowed('https://anyone.test', ['*'], own)).toBe(true);
+});
+
+test('reads embed options with defaults', () => {
+  expect(readEmbedOptions('?embed=1')).toEqual({ muted: false, autoplay: true, showLayoutPicker: false, showBreadcrumb: false });
+  expect(readEmbedOptions('?muted=1&autoplay=0&picker=true')).toMatchObject({ muted: true, autoplay: false, showLayoutPicker: true });
+});
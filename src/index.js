@@ -2,12 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import EmbedApp from './EmbedApp';
 import reportWebVitals from './reportWebVitals';
 
+// `?embed=1` serves just the player for iframes (see public/embed.js).
+const isEmbed = new URLSearchParams(window.location.search).get('embed') === '1';
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {isEmbed ? <EmbedApp /> : <App />}
   </React.StrictMode>
 );
 
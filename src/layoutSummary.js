@@ -0,0 +1,14 @@
+// --- Per-layout summaries for pickers and overlays ---
+
+// How a region's participant is shown to viewers.
+export const regionLabel = (region) => `${region.source_type} ${region.source_idx + 1}`;
+
+// Region count and distinct participant labels of a layout, from the regions API data.
+export const summarizeLayout = (allLayoutRegions, layoutName) => {
+  const entry = allLayoutRegions.find(l => l.layout_name?.toLowerCase() === layoutName.toLowerCase());
+  const regions = entry?.regions || [];
+  return {
+    regionCount: regions.length,
+    participants: [...new Set(regions.filter(r => r.source_type).map(regionLabel))],
+  };
+};
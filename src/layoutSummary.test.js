@@ -0,0 +1,18 @@
+import { summarizeLayout } from './layoutSummary';
+
+test('counts regions and lists each participant once', () => {
+  const allLayoutRegions = [{
+    layout_name: 'Gallery',
+    regions: [
+      { source_type: 'camera', source_idx: 0 },
+      { source_type: 'camera', source_idx: 1 },
+      { source_type: 'camera', source_idx: 0 },
+      { source_type: 'screen', source_idx: 0 },
+    ],
+  }];
+  expect(summarizeLayout(allLayoutRegions, 'gallery')).toEqual({
+    regionCount: 4,
+    participants: ['camera 1', 'camera 2', 'screen 1'],
+  });
+  expect(summarizeLayout(allLayoutRegions, 'speaker')).toEqual({ regionCount: 0, participants: [] });
+});
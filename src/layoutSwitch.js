@@ -0,0 +1,107 @@
+// --- Layout switch state machine ---
+// A switch loads the target layout, retrying with backoff while failures look
+// like network trouble. When it still fails it returns to the last layout that
+// played (or any layout that hasn't failed yet), so the viewer never sits on a
+// dead player. Layouts that keep failing are marked unavailable. A newer
+// switch supersedes the running one.
+//
+// phase: 'idle' | 'loading' | 'retrying' | 'recovering' | 'failed'
+
+export const SWITCH_RETRY = { maxAttempts: 3, baseDelayMs: 1000, backoffFactor: 2, maxDelayMs: 8000 };
+// Failed switches (each after its retries) before a layout is marked unavailable.
+export const MAX_LAYOUT_FAILURES = 2;
+
+// Shaka error categories and codes, see shaka.util.Error.
+const NETWORK_CATEGORY = 1;
+const BAD_HTTP_STATUS = 1001;
+const LOAD_INTERRUPTED = 7000;
+const OPERATION_ABORTED = 7001;
+// Statuses worth another try; 4xx otherwise means the layout isn't there.
+const TRANSIENT_HTTP_STATUSES = [0, 408, 429];
+
+/** 'superseded' (another load took over), 'transient' (retry) or 'fatal'. */
+export const classifyLoadError = (error) => {
+  if (error?.code === LOAD_INTERRUPTED || error?.code === OPERATION_ABORTED) return 'superseded';
+  if (error?.category !== NETWORK_CATEGORY) return 'fatal';
+  if (error.code !== BAD_HTTP_STATUS) return 'transient';
+  const status = error.data?.[1];
+  return status >= 500 || TRANSIENT_HTTP_STATUSES.includes(status) ? 'transient' : 'fatal';
+};
+
+/** Wait before retry number `attempt` (1 for the first retry). */
+export const retryDelayMs = (attempt, { baseDelayMs, backoffFactor, maxDelayMs } = SWITCH_RETRY) =>
+  Math.min(baseDelayMs * backoffFactor ** (attempt - 1), maxDelayMs);
+
+/**
+ * Where to go after `failed` could not be loaded: the last layout that played,
+ * else the first one that hasn't failed in this session. Layouts that failed
+ * are never picked, so a run of failures ends instead of looping.
+ */
+export const pickRecoveryLayout = ({ layouts, failed, lastGood, failures }) => {
+  const usable = (name) => name && name !== failed && !failures[name];
+  if (usable(lastGood) && layouts.some(l => l.name === lastGood)) return lastGood;
+  return layouts.find(l => usable(l.name))?.name || null;
+};
+
+export const initialSwitchState = {
+  phase: 'idle',
+  target: null,
+  attempt: 0,
+  retryAt: null,
+  // Why the last switch didn't end where the viewer asked: { layout, message, recoveredTo }.
+  problem: null,
+  // layout name -> failed switches since it last played
+  failures: {},
+  unavailable: [],
+};
+
+export const switchReducer = (state, action) => {
+  switch (action.type) {
+    case 'start':
+      return {
+        ...state,
+        phase: action.recovering ? 'recovering' : 'loading',
+        target: action.target,
+        attempt: 1,
+        retryAt: null,
+        problem: action.recovering ? state.problem : null,
+      };
+    case 'retry':
+      return { ...state, phase: 'retrying', attempt: state.attempt + 1, retryAt: action.retryAt };
+    case 'attempt':
+      return { ...state, phase: state.problem ? 'recovering' : 'loading', retryAt: null };
+    case 'succeeded': {
+      const failures = { ...state.failures };
+      delete failures[state.target];
+      return { ...state, phase: 'idle', target: null, attempt: 0, retryAt: null, failures };
+    }
+    case 'failed': {
+      const count = (state.failures[state.target] || 0) + 1;
+      const unavailable = count >= MAX_LAYOUT_FAILURES && !state.unavailable.includes(state.target)
+        ? [...state.unavailable, state.target]
+        : state.unavailable;
+      return {
+        ...state,
+        phase: action.recoverTo ? 'recovering' : 'failed',
+        retryAt: null,
+        failures: { ...state.failures, [state.target]: count },
+        unavailable,
+        problem: { layout: state.target, message: action.message, recoveredTo: action.recoverTo || null },
+      };
+    }
+    case 'superseded':
+      return { ...state, phase: 'idle', target: null, attempt: 0, retryAt: null };
+    // Layouts republished by a live manifest get another chance.
+    case 'restore': {
+      const failures = { ...state.failures };
+      action.layouts.forEach(name => delete failures[name]);
+      return { ...state, failures, unavailable: state.unavailable.filter(name => !action.layouts.includes(name)) };
+    }
+    case 'dismiss':
+      return { ...state, problem: null };
+    case 'reset':
+      return initialSwitchState;
+    default:
+      return state;
+  }
+};
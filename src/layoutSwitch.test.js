@@ -0,0 +1,71 @@
+import {
+  MAX_LAYOUT_FAILURES,
+  classifyLoadError,
+  retryDelayMs,
+  pickRecoveryLayout,
+  initialSwitchState,
+  switchReducer,
+} from './layoutSwitch';
+
+const shakaError = (category, code, data = []) => ({ category, code, data, message: `Shaka Error ${code}` });
+
+const LAYOUTS = [{ name: 'gallery' }, { name: 'speaker' }, { name: 'screen' }];
+
+test('classifies Shaka load errors', () => {
+  expect(classifyLoadError(shakaError(7, 7000))).toBe('superseded');
+  expect(classifyLoadError(shakaError(1, 1003))).toBe('transient');
+  expect(classifyLoadError(shakaError(1, 1001, ['uri', 503]))).toBe('transient');
+  expect(classifyLoadError(shakaError(1, 1001, ['uri', 429]))).toBe('transient');
+  expect(classifyLoadError(shakaError(1, 1001, ['uri', 404]))).toBe('fatal');
+  expect(classifyLoadError(shakaError(4, 4001))).toBe('fatal');
+  expect(classifyLoadError(new Error('boom'))).toBe('fatal');
+});
+
+test('backs off exponentially up to a ceiling', () => {
+  expect([1, 2, 3, 4, 5].map(attempt => retryDelayMs(attempt))).toEqual([1000, 2000, 4000, 8000, 8000]);
+});
+
+test('recovers to the last good layout, else one that has not failed', () => {
+  expect(pickRecoveryLayout({ layouts: LAYOUTS, failed: 'screen', lastGood: 'speaker', failures: {} })).toBe('speaker');
+  expect(pickRecoveryLayout({ layouts: LAYOUTS, failed: 'gallery', lastGood: null, failures: {} })).toBe('speaker');
+  expect(pickRecoveryLayout({ layouts: LAYOUTS, failed: 'gallery', lastGood: 'speaker', failures: { speaker: 1 } })).toBe('screen');
+  expect(pickRecoveryLayout({ layouts: LAYOUTS, failed: 'gallery', lastGood: null, failures: { speaker: 1, screen: 1 } })).toBeNull();
+});
+
+test('goes through retries to success and forgets earlier failures', () => {
+  let state = { ...initialSwitchState, failures: { speaker: 1 } };
+  state = switchReducer(state, { type: 'start', target: 'speaker' });
+  expect(state).toMatchObject({ phase: 'loading', target: 'speaker', attempt: 1 });
+  state = switchReducer(state, { type: 'retry', retryAt: 123 });
+  expect(state).toMatchObject({ phase: 'retrying', attempt: 2, retryAt: 123 });
+  state = switchReducer(state, { type: 'attempt' });
+  expect(state.phase).toBe('loading');
+  state = switchReducer(state, { type: 'succeeded' });
+  expect(state).toMatchObject({ phase: 'idle', target: null, failures: {} });
+});
+
+test('records failures, recovers and marks layouts that keep failing unavailable', () => {
+  let state = initialSwitchState;
+  for (let i = 0; i < MAX_LAYOUT_FAILURES; i++) {
+    state = switchReducer(state, { type: 'start', target: 'screen' });
+    state = switchReducer(state, { type: 'failed', message: 'HTTP 404', recoverTo: 'gallery' });
+    expect(state.phase).toBe('recovering');
+    state = switchReducer(state, { type: 'start', target: 'gallery', recovering: true });
+    expect(state.problem).toEqual({ layout: 'screen', message: 'HTTP 404', recoveredTo: 'gallery' });
+    state = switchReducer(state, { type: 'succeeded' });
+  }
+  expect(state.unavailable).toEqual(['screen']);
+  expect(state.problem.recoveredTo).toBe('gallery');
+
+  state = switchReducer(state, { type: 'restore', layouts: ['screen'] });
+  expect(state.unavailable).toEqual([]);
+  expect(state.failures).toEqual({});
+  expect(switchReducer(state, { type: 'dismiss' }).problem).toBeNull();
+});
+
+test('fails for good when there is nowhere to go back to', () => {
+  let state = switchReducer(initialSwitchState, { type: 'start', target: 'gallery' });
+  state = switchReducer(state, { type: 'failed', message: 'decode error', recoverTo: null });
+  expect(state.phase).toBe('failed');
+  expect(state.problem.recoveredTo).toBeNull();
+});
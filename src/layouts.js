@@ -0,0 +1,163 @@
+import { parseMasterPlaylist, serializeMasterPlaylist } from './m3u8';
+import { parseMpd } from './mpd';
+
+// --- Layout discovery from the master manifest (HLS or DASH) ---
+
+export const HLS_MIME_TYPE = 'application/x-mpegurl';
+export const DASH_MIME_TYPE = 'application/dash+xml';
+
+export const findLayoutByName = (layouts, name) =>
+  (name ? layouts.find(l => l.name.toLowerCase() === name.toLowerCase()) : undefined);
+
+// Layout name for a variant: explicit NAME/VIDEO attributes first, then the
+// directory the variant playlist sits in relative to the master.
+const layoutNameFor = (entry, baseUrl) => {
+  if (entry.name || entry.video) return entry.name || entry.video;
+  const path = entry.uri.split(/[?#]/)[0];
+  const relative = path.startsWith(baseUrl) ? path.slice(baseUrl.length) : new URL(path).pathname;
+  const pathParts = relative.split('/').filter(Boolean);
+  return pathParts.length > 1 ? pathParts[pathParts.length - 2] : null;
+};
+
+const toDataUri = (playlistText) => `data:${HLS_MIME_TYPE},${encodeURIComponent(playlistText)}`;
+
+// Builds the playable entry for one layout: a master playlist synthesized
+// from just this layout's variants and the renditions they reference. A
+// variant URI is a media playlist as far as we know, so a layout is only
+// played from it directly when it has a single URI and nothing else (no
+// alternate renditions or I-frame streams) that the master would carry.
+const buildLayout = (name, variants, playlist, baseUrl) => {
+  const groupIds = new Set(variants.flatMap(v => [v.audio, v.video, v.subtitles, v.closedCaptions]).filter(Boolean));
+  const media = playlist.media.filter(m => groupIds.has(m.groupId));
+  const iFrameStreams = playlist.iFrameStreams.filter(s => layoutNameFor({ ...s, name: null }, baseUrl) === name
+    || (s.video && groupIds.has(s.video)));
+
+  const uris = new Set(variants.map(v => v.uri));
+  const masterUrl = uris.size === 1 && media.length === 0 && iFrameStreams.length === 0
+    ? variants[0].uri
+    : toDataUri(serializeMasterPlaylist({ sessionTags: playlist.sessionTags, media, variants, iFrameStreams }));
+
+  return {
+    name,
+    displayName: name,
+    masterUrl,
+    mimeType: HLS_MIME_TYPE,
+    variants: [...variants].sort((a, b) => a.bandwidth - b.bandwidth),
+    media,
+    iFrameStreams,
+  };
+};
+
+// Layouts of a DASH stream all play the original MPD; Shaka picks the layout's
+// adaptation set by its label.
+const buildDashLayout = ({ label, representations }, mpdUrl) => ({
+  name: label,
+  displayName: label,
+  masterUrl: mpdUrl,
+  mimeType: DASH_MIME_TYPE,
+  videoLabel: label,
+  variants: representations
+    .map(r => ({ id: r.id, uri: null, bandwidth: r.bandwidth, codecs: r.codecs, resolution: r.resolution }))
+    .sort((a, b) => a.bandwidth - b.bandwidth),
+  media: [],
+  iFrameStreams: [],
+});
+
+/**
+ * Whether a Shaka stream, by its originalId, is part of `layout`. Every
+ * stream of an HLS layout is; a DASH layout shares the manifest with the
+ * others and owns only its own representations (ids are comma-joined across
+ * periods).
+ */
+export const isLayoutStream = (layout, originalId) => {
+  if (!layout?.videoLabel) return true;
+  const ids = new Set(layout.variants.map(v => v.id));
+  return (originalId || '').split(',').some(id => ids.has(id));
+};
+
+// Content-Type first, then the extension, then a look at the document itself.
+export const detectManifestFormat = ({ contentType, url, text }) => {
+  const type = (contentType || '').toLowerCase();
+  if (type.includes('dash+xml')) return 'dash';
+  if (type.includes('mpegurl')) return 'hls';
+  const path = (url || '').split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith('.mpd')) return 'dash';
+  if (path.endsWith('.m3u8')) return 'hls';
+  const start = (text || '').trimStart();
+  if (start.startsWith('#EXTM3U')) return 'hls';
+  if (/<MPD[\s>]/.test(start.slice(0, 2048))) return 'dash';
+  return null;
+};
+
+// Sources to grab a layout thumbnail from, cheapest first: the lowest
+// rendition, then the layout's own master. I-frame playlists stay in the
+// master, where Shaka keeps them for trick play; loaded on their own they
+// would play as regular content. DASH layouts only have their MPD, and
+// layouts without playlists of their own (offline) play as a whole.
+export const thumbnailSources = (layout) => {
+  if (layout.mimeType === DASH_MIME_TYPE) {
+    return [{ uri: layout.masterUrl, mimeType: DASH_MIME_TYPE, videoLabel: layout.videoLabel }];
+  }
+  const lowest = layout.variants[0]?.uri;
+  const master = { uri: layout.masterUrl, mimeType: layout.mimeType };
+  return lowest && lowest !== layout.masterUrl ? [{ uri: lowest, mimeType: HLS_MIME_TYPE }, master] : [master];
+};
+
+const hlsLayouts = (manifestText, playlistUrl, log) => {
+  const playlist = parseMasterPlaylist(manifestText, playlistUrl);
+  playlist.warnings.forEach(warning => log.warn(`Manifest warning: ${warning}`));
+
+  const baseUrl = playlistUrl.split(/[?#]/)[0].replace(/[^/]*$/, '');
+  const layoutMap = new Map();
+  for (const variant of playlist.variants) {
+    const layoutName = layoutNameFor(variant, baseUrl);
+    if (!layoutName) {
+      log.warn(`Manifest warning: could not determine a layout for variant ${variant.uri}`, { uri: variant.uri });
+      continue;
+    }
+    if (!layoutMap.has(layoutName)) layoutMap.set(layoutName, []);
+    layoutMap.get(layoutName).push(variant);
+  }
+
+  return Array.from(layoutMap.entries())
+    .map(([name, variants]) => buildLayout(name, variants, playlist, baseUrl));
+};
+
+const dashLayouts = (manifestText, mpdUrl, log) => {
+  const mpd = parseMpd(manifestText, mpdUrl);
+  mpd.warnings.forEach(warning => log.warn(`Manifest warning: ${warning}`));
+  return mpd.videos.map(video => buildDashLayout(video, mpdUrl));
+};
+
+// `log` is a category logger ({ debug, info, warn, error }), see logger.js.
+export const parseManifestForLayouts = async (manifestUrl, log, fetchManifest = fetch) => {
+    try {
+      log.info('Fetching and parsing manifest...');
+      const response = await fetchManifest(manifestUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const manifestText = await response.text();
+      // Relative URIs resolve against the final URL in case the request was redirected.
+      const playlistUrl = response.url || manifestUrl;
+      const format = detectManifestFormat({ contentType: response.headers?.get('content-type'), url: playlistUrl, text: manifestText });
+      log.debug(`Manifest fetched. Parsing ${format || 'unknown'} manifest for layouts...`, { url: playlistUrl, bytes: manifestText.length, format });
+      if (!format) {
+        throw new Error('Unrecognized manifest format (expected an HLS master playlist or a DASH MPD)');
+      }
+
+      const layoutsArray = format === 'dash'
+        ? dashLayouts(manifestText, playlistUrl, log)
+        : hlsLayouts(manifestText, playlistUrl, log);
+
+      layoutsArray.sort((a, b) => a.name.localeCompare(b.name));
+      log.info(`Parsed ${layoutsArray.length} layouts: ${layoutsArray.map(l => `${l.name} (${l.variants.length} variants)`).join(', ')}`, {
+        format,
+        layouts: layoutsArray.map(l => ({ name: l.name, variants: l.variants.length, bandwidths: l.variants.map(v => v.bandwidth) })),
+      });
+      return layoutsArray;
+    } catch (error) {
+      log.error(`Error parsing manifest: ${error.message}`, error);
+      throw error;
+    }
+};
@@ -0,0 +1,135 @@
+import {
+  parseManifestForLayouts,
+  findLayoutByName,
+  thumbnailSources,
+  detectManifestFormat,
+  isLayoutStream,
+  HLS_MIME_TYPE,
+  DASH_MIME_TYPE,
+} from './layouts';
+
+const MASTER_URL = 'https://cdn.example.com/hls/app/stream/master.m3u8';
+
+const MASTER = [
+  '#EXTM3U',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720',
+  'gallery/720p.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+  'gallery/360p.m3u8',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720',
+  'speaker/index.m3u8',
+].join('\n');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+const respond = (text, contentType = null) => async (url) => ({
+  ok: true,
+  url,
+  headers: { get: (name) => (name === 'content-type' ? contentType : null) },
+  text: async () => text,
+});
+
+const MPD_URL = 'https://cdn.example.com/dash/app/stream/manifest.mpd';
+
+const MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="dynamic" availabilityStartTime="2026-01-01T00:00:00Z">
+  <Period id="p0">
+    <AdaptationSet id="1" contentType="video" width="1280" height="720">
+      <Label>speaker</Label>
+      <Representation id="speaker-720" bandwidth="2500000" codecs="avc1.64001f"/>
+    </AdaptationSet>
+    <AdaptationSet id="2" contentType="video">
+      <Label>gallery</Label>
+      <Representation id="gallery-720" bandwidth="2500000" width="1280" height="720"/>
+      <Representation id="gallery-360" bandwidth="800000" width="640" height="360"/>
+    </AdaptationSet>
+    <AdaptationSet id="3" contentType="audio">
+      <Representation id="audio" bandwidth="128000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+test('groups variants into layouts by directory', async () => {
+  const layouts = await parseManifestForLayouts(MASTER_URL, log, respond(MASTER));
+
+  expect(layouts.map(l => l.name)).toEqual(['gallery', 'speaker']);
+  const [gallery, speaker] = layouts;
+  expect(gallery.variants.map(v => v.bandwidth)).toEqual([800000, 2500000]);
+  expect(gallery.masterUrl).toMatch(/^data:application\/x-mpegurl,/);
+  expect(decodeURIComponent(gallery.masterUrl)).toContain('https://cdn.example.com/hls/app/stream/gallery/360p.m3u8');
+  expect(speaker.masterUrl).toBe('https://cdn.example.com/hls/app/stream/speaker/index.m3u8');
+  expect(speaker.mimeType).toBe(HLS_MIME_TYPE);
+  expect(findLayoutByName(layouts, 'SPEAKER')).toBe(speaker);
+});
+
+test('keeps the audio group of a single-variant layout in a synthesized master', async () => {
+  const master = [
+    '#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Mix",DEFAULT=YES,URI="audio/mix.m3u8"',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720,AUDIO="aud"',
+    'speaker/index.m3u8',
+  ].join('\n');
+  const [speaker] = await parseManifestForLayouts(MASTER_URL, log, respond(master));
+
+  expect(speaker.media.map(m => m.name)).toEqual(['Mix']);
+  expect(speaker.masterUrl).toMatch(/^data:application\/x-mpegurl,/);
+  const playlist = decodeURIComponent(speaker.masterUrl);
+  expect(playlist).toContain('#EXT-X-MEDIA:TYPE=AUDIO');
+  expect(playlist).toContain('https://cdn.example.com/hls/app/stream/audio/mix.m3u8');
+  expect(playlist).toContain('https://cdn.example.com/hls/app/stream/speaker/index.m3u8');
+});
+
+test('takes thumbnails from the lowest rendition, then the master carrying the I-frame playlists', () => {
+  const layout = {
+    masterUrl: 'gallery/master.m3u8',
+    mimeType: HLS_MIME_TYPE,
+    variants: [{ uri: 'low.m3u8', bandwidth: 300000 }, { uri: 'high.m3u8', bandwidth: 2500000 }],
+    iFrameStreams: [{ uri: 'iframes.m3u8', bandwidth: 80000 }],
+  };
+  expect(thumbnailSources(layout)).toEqual([
+    { uri: 'low.m3u8', mimeType: HLS_MIME_TYPE },
+    { uri: 'gallery/master.m3u8', mimeType: HLS_MIME_TYPE },
+  ]);
+  expect(thumbnailSources({ ...layout, masterUrl: 'low.m3u8', iFrameStreams: [] })).toEqual([{ uri: 'low.m3u8', mimeType: HLS_MIME_TYPE }]);
+});
+
+test('reports HTTP failures', async () => {
+  const fetchManifest = async () => ({ ok: false, status: 404 });
+  await expect(parseManifestForLayouts(MASTER_URL, log, fetchManifest)).rejects.toThrow(/404/);
+});
+
+test('turns labelled DASH adaptation sets into layouts that play the original MPD', async () => {
+  const layouts = await parseManifestForLayouts(MPD_URL, log, respond(MPD));
+
+  expect(layouts.map(l => l.name)).toEqual(['gallery', 'speaker']);
+  const [gallery, speaker] = layouts;
+  expect(gallery).toMatchObject({ masterUrl: MPD_URL, mimeType: DASH_MIME_TYPE, videoLabel: 'gallery' });
+  expect(gallery.variants.map(v => [v.id, v.bandwidth, v.resolution.height])).toEqual([
+    ['gallery-360', 800000, 360],
+    ['gallery-720', 2500000, 720],
+  ]);
+  expect(speaker.variants[0].resolution).toEqual({ width: 1280, height: 720 });
+  expect(thumbnailSources(speaker)).toEqual([{ uri: MPD_URL, mimeType: DASH_MIME_TYPE, videoLabel: 'speaker' }]);
+});
+
+test('detects the manifest format by content type, extension, then content', () => {
+  expect(detectManifestFormat({ contentType: 'application/dash+xml', url: 'https://x/master.m3u8' })).toBe('dash');
+  expect(detectManifestFormat({ contentType: 'application/vnd.apple.mpegurl', url: 'https://x/live.mpd' })).toBe('hls');
+  expect(detectManifestFormat({ contentType: 'text/plain', url: 'https://x/live.mpd?token=1' })).toBe('dash');
+  expect(detectManifestFormat({ url: 'https://x/manifest', text: MASTER })).toBe('hls');
+  expect(detectManifestFormat({ url: 'https://x/manifest', text: MPD })).toBe('dash');
+  expect(detectManifestFormat({ url: 'https://x/manifest', text: '<html></html>' })).toBeNull();
+});
+
+test('rejects manifests of an unknown format', async () => {
+  await expect(parseManifestForLayouts('https://x/manifest', log, respond('<html></html>', 'text/html')))
+    .rejects.toThrow(/Unrecognized manifest format/);
+});
+
+test('matches Shaka streams to the DASH layout that owns them', () => {
+  const layout = { videoLabel: 'gallery', variants: [{ id: 'gallery-720' }, { id: 'gallery-360' }] };
+  expect(isLayoutStream(layout, 'gallery-360')).toBe(true);
+  expect(isLayoutStream(layout, 'p0-speaker,gallery-720')).toBe(true);
+  expect(isLayoutStream(layout, 'speaker-720')).toBe(false);
+  expect(isLayoutStream({ variants: [] }, 'anything')).toBe(true);
+});
@@ -0,0 +1,63 @@
+// --- Live layout updates ---
+// Participants joining or leaving a live meeting add and remove layouts and
+// move regions around. The player re-reads the master playlist and the regions
+// API (on a timer, or when a push channel says so) and applies only what
+// changed, so the layout on screen keeps playing.
+
+export const DEFAULT_LIVE_POLL_INTERVAL_MS = 10000;
+
+// What has to match for a re-parsed layout to count as unchanged.
+const layoutSignature = (layout) => JSON.stringify([
+  layout.masterUrl,
+  layout.variants.map(v => [v.uri, v.id, v.bandwidth, v.resolution]),
+]);
+
+const regionsKey = (entry) => entry.layout_name?.toLowerCase();
+
+const diffBy = (previous, next, keyOf, signatureOf) => {
+  const before = new Map(previous.map(item => [keyOf(item), item]));
+  const after = new Map(next.map(item => [keyOf(item), item]));
+  return {
+    added: next.filter(item => !before.has(keyOf(item))).map(keyOf),
+    removed: previous.filter(item => !after.has(keyOf(item))).map(keyOf),
+    changed: next
+      .filter(item => before.has(keyOf(item)) && signatureOf(before.get(keyOf(item))) !== signatureOf(item))
+      .map(keyOf),
+  };
+};
+
+export const hasChanges = (diff) => diff.added.length + diff.removed.length + diff.changed.length > 0;
+
+/** Layout names added, removed and changed between two parses of the master playlist. */
+export const diffLayouts = (previous, next) => diffBy(previous, next, l => l.name, layoutSignature);
+
+/** Same for fetchAllLayoutRegions results, keyed by lower-case layout_name. */
+export const diffLayoutRegions = (previous, next) => diffBy(previous, next, regionsKey, entry => JSON.stringify(entry));
+
+// The new list, keeping the previous objects for unchanged layouts so
+// anything holding on to them (preloads, memoized lookups) stays valid.
+export const mergeLayouts = (previous, next) => {
+  const before = new Map(previous.map(l => [l.name, l]));
+  return next.map((layout) => {
+    const old = before.get(layout.name);
+    return old && layoutSignature(old) === layoutSignature(layout) ? old : layout;
+  });
+};
+
+/**
+ * Where to go when the current layout is gone: the most recent earlier layout
+ * in `trail` (oldest first) that still exists, else the first layout.
+ */
+export const pickFallbackLayout = (layouts, trail) => {
+  const names = new Set(layouts.map(l => l.name));
+  const previous = [...trail].reverse().find(name => names.has(name));
+  return previous || layouts[0]?.name || null;
+};
+
+// Fills `{streamPath}` in a push channel URL template.
+export const liveEventsUrl = (template, streamPath) => template.replace('{streamPath}', encodeURIComponent(streamPath || ''));
+
+export const describeDiff = (diff) => ['added', 'removed', 'changed']
+  .filter(kind => diff[kind].length > 0)
+  .map(kind => `${kind} ${diff[kind].join(', ')}`)
+  .join('; ');
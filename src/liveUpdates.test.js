@@ -0,0 +1,49 @@
+import { diffLayouts, diffLayoutRegions, hasChanges, mergeLayouts, pickFallbackLayout, liveEventsUrl } from './liveUpdates';
+
+const layout = (name, uris, bandwidth = 800000) => ({
+  name,
+  masterUrl: uris.length === 1 ? uris[0] : `data:${uris.join(',')}`,
+  variants: uris.map(uri => ({ uri, bandwidth, resolution: null })),
+});
+
+test('reports added, removed and changed layouts and keeps unchanged objects', () => {
+  const gallery = layout('gallery', ['gallery/360p.m3u8', 'gallery/720p.m3u8']);
+  const speaker = layout('speaker', ['speaker/index.m3u8']);
+  const previous = [gallery, speaker];
+  const next = [
+    layout('gallery', ['gallery/360p.m3u8', 'gallery/720p.m3u8']),
+    layout('screen', ['screen/index.m3u8']),
+    layout('speaker', ['speaker/index.m3u8'], 1200000),
+  ];
+
+  const diff = diffLayouts(previous, next);
+  expect(diff).toEqual({ added: ['screen'], removed: [], changed: ['speaker'] });
+  expect(hasChanges(diff)).toBe(true);
+  expect(hasChanges(diffLayouts(previous, [...previous]))).toBe(false);
+
+  const merged = mergeLayouts(previous, next);
+  expect(merged[0]).toBe(gallery);
+  expect(merged[2]).toBe(next[2]);
+  expect(diffLayouts(next, [next[0]]).removed).toEqual(['screen', 'speaker']);
+});
+
+test('compares region sets by layout name and geometry', () => {
+  const previous = [
+    { layout_name: 'Gallery', canvas_width: 1920, canvas_height: 1080, regions: [{ x: 0, y: 0, width: 960, height: 1080 }] },
+    { layout_name: 'speaker', regions: [] },
+  ];
+  const next = [
+    { layout_name: 'gallery', canvas_width: 1920, canvas_height: 1080, regions: [{ x: 0, y: 0, width: 960, height: 1080 }] },
+    { layout_name: 'speaker', regions: [{ x: 0, y: 0, width: 1920, height: 1080 }] },
+  ];
+  expect(diffLayoutRegions(previous, next)).toEqual({ added: [], removed: [], changed: ['gallery', 'speaker'] });
+  expect(hasChanges(diffLayoutRegions(next, JSON.parse(JSON.stringify(next))))).toBe(false);
+});
+
+test('falls back to the most recent layout that still exists', () => {
+  const layouts = [layout('gallery', ['g.m3u8']), layout('speaker', ['s.m3u8'])];
+  expect(pickFallbackLayout(layouts, ['gallery', 'speaker', 'screen'])).toBe('speaker');
+  expect(pickFallbackLayout(layouts, ['screen'])).toBe('gallery');
+  expect(pickFallbackLayout([], ['gallery'])).toBe(null);
+  expect(liveEventsUrl('/events/{streamPath}', 'app/stream')).toBe('/events/app%2Fstream');
+});
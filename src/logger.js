@@ -0,0 +1,115 @@
+// --- Structured logging ---
+// Every entry has a level, a category, a message and an optional payload, and
+// is kept in a fixed-size ring buffer so long sessions keep their recent
+// history without growing without bound. The log console renders the buffer
+// and can export it (JSON or NDJSON) for bug reports.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_CATEGORIES = ['auth', 'manifest', 'regions', 'player', 'abr', 'audio', 'layout', 'director', 'embed', 'offline', 'app'];
+
+export const DEFAULT_LOG_CAPACITY = 1000;
+
+// Payloads go to JSON as-is, except errors (which stringify to {}) and cycles.
+// An object referenced twice is only a cycle when it contains itself, so only
+// the objects on the path down to the value count.
+const serializablePayload = (data) => {
+  if (data === undefined) return undefined;
+  const ancestors = [];
+  return JSON.parse(JSON.stringify(data, function replacer(key, value) {
+    const result = value instanceof Error ? { name: value.name, message: value.message, code: value.code } : value;
+    if (!result || typeof result !== 'object') return result;
+    // `this` holds the value; whatever sits above it on the stack was a sibling, now done.
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) ancestors.pop();
+    if (ancestors.includes(result)) return '[Circular]';
+    ancestors.push(result);
+    return result;
+  }));
+};
+
+// Writes to the browser console; also the fallback when nobody collects logs.
+export const consoleWrite = (level, category, message, data) => {
+  const args = data === undefined ? [] : [data];
+  (console[level] || console.log)(`[${category}] ${message}`, ...args);
+};
+
+// Binds a category to a write(level, category, message, data) function.
+export const categoryLogger = (write, category) => ({
+  debug: (message, data) => write('debug', category, message, data),
+  info: (message, data) => write('info', category, message, data),
+  warn: (message, data) => write('warn', category, message, data),
+  error: (message, data) => write('error', category, message, data),
+});
+
+export const createLogger = ({
+  capacity = DEFAULT_LOG_CAPACITY,
+  mirrorToConsole = true,
+  now = () => Date.now(),
+} = {}) => {
+  let entries = [];
+  let maxEntries = capacity;
+  let nextId = 1;
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener(entries));
+
+  const write = (level, category, message, data) => {
+    const entry = {
+      id: nextId++,
+      time: now(),
+      level: LOG_LEVELS.includes(level) ? level : 'info',
+      category,
+      message,
+      data: serializablePayload(data),
+    };
+    // A new array per write so subscribers can compare by identity.
+    entries = entries.length >= maxEntries
+      ? [...entries.slice(entries.length - maxEntries + 1), entry]
+      : [...entries, entry];
+    if (mirrorToConsole) consoleWrite(entry.level, category, message, data);
+    notify();
+    return entry;
+  };
+
+  return {
+    write,
+    forCategory: (category) => categoryLogger(write, category),
+    getEntries: () => entries,
+    getCapacity: () => maxEntries,
+    setCapacity(value) {
+      maxEntries = Math.max(1, value);
+      if (entries.length > maxEntries) entries = entries.slice(entries.length - maxEntries);
+      // Subscribers show the capacity too, so they hear about it even when nothing was trimmed.
+      notify();
+    },
+    clear() {
+      entries = [];
+      notify();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Entries at or above `minLevel`, in one of `categories` (all when empty),
+ * whose message or payload contains `search` (case-insensitive).
+ */
+export const filterEntries = (entries, { minLevel = 'debug', categories = [], search = '' } = {}) => {
+  const minIndex = LOG_LEVELS.indexOf(minLevel);
+  const needle = search.trim().toLowerCase();
+  return entries.filter((entry) => {
+    if (LOG_LEVELS.indexOf(entry.level) < minIndex) return false;
+    if (categories.length > 0 && !categories.includes(entry.category)) return false;
+    if (!needle) return true;
+    if (entry.message.toLowerCase().includes(needle)) return true;
+    return entry.data !== undefined && JSON.stringify(entry.data).toLowerCase().includes(needle);
+  });
+};
+
+const exportable = ({ id, time, ...rest }) => ({ time: new Date(time).toISOString(), ...rest });
+
+export const entriesToJson = (entries) => JSON.stringify(entries.map(exportable), null, 2);
+
+export const entriesToNdjson = (entries) => entries.map(entry => JSON.stringify(exportable(entry))).join('\n') + '\n';
@@ -0,0 +1,53 @@
+import { createLogger, filterEntries, entriesToNdjson } from './logger';
+
+const quietLogger = (options) => createLogger({ mirrorToConsole: false, now: () => 0, ...options });
+
+test('keeps only the newest entries and serializes error payloads', () => {
+  const logger = quietLogger({ capacity: 3 });
+  const player = logger.forCategory('player');
+  ['a', 'b', 'c', 'd'].forEach(message => player.info(message));
+  player.error('failed', new Error('boom'));
+
+  expect(logger.getEntries().map(e => e.message)).toEqual(['c', 'd', 'failed']);
+  expect(logger.getEntries()[2]).toMatchObject({ level: 'error', category: 'player', data: { name: 'Error', message: 'boom' } });
+
+  logger.setCapacity(1);
+  expect(logger.getEntries().map(e => e.message)).toEqual(['failed']);
+});
+
+test('marks cycles in payloads but writes shared objects out each time', () => {
+  const logger = quietLogger();
+  const region = { x: 0, y: 0 };
+  const layout = { name: 'grid', regions: [region, region] };
+  layout.self = layout;
+  logger.write('info', 'regions', 'Regions', { layout, hovered: region });
+
+  expect(logger.getEntries()[0].data).toEqual({
+    layout: { name: 'grid', regions: [{ x: 0, y: 0 }, { x: 0, y: 0 }], self: '[Circular]' },
+    hovered: { x: 0, y: 0 },
+  });
+});
+
+test('filters by minimum level, category and text in message or payload', () => {
+  const logger = quietLogger();
+  logger.write('debug', 'abr', 'Adaptation', { height: 720 });
+  logger.write('warn', 'manifest', 'Manifest warning: no BANDWIDTH');
+  logger.write('error', 'auth', 'Token generation failed');
+  const entries = logger.getEntries();
+
+  expect(filterEntries(entries, { minLevel: 'warn' }).map(e => e.category)).toEqual(['manifest', 'auth']);
+  expect(filterEntries(entries, { categories: ['abr', 'auth'] }).map(e => e.category)).toEqual(['abr', 'auth']);
+  expect(filterEntries(entries, { search: '720' }).map(e => e.category)).toEqual(['abr']);
+  expect(filterEntries(entries, { search: 'TOKEN' }).map(e => e.category)).toEqual(['auth']);
+});
+
+test('exports one JSON object per line', () => {
+  const logger = quietLogger();
+  logger.write('info', 'app', 'one');
+  logger.write('info', 'app', 'two', { n: 2 });
+  const lines = entriesToNdjson(logger.getEntries()).trim().split('\n').map(line => JSON.parse(line));
+  expect(lines).toEqual([
+    { time: '1970-01-01T00:00:00.000Z', level: 'info', category: 'app', message: 'one' },
+    { time: '1970-01-01T00:00:00.000Z', level: 'info', category: 'app', message: 'two', data: { n: 2 } },
+  ]);
+});
@@ -0,0 +1,270 @@
+// --- HLS master playlist parsing (RFC 8216) ---
+//
+// Only the multivariant ("master") side of the spec is handled here: we need
+// the variant ladder, alternate renditions and I-frame streams to work out
+// which layouts a stream offers and where each one actually lives.
+
+/**
+ * @typedef {Object} Attribute
+ * @property {string} name
+ * @property {string} value   Unquoted value.
+ * @property {boolean} quoted Whether the value was a quoted-string.
+ */
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} uri                 Absolute URI of the variant playlist.
+ * @property {number} bandwidth
+ * @property {?number} averageBandwidth
+ * @property {string[]} codecs
+ * @property {?{width: number, height: number}} resolution
+ * @property {?number} frameRate
+ * @property {?string} name               Non-standard NAME attribute used by our packager.
+ * @property {?string} audio              GROUP-ID of the audio renditions.
+ * @property {?string} video              GROUP-ID of the video renditions.
+ * @property {?string} subtitles
+ * @property {?string} closedCaptions
+ * @property {Attribute[]} attributes     Full attribute list, URIs resolved.
+ */
+
+/**
+ * @typedef {Object} Media
+ * @property {string} type                AUDIO, VIDEO, SUBTITLES or CLOSED-CAPTIONS.
+ * @property {string} groupId
+ * @property {string} name
+ * @property {?string} language
+ * @property {?string} uri                Absolute URI, null when muxed into the variant.
+ * @property {boolean} isDefault
+ * @property {boolean} autoselect
+ * @property {?string} channels
+ * @property {Attribute[]} attributes
+ */
+
+/**
+ * @typedef {Object} IFrameStream
+ * @property {string} uri
+ * @property {number} bandwidth
+ * @property {string[]} codecs
+ * @property {?{width: number, height: number}} resolution
+ * @property {?string} video
+ * @property {Attribute[]} attributes
+ */
+
+/**
+ * @typedef {Object} MasterPlaylist
+ * @property {string} url
+ * @property {Variant[]} variants
+ * @property {Media[]} media
+ * @property {IFrameStream[]} iFrameStreams
+ * @property {{tag: string, value: string, attributes: ?Attribute[]}[]} sessionTags
+ *           Playlist-wide tags (VERSION, INDEPENDENT-SEGMENTS, START, SESSION-*).
+ * @property {string[]} warnings          Entries skipped because they were malformed.
+ */
+
+const SESSION_TAGS = [
+  '#EXT-X-VERSION',
+  '#EXT-X-INDEPENDENT-SEGMENTS',
+  '#EXT-X-START',
+  '#EXT-X-SESSION-DATA',
+  '#EXT-X-SESSION-KEY',
+];
+
+// Tags that only appear in media playlists; seeing one means we were handed the wrong file.
+const MEDIA_PLAYLIST_TAGS = ['#EXTINF', '#EXT-X-TARGETDURATION', '#EXT-X-MEDIA-SEQUENCE'];
+
+// Splits `NAME=VALUE,NAME="VALUE, with commas",...` into attributes.
+export const tokenizeAttributeList = (text) => {
+  const attributes = [];
+  let i = 0;
+  while (i < text.length) {
+    while (text[i] === ' ' || text[i] === ',') i++;
+    if (i >= text.length) break;
+
+    const eq = text.indexOf('=', i);
+    if (eq === -1) break;
+    const name = text.slice(i, eq).trim();
+    i = eq + 1;
+
+    let value;
+    let quoted = false;
+    if (text[i] === '"') {
+      const close = text.indexOf('"', i + 1);
+      value = close === -1 ? text.slice(i + 1) : text.slice(i + 1, close);
+      quoted = true;
+      i = close === -1 ? text.length : close + 1;
+    } else {
+      const comma = text.indexOf(',', i);
+      value = (comma === -1 ? text.slice(i) : text.slice(i, comma)).trim();
+      i = comma === -1 ? text.length : comma;
+    }
+    if (name) attributes.push({ name, value, quoted });
+  }
+  return attributes;
+};
+
+export const parseAttributeList = (text) => {
+  const result = {};
+  for (const { name, value } of tokenizeAttributeList(text)) {
+    result[name] = value;
+  }
+  return result;
+};
+
+export const formatAttributeList = (attributes) =>
+  attributes.map(({ name, value, quoted }) => (quoted ? `${name}="${value}"` : `${name}=${value}`)).join(',');
+
+export const resolveUri = (uri, baseUrl) => {
+  try {
+    return new URL(uri, baseUrl).toString();
+  } catch (e) {
+    return uri;
+  }
+};
+
+const parseResolution = (value) => {
+  const match = value?.match(/^(\d+)x(\d+)$/i);
+  return match ? { width: parseInt(match[1], 10), height: parseInt(match[2], 10) } : null;
+};
+
+const parseNumber = (value) => {
+  if (value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const parseCodecs = (value) => (value ? value.split(',').map(c => c.trim()).filter(Boolean) : []);
+
+// Resolves any URI attribute against the playlist URL so entries can be re-emitted elsewhere.
+const withResolvedUris = (attributes, baseUrl) =>
+  attributes.map(attr => (attr.name === 'URI' ? { ...attr, value: resolveUri(attr.value, baseUrl) } : attr));
+
+const toMap = (attributes) => Object.fromEntries(attributes.map(a => [a.name, a.value]));
+
+/**
+ * Parses a multivariant playlist. Throws when the text is not an HLS playlist
+ * or turns out to be a media playlist.
+ * @param {string} text
+ * @param {string} url  Location the playlist was fetched from, for resolving URIs.
+ * @return {MasterPlaylist}
+ */
+export const parseMasterPlaylist = (text, url) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n|\r/).map(l => l.trim());
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist (missing #EXTM3U header)');
+  }
+
+  const playlist = { url, variants: [], media: [], iFrameStreams: [], sessionTags: [], warnings: [] };
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.startsWith('#EXT')) continue;
+
+    const colon = line.indexOf(':');
+    const tag = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1);
+
+    if (MEDIA_PLAYLIST_TAGS.includes(tag)) {
+      throw new Error('Expected a master playlist but got a media playlist');
+    }
+
+    if (tag === '#EXT-X-STREAM-INF') {
+      // The variant URI is the next line that is neither blank nor a comment/tag.
+      let uriLine = null;
+      while (i + 1 < lines.length) {
+        const next = lines[++i];
+        if (next && !next.startsWith('#')) { uriLine = next; break; }
+        if (next.startsWith('#EXT')) { i--; break; }
+      }
+      const attributes = tokenizeAttributeList(value);
+      const attrs = toMap(attributes);
+      const bandwidth = parseNumber(attrs.BANDWIDTH);
+      if (!uriLine || bandwidth === null) {
+        playlist.warnings.push(`Skipping EXT-X-STREAM-INF without ${uriLine ? 'BANDWIDTH' : 'URI'}: ${value}`);
+        continue;
+      }
+      playlist.variants.push({
+        uri: resolveUri(uriLine, url),
+        bandwidth,
+        averageBandwidth: parseNumber(attrs['AVERAGE-BANDWIDTH']),
+        codecs: parseCodecs(attrs.CODECS),
+        resolution: parseResolution(attrs.RESOLUTION),
+        frameRate: parseNumber(attrs['FRAME-RATE']),
+        name: attrs.NAME || null,
+        audio: attrs.AUDIO || null,
+        video: attrs.VIDEO || null,
+        subtitles: attrs.SUBTITLES || null,
+        closedCaptions: attrs['CLOSED-CAPTIONS'] && attrs['CLOSED-CAPTIONS'] !== 'NONE' ? attrs['CLOSED-CAPTIONS'] : null,
+        attributes,
+      });
+    } else if (tag === '#EXT-X-MEDIA') {
+      const attributes = withResolvedUris(tokenizeAttributeList(value), url);
+      const attrs = toMap(attributes);
+      if (!attrs.TYPE || !attrs['GROUP-ID'] || !attrs.NAME) {
+        playlist.warnings.push(`Skipping EXT-X-MEDIA without TYPE/GROUP-ID/NAME: ${value}`);
+        continue;
+      }
+      playlist.media.push({
+        type: attrs.TYPE,
+        groupId: attrs['GROUP-ID'],
+        name: attrs.NAME,
+        language: attrs.LANGUAGE || null,
+        uri: attrs.URI || null,
+        isDefault: attrs.DEFAULT === 'YES',
+        autoselect: attrs.AUTOSELECT === 'YES',
+        channels: attrs.CHANNELS || null,
+        attributes,
+      });
+    } else if (tag === '#EXT-X-I-FRAME-STREAM-INF') {
+      const attributes = withResolvedUris(tokenizeAttributeList(value), url);
+      const attrs = toMap(attributes);
+      if (!attrs.URI || parseNumber(attrs.BANDWIDTH) === null) {
+        playlist.warnings.push(`Skipping EXT-X-I-FRAME-STREAM-INF without URI/BANDWIDTH: ${value}`);
+        continue;
+      }
+      playlist.iFrameStreams.push({
+        uri: attrs.URI,
+        bandwidth: parseNumber(attrs.BANDWIDTH),
+        codecs: parseCodecs(attrs.CODECS),
+        resolution: parseResolution(attrs.RESOLUTION),
+        video: attrs.VIDEO || null,
+        attributes,
+      });
+    } else if (SESSION_TAGS.includes(tag)) {
+      const hasAttributes = value.includes('=');
+      playlist.sessionTags.push({
+        tag,
+        value,
+        attributes: hasAttributes ? withResolvedUris(tokenizeAttributeList(value), url) : null,
+      });
+    }
+  }
+
+  return playlist;
+};
+
+const formatTag = (tag, value, attributes) => {
+  if (attributes) return `${tag}:${formatAttributeList(attributes)}`;
+  return value ? `${tag}:${value}` : tag;
+};
+
+/**
+ * Writes a master playlist containing only the given entries. All URIs are
+ * emitted absolute, so the result can be served from anywhere (e.g. a data: URI).
+ */
+export const serializeMasterPlaylist = ({ sessionTags = [], media = [], variants = [], iFrameStreams = [] }) => {
+  const lines = ['#EXTM3U'];
+  for (const { tag, value, attributes } of sessionTags) {
+    lines.push(formatTag(tag, value, attributes));
+  }
+  for (const m of media) {
+    lines.push(formatTag('#EXT-X-MEDIA', '', m.attributes));
+  }
+  for (const variant of variants) {
+    lines.push(formatTag('#EXT-X-STREAM-INF', '', variant.attributes));
+    lines.push(variant.uri);
+  }
+  for (const stream of iFrameStreams) {
+    lines.push(formatTag('#EXT-X-I-FRAME-STREAM-INF', '', stream.attributes));
+  }
+  return lines.join('\n') + '\n';
+};
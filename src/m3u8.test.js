@@ -0,0 +1,78 @@
+import { parseAttributeList, parseMasterPlaylist, serializeMasterPlaylist } from './m3u8';
+
+const MASTER_URL = 'https://cdn.example.com/hls/app/stream/master.m3u8?sig=abc';
+
+const MASTER = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:6',
+  '#EXT-X-INDEPENDENT-SEGMENTS',
+  '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Mix",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,URI="audio/mix.m3u8"',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,AVERAGE-BANDWIDTH=2000000,CODECS="avc1.64001f,mp4a.40.2",RESOLUTION=1280x720,FRAME-RATE=29.970,AUDIO="aud"',
+  'gallery/720p.m3u8',
+  '',
+  '#EXT-X-STREAM-INF:BANDWIDTH=800000,CODECS="avc1.4d401e,mp4a.40.2",RESOLUTION=640x360,AUDIO="aud"',
+  'gallery/360p.m3u8?token=xyz',
+  '#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720',
+  'https://other.example.com/speaker/index.m3u8',
+  '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=90000,RESOLUTION=640x360,URI="gallery/iframes.m3u8"',
+].join('\r\n');
+
+test('parses attribute lists with quoted commas', () => {
+  expect(parseAttributeList('BANDWIDTH=1,CODECS="avc1.4d401e,mp4a.40.2",NAME="a, b"')).toEqual({
+    BANDWIDTH: '1',
+    CODECS: 'avc1.4d401e,mp4a.40.2',
+    NAME: 'a, b',
+  });
+});
+
+test('parses variants, renditions and I-frame streams with resolved URIs', () => {
+  const playlist = parseMasterPlaylist(MASTER, MASTER_URL);
+
+  expect(playlist.variants).toHaveLength(3);
+  expect(playlist.variants[0]).toMatchObject({
+    uri: 'https://cdn.example.com/hls/app/stream/gallery/720p.m3u8',
+    bandwidth: 2500000,
+    averageBandwidth: 2000000,
+    codecs: ['avc1.64001f', 'mp4a.40.2'],
+    resolution: { width: 1280, height: 720 },
+    frameRate: 29.97,
+    audio: 'aud',
+  });
+  expect(playlist.variants[1].uri).toBe('https://cdn.example.com/hls/app/stream/gallery/360p.m3u8?token=xyz');
+  expect(playlist.variants[2].uri).toBe('https://other.example.com/speaker/index.m3u8');
+
+  expect(playlist.media).toHaveLength(1);
+  expect(playlist.media[0]).toMatchObject({
+    type: 'AUDIO',
+    groupId: 'aud',
+    uri: 'https://cdn.example.com/hls/app/stream/audio/mix.m3u8',
+    isDefault: true,
+  });
+  expect(playlist.iFrameStreams[0].uri).toBe('https://cdn.example.com/hls/app/stream/gallery/iframes.m3u8');
+});
+
+test('rejects media playlists and non-HLS input', () => {
+  expect(() => parseMasterPlaylist('#EXTM3U\n#EXT-X-TARGETDURATION:6\n', MASTER_URL)).toThrow(/media playlist/);
+  expect(() => parseMasterPlaylist('<MPD/>', MASTER_URL)).toThrow(/EXTM3U/);
+});
+
+test('skips variants missing BANDWIDTH with a warning', () => {
+  const playlist = parseMasterPlaylist('#EXTM3U\n#EXT-X-STREAM-INF:RESOLUTION=1x1\na.m3u8\n', MASTER_URL);
+  expect(playlist.variants).toHaveLength(0);
+  expect(playlist.warnings).toHaveLength(1);
+});
+
+test('serializes a subset back into a playlist with absolute URIs', () => {
+  const playlist = parseMasterPlaylist(MASTER, MASTER_URL);
+  const text = serializeMasterPlaylist({
+    sessionTags: playlist.sessionTags,
+    media: playlist.media,
+    variants: playlist.variants.slice(0, 2),
+  });
+  const reparsed = parseMasterPlaylist(text, 'data:application/x-mpegurl,');
+
+  expect(reparsed.variants.map(v => v.uri)).toEqual(playlist.variants.slice(0, 2).map(v => v.uri));
+  expect(reparsed.variants[0].codecs).toEqual(['avc1.64001f', 'mp4a.40.2']);
+  expect(reparsed.media[0].uri).toBe(playlist.media[0].uri);
+  expect(text).toContain('#EXT-X-INDEPENDENT-SEGMENTS');
+});
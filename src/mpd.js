@@ -0,0 +1,117 @@
+// --- DASH manifest (MPD) parsing ---
+//
+// A multi-layout DASH stream is one MPD with a video AdaptationSet per layout,
+// told apart by its <Label> (or the `label` attribute). Layouts are not split
+// into separate files: the player keeps loading the original MPD, so live
+// updates keep working, and picks the layout through Shaka's preferred video
+// label. Only what layout discovery needs is read here.
+
+/**
+ * @typedef {Object} Representation
+ * @property {string} id
+ * @property {number} bandwidth
+ * @property {string[]} codecs
+ * @property {?{width: number, height: number}} resolution
+ */
+
+/**
+ * @typedef {Object} LabelledVideo
+ * @property {string} label               Layout name, as carried by <Label>.
+ * @property {Representation[]} representations  Across all periods, by id.
+ */
+
+/**
+ * @typedef {Object} Mpd
+ * @property {string} url
+ * @property {boolean} isLive             type="dynamic".
+ * @property {LabelledVideo[]} videos
+ * @property {string[]} warnings          Adaptation sets that were skipped.
+ */
+
+// Namespaced documents (urn:mpeg:dash:schema:mpd:2011) are matched on local names.
+const childrenNamed = (element, name) => Array.from(element.children).filter(child => child.localName === name);
+
+const parseInteger = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+};
+
+const parseCodecs = (value) => (value ? value.split(',').map(c => c.trim()).filter(Boolean) : []);
+
+// Representations inherit anything they don't set from their AdaptationSet.
+const inherited = (representation, adaptationSet, name) =>
+  representation.getAttribute(name) ?? adaptationSet.getAttribute(name);
+
+const isVideoAdaptationSet = (adaptationSet) => {
+  const contentType = adaptationSet.getAttribute('contentType');
+  if (contentType) return contentType === 'video';
+  const mimeTypes = [adaptationSet, ...childrenNamed(adaptationSet, 'Representation')]
+    .map(element => element.getAttribute('mimeType'))
+    .filter(Boolean);
+  return mimeTypes.some(mimeType => mimeType.startsWith('video/'));
+};
+
+// Same precedence as Shaka's DASH parser, so the names match what it selects on.
+const labelOf = (adaptationSet) => {
+  const labelElement = childrenNamed(adaptationSet, 'Label')[0];
+  return labelElement?.textContent.trim() || adaptationSet.getAttribute('label') || null;
+};
+
+const parseRepresentation = (representation, adaptationSet) => {
+  const width = parseInteger(inherited(representation, adaptationSet, 'width'));
+  const height = parseInteger(inherited(representation, adaptationSet, 'height'));
+  return {
+    id: representation.getAttribute('id'),
+    bandwidth: parseInteger(representation.getAttribute('bandwidth')) || 0,
+    codecs: parseCodecs(inherited(representation, adaptationSet, 'codecs')),
+    resolution: width && height ? { width, height } : null,
+  };
+};
+
+/**
+ * @param {string} text     MPD document.
+ * @param {string} mpdUrl   Where it was fetched from.
+ * @return {Mpd}
+ */
+export const parseMpd = (text, mpdUrl) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'MPD' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a DASH manifest: missing <MPD> root element');
+  }
+
+  const warnings = [];
+  const byLabel = new Map();
+  childrenNamed(root, 'Period').forEach((period, periodIndex) => {
+    for (const adaptationSet of childrenNamed(period, 'AdaptationSet')) {
+      if (!isVideoAdaptationSet(adaptationSet)) continue;
+      const where = `period ${period.getAttribute('id') || periodIndex}, adaptation set ${adaptationSet.getAttribute('id') || '(no id)'}`;
+      const label = labelOf(adaptationSet);
+      if (!label) {
+        warnings.push(`video adaptation set without a <Label> (${where}) does not belong to a layout`);
+        continue;
+      }
+
+      const representations = byLabel.get(label) || new Map();
+      for (const element of childrenNamed(adaptationSet, 'Representation')) {
+        const representation = parseRepresentation(element, adaptationSet);
+        if (!representation.id) {
+          warnings.push(`representation without an id in ${where}`);
+          continue;
+        }
+        if (!representations.has(representation.id)) representations.set(representation.id, representation);
+      }
+      byLabel.set(label, representations);
+    }
+  });
+
+  return {
+    url: mpdUrl,
+    isLive: root.getAttribute('type') === 'dynamic',
+    videos: Array.from(byLabel.entries()).map(([label, representations]) => ({
+      label,
+      representations: Array.from(representations.values()),
+    })),
+    warnings,
+  };
+};
@@ -0,0 +1,52 @@
+import { parseMpd } from './mpd';
+
+const MPD_URL = 'https://cdn.example.com/dash/app/stream/manifest.mpd';
+
+const MULTI_PERIOD = `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static">
+  <Period id="intro">
+    <AdaptationSet mimeType="video/mp4" label="speaker">
+      <Representation id="speaker-720" bandwidth="2500000" width="1280" height="720" codecs="avc1.64001f"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="video/mp4">
+      <Representation id="orphan" bandwidth="500000"/>
+    </AdaptationSet>
+  </Period>
+  <Period id="main">
+    <AdaptationSet mimeType="video/mp4" label="speaker">
+      <Label>speaker</Label>
+      <Representation id="speaker-720" bandwidth="2500000" width="1280" height="720"/>
+      <Representation id="speaker-360" bandwidth="700000" width="640" height="360"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+test('merges a layout across periods and reads inherited attributes', () => {
+  const mpd = parseMpd(MULTI_PERIOD, MPD_URL);
+
+  expect(mpd.isLive).toBe(false);
+  expect(mpd.videos).toHaveLength(1);
+  expect(mpd.videos[0].label).toBe('speaker');
+  expect(mpd.videos[0].representations).toEqual([
+    { id: 'speaker-720', bandwidth: 2500000, codecs: ['avc1.64001f'], resolution: { width: 1280, height: 720 } },
+    { id: 'speaker-360', bandwidth: 700000, codecs: [], resolution: { width: 640, height: 360 } },
+  ]);
+});
+
+test('warns about video adaptation sets without a label', () => {
+  const { warnings } = parseMpd(MULTI_PERIOD, MPD_URL);
+  expect(warnings).toEqual([expect.stringContaining('without a <Label> (period intro')]);
+});
+
+test('prefers the <Label> element over the label attribute', () => {
+  const mpd = parseMpd(`<MPD type="dynamic"><Period><AdaptationSet contentType="video" label="old">
+    <Label> gallery </Label><Representation id="g" bandwidth="1"/>
+  </AdaptationSet></Period></MPD>`, MPD_URL);
+  expect(mpd.isLive).toBe(true);
+  expect(mpd.videos.map(v => v.label)).toEqual(['gallery']);
+});
+
+test('rejects documents that are not an MPD', () => {
+  expect(() => parseMpd('#EXTM3U', MPD_URL)).toThrow(/Not a DASH manifest/);
+  expect(() => parseMpd('<Playlist/>', MPD_URL)).toThrow(/Not a DASH manifest/);
+});
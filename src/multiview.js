@@ -0,0 +1,71 @@
+import { ALIGNMENT_TOLERANCE_S, playheadWallClock, presentationTimeForWallClock } from './programDateTime';
+
+// --- Multiview ---
+// Besides the main view, a mosaic plays some of the other layouts at the same
+// time, each in its own muted Shaka player: the main view is the only audio
+// source. Tiles follow the main view's position and stay on low renditions;
+// clicking one switches the main view to it.
+
+export const DEFAULT_MULTIVIEW_COLUMNS = 2;
+// Tiles are small, so anything above this is bandwidth spent on nothing.
+export const MULTIVIEW_TILE_MAX_HEIGHT = 360;
+// How often tiles are realigned with the main view.
+export const MULTIVIEW_SYNC_INTERVAL_MS = 1000;
+// Further apart than this a tile seeks; closer, it catches up by playing faster or slower.
+export const MULTIVIEW_SEEK_THRESHOLD_S = 1;
+const MAX_RATE_CORRECTION = 0.1;
+
+export const MULTIVIEW_SHAKA_CONFIG = {
+  abr: { enabled: true, defaultBandwidthEstimate: 500000 },
+  streaming: { bufferingGoal: 10, rebufferingGoal: 1 },
+};
+
+/**
+ * Normalizes the `multiview` option ({ layouts, columns, tileMaxHeight }),
+ * or null when it is off.
+ */
+export const normalizeMultiview = (multiview) => {
+  if (!multiview || !Array.isArray(multiview.layouts) || multiview.layouts.length === 0) return null;
+  const columns = Number.isInteger(multiview.columns) && multiview.columns > 0 ? multiview.columns : DEFAULT_MULTIVIEW_COLUMNS;
+  return {
+    layouts: multiview.layouts,
+    columns,
+    tileMaxHeight: multiview.tileMaxHeight || MULTIVIEW_TILE_MAX_HEIGHT,
+  };
+};
+
+/** Layouts shown as tiles: the chosen ones that exist, without the main view's, in manifest order. */
+export const multiviewTiles = (layouts, chosen, mainLayout) => {
+  const wanted = new Set(chosen.map(name => name.toLowerCase()));
+  return layouts.filter(l => wanted.has(l.name.toLowerCase()) && l.name !== mainLayout);
+};
+
+/**
+ * What a tile has to do to stay with the main view. `drift` is tile time minus
+ * target time in seconds (null when the two can't be compared).
+ * Returns { seek, playbackRate, play } where `seek` says whether to jump to
+ * the target.
+ */
+export const tileSyncAction = ({ drift, leaderPaused, leaderRate = 1 }) => {
+  const play = !leaderPaused;
+  if (drift === null) return { seek: false, playbackRate: leaderRate, play };
+  // A paused main view is matched exactly, e.g. after seeking while paused.
+  if (leaderPaused) return { seek: Math.abs(drift) > ALIGNMENT_TOLERANCE_S, playbackRate: leaderRate, play };
+  if (Math.abs(drift) > MULTIVIEW_SEEK_THRESHOLD_S) return { seek: true, playbackRate: leaderRate, play };
+  if (Math.abs(drift) <= ALIGNMENT_TOLERANCE_S) return { seek: false, playbackRate: leaderRate, play };
+  // Behind (negative drift) plays faster, ahead plays slower.
+  const correction = Math.max(-MAX_RATE_CORRECTION, Math.min(MAX_RATE_CORRECTION, -drift / 2));
+  return { seek: false, playbackRate: leaderRate * (1 + correction), play };
+};
+
+/**
+ * Tile media time matching what the main view shows: the same wall-clock
+ * instant when both have program date times, else the same media time. Null
+ * for live streams without them, whose media times can't be compared.
+ */
+export const syncTarget = (leaderPlayer, leaderVideo, tilePlayer) => {
+  const wallClockMs = playheadWallClock(leaderPlayer);
+  const tileTime = wallClockMs === null ? null : presentationTimeForWallClock(tilePlayer, wallClockMs);
+  if (tileTime !== null) return tileTime;
+  return leaderPlayer.isLive() ? null : leaderVideo.currentTime;
+};
@@ -0,0 +1,51 @@
+import {
+  DEFAULT_MULTIVIEW_COLUMNS,
+  MULTIVIEW_TILE_MAX_HEIGHT,
+  normalizeMultiview,
+  multiviewTiles,
+  tileSyncAction,
+  syncTarget,
+} from './multiview';
+
+const LAYOUTS = [{ name: 'gallery' }, { name: 'speaker' }, { name: 'screen' }];
+
+// Just enough of shaka.Player for the program date time helpers.
+const fakePlayer = ({ live = false, startMs = null, playheadMs = null } = {}) => ({
+  isLive: () => live,
+  getManifest: () => ({ presentationTimeline: { getInitialProgramDateTime: () => (startMs === null ? null : startMs / 1000) } }),
+  getPresentationStartTimeAsDate: () => (startMs === null ? null : new Date(startMs)),
+  getPlayheadTimeAsDate: () => (playheadMs === null ? null : new Date(playheadMs)),
+});
+
+test('normalizes the multiview option', () => {
+  expect(normalizeMultiview(null)).toBeNull();
+  expect(normalizeMultiview({ layouts: [] })).toBeNull();
+  expect(normalizeMultiview({ layouts: ['speaker'] })).toEqual({
+    layouts: ['speaker'],
+    columns: DEFAULT_MULTIVIEW_COLUMNS,
+    tileMaxHeight: MULTIVIEW_TILE_MAX_HEIGHT,
+  });
+  expect(normalizeMultiview({ layouts: ['speaker'], columns: 3, tileMaxHeight: 240 })).toMatchObject({ columns: 3, tileMaxHeight: 240 });
+});
+
+test('tiles are the chosen layouts other than the main view, in manifest order', () => {
+  expect(multiviewTiles(LAYOUTS, ['screen', 'Gallery', 'missing'], 'speaker').map(l => l.name)).toEqual(['gallery', 'screen']);
+  expect(multiviewTiles(LAYOUTS, ['screen', 'gallery'], 'gallery').map(l => l.name)).toEqual(['screen']);
+});
+
+test('seeks tiles that are far off and nudges the rate of those slightly off', () => {
+  expect(tileSyncAction({ drift: 0.05, leaderPaused: false })).toEqual({ seek: false, playbackRate: 1, play: true });
+  expect(tileSyncAction({ drift: -3, leaderPaused: false })).toMatchObject({ seek: true, playbackRate: 1 });
+  expect(tileSyncAction({ drift: -0.4, leaderPaused: false }).playbackRate).toBeCloseTo(1.1);
+  expect(tileSyncAction({ drift: 0.2, leaderPaused: false, leaderRate: 2 }).playbackRate).toBeCloseTo(1.8);
+  expect(tileSyncAction({ drift: 0.5, leaderPaused: true })).toEqual({ seek: true, playbackRate: 1, play: false });
+  expect(tileSyncAction({ drift: null, leaderPaused: false })).toEqual({ seek: false, playbackRate: 1, play: true });
+});
+
+test('targets the same wall-clock instant, else the same VOD media time', () => {
+  const video = { currentTime: 42 };
+  const leader = fakePlayer({ live: true, startMs: 1000000, playheadMs: 1060000 });
+  expect(syncTarget(leader, video, fakePlayer({ live: true, startMs: 1030000 }))).toBe(30);
+  expect(syncTarget(fakePlayer({ live: true }), video, fakePlayer({ live: true }))).toBeNull();
+  expect(syncTarget(fakePlayer(), video, fakePlayer())).toBe(42);
+});
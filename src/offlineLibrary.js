@@ -0,0 +1,116 @@
+import { isLayoutStream } from './layouts';
+import { matchRendition } from './renditions';
+
+// --- Offline recordings ---
+// Each downloaded layout of a VOD recording is one item in Shaka's offline
+// storage. Its appMetadata says which recording and layout it is, and carries
+// the regions of every layout of the recording, so click-to-switch keeps
+// working between the layouts that were downloaded. The player plays a
+// recording through `offline-recording:` URLs and the offline backend below.
+
+export const OFFLINE_RECORDING_SCHEME = 'offline-recording:';
+// appMetadata.kind of our items; anything else in storage is left alone.
+const METADATA_KIND = 'multi-layout-recording';
+
+export const offlineRecordingUrl = (stream) => `${OFFLINE_RECORDING_SCHEME}${encodeURIComponent(stream)}`;
+
+/** The original stream URL of an offline recording URL, or null for anything else. */
+export const recordingStreamFromUrl = (url) => (typeof url === 'string' && url.startsWith(OFFLINE_RECORDING_SCHEME)
+  ? decodeURIComponent(url.slice(OFFLINE_RECORDING_SCHEME.length))
+  : null);
+
+// Qualities a layout can be downloaded in, highest first.
+export const downloadQualities = (layout) => {
+  const byKey = new Map();
+  for (const variant of layout?.variants || []) {
+    const height = variant.resolution?.height || null;
+    byKey.set(`${height || 0}:${variant.bandwidth}`, { height, bandwidth: variant.bandwidth });
+  }
+  return Array.from(byKey.values()).sort((a, b) => (b.height || 0) - (a.height || 0) || b.bandwidth - a.bandwidth);
+};
+
+/**
+ * Shaka offline trackSelectionCallback result: the variant of `layout` closest
+ * to `quality` (a DASH manifest lists the other layouts' tracks too).
+ */
+export const selectDownloadTracks = (tracks, layout, quality) => {
+  const variants = tracks.filter(t => t.type === 'variant' && isLayoutStream(layout, t.originalVideoId));
+  // Without a quality to match (a manifest without resolutions), take the best one.
+  const track = quality
+    ? matchRendition(variants, quality)
+    : [...variants].sort((x, y) => (y.bandwidth || 0) - (x.bandwidth || 0))[0];
+  return track ? [track] : [];
+};
+
+export const downloadMetadata = ({ stream, layout, quality, layoutRegions }) => ({
+  kind: METADATA_KIND,
+  stream,
+  layoutName: layout.name,
+  displayName: layout.displayName,
+  quality,
+  layoutRegions: layoutRegions || [],
+  downloadedAt: Date.now(),
+});
+
+/**
+ * Groups shaka.offline.Storage#list() results into recordings, newest first:
+ * { stream, downloadedAt, items, layouts, layoutRegions }. `items` are all
+ * stored entries (for deleting); `layouts` has the newest complete download
+ * of each layout, ready to play.
+ */
+export const groupRecordings = (contents) => {
+  const byStream = new Map();
+  for (const content of contents) {
+    const metadata = content.appMetadata;
+    if (metadata?.kind !== METADATA_KIND || !content.offlineUri) continue;
+    const item = {
+      offlineUri: content.offlineUri,
+      layoutName: metadata.layoutName,
+      displayName: metadata.displayName || metadata.layoutName,
+      quality: metadata.quality || null,
+      size: content.size || 0,
+      downloadedAt: metadata.downloadedAt || 0,
+      isIncomplete: Boolean(content.isIncomplete),
+    };
+    const recording = byStream.get(metadata.stream) || { stream: metadata.stream, items: [], layoutRegions: [], downloadedAt: 0 };
+    recording.items.push(item);
+    if (item.downloadedAt >= recording.downloadedAt) {
+      recording.downloadedAt = item.downloadedAt;
+      recording.layoutRegions = metadata.layoutRegions || [];
+    }
+    byStream.set(metadata.stream, recording);
+  }
+
+  return Array.from(byStream.values())
+    .map((recording) => {
+      const items = [...recording.items].sort((a, b) => b.downloadedAt - a.downloadedAt);
+      const layouts = [];
+      for (const item of items) {
+        if (!item.isIncomplete && !layouts.some(l => l.layoutName === item.layoutName)) layouts.push(item);
+      }
+      layouts.sort((a, b) => a.layoutName.localeCompare(b.layoutName));
+      return { ...recording, items, layouts };
+    })
+    .sort((a, b) => b.downloadedAt - a.downloadedAt);
+};
+
+// Layout entries the player can switch between, in the shape layouts.js produces.
+const offlineLayout = (item) => ({
+  name: item.layoutName,
+  displayName: item.displayName,
+  masterUrl: item.offlineUri,
+  mimeType: null,
+  variants: item.quality ? [{ uri: null, bandwidth: item.quality.bandwidth, resolution: item.quality.height ? { height: item.quality.height } : null }] : [],
+  media: [],
+  iFrameStreams: [],
+});
+
+/** Backend (see backends.js) serving a recording from offline storage. */
+export const createOfflineBackend = (recording) => ({
+  type: 'offline',
+  requiresToken: false,
+  getToken: async () => null,
+  streamIdFor: () => recording.stream,
+  getLayouts: async () => recording.layouts.map(offlineLayout),
+  getLayoutRegions: async () => recording.layoutRegions,
+});
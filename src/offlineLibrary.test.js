@@ -0,0 +1,104 @@
+import {
+  offlineRecordingUrl,
+  recordingStreamFromUrl,
+  downloadQualities,
+  selectDownloadTracks,
+  downloadMetadata,
+  groupRecordings,
+  createOfflineBackend,
+} from './offlineLibrary';
+
+const STREAM = 'https://cdn.example.com/hls/live/room1/master.m3u8';
+
+const SPEAKER = {
+  name: 'speaker',
+  displayName: 'Speaker',
+  masterUrl: STREAM,
+  variants: [
+    { uri: 'speaker_360.m3u8', bandwidth: 800000, resolution: { width: 640, height: 360 } },
+    { uri: 'speaker_720.m3u8', bandwidth: 2500000, resolution: { width: 1280, height: 720 } },
+    { uri: 'speaker_720_hi.m3u8', bandwidth: 2500000, resolution: { width: 1280, height: 720 } },
+  ],
+};
+
+const item = (layoutName, downloadedAt, extra = {}) => ({
+  offlineUri: `offline:manifest/${layoutName}-${downloadedAt}`,
+  size: 1000,
+  appMetadata: {
+    ...downloadMetadata({
+      stream: STREAM,
+      layout: { name: layoutName, displayName: layoutName.toUpperCase() },
+      quality: { height: 720, bandwidth: 2500000 },
+      layoutRegions: [{ layout_name: layoutName, regions: [] }],
+    }),
+    downloadedAt,
+  },
+  ...extra,
+});
+
+test('round-trips stream URLs through offline recording URLs', () => {
+  const url = offlineRecordingUrl(STREAM);
+  expect(url.startsWith('offline-recording:')).toBe(true);
+  expect(recordingStreamFromUrl(url)).toBe(STREAM);
+  expect(recordingStreamFromUrl(STREAM)).toBeNull();
+});
+
+test('lists distinct download qualities, highest first', () => {
+  expect(downloadQualities(SPEAKER)).toEqual([
+    { height: 720, bandwidth: 2500000 },
+    { height: 360, bandwidth: 800000 },
+  ]);
+  expect(downloadQualities(null)).toEqual([]);
+});
+
+test('selects the variant track closest to the chosen quality', () => {
+  const tracks = [
+    { type: 'variant', id: 1, height: 360, bandwidth: 800000 },
+    { type: 'variant', id: 2, height: 720, bandwidth: 2500000 },
+    { type: 'text', id: 3 },
+  ];
+  expect(selectDownloadTracks(tracks, SPEAKER, { height: 360, bandwidth: 800000 }).map(t => t.id)).toEqual([1]);
+  expect(selectDownloadTracks(tracks, SPEAKER, null).map(t => t.id)).toEqual([2]);
+  expect(selectDownloadTracks([], SPEAKER, { height: 360 })).toEqual([]);
+});
+
+test('only picks tracks of the chosen layout from a DASH manifest', () => {
+  const layout = { name: 'gallery', videoLabel: 'gallery', variants: [{ id: 'g720' }] };
+  const tracks = [
+    { type: 'variant', id: 1, originalVideoId: 's720', height: 720, bandwidth: 2500000 },
+    { type: 'variant', id: 2, originalVideoId: 'g720', height: 720, bandwidth: 2500000 },
+  ];
+  expect(selectDownloadTracks(tracks, layout, { height: 720, bandwidth: 2500000 }).map(t => t.id)).toEqual([2]);
+});
+
+test('groups stored items into recordings with the newest complete download per layout', () => {
+  const recordings = groupRecordings([
+    item('speaker', 1),
+    item('speaker', 3),
+    item('gallery', 2),
+    item('gallery', 4, { isIncomplete: true }),
+    { offlineUri: 'offline:manifest/other', appMetadata: { title: 'Not ours' } },
+  ]);
+  expect(recordings).toHaveLength(1);
+  const [recording] = recordings;
+  expect(recording.stream).toBe(STREAM);
+  expect(recording.items.map(i => i.offlineUri)).toHaveLength(4);
+  expect(recording.layouts.map(l => l.offlineUri)).toEqual(['offline:manifest/gallery-2', 'offline:manifest/speaker-3']);
+  // Regions come from the latest download.
+  expect(recording.layoutRegions).toEqual([{ layout_name: 'gallery', regions: [] }]);
+});
+
+test('serves layouts and regions of a recording from offline storage', async () => {
+  const [recording] = groupRecordings([item('speaker', 1), item('gallery', 2)]);
+  const backend = createOfflineBackend(recording);
+  expect(backend.requiresToken).toBe(false);
+  expect(backend.streamIdFor(offlineRecordingUrl(STREAM))).toBe(STREAM);
+
+  const layouts = await backend.getLayouts();
+  expect(layouts.map(l => [l.name, l.masterUrl])).toEqual([
+    ['gallery', 'offline:manifest/gallery-2'],
+    ['speaker', 'offline:manifest/speaker-1'],
+  ]);
+  expect(layouts[0].variants[0].resolution).toEqual({ height: 720 });
+  expect(await backend.getLayoutRegions(STREAM)).toBe(recording.layoutRegions);
+});
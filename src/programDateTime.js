@@ -0,0 +1,29 @@
+// --- Wall-clock positions (EXT-X-PROGRAM-DATE-TIME) ---
+// Layouts of one meeting are encoded separately, so the same media time can
+// point at different moments in each (different media sequence bases, DVR
+// windows or start offsets). Their program date times agree, so a switch
+// carries the wall-clock instant across instead of the media time.
+
+// Closer than this and seeking would cost more than it fixes.
+export const ALIGNMENT_TOLERANCE_S = 0.1;
+
+// Shaka falls back to the presentation start (or 0) without PDT, which is no
+// use for matching instants across playlists.
+export const hasProgramDateTime = (player) =>
+  player.getManifest()?.presentationTimeline?.getInitialProgramDateTime() != null;
+
+/** Wall-clock time (ms since epoch) on screen, or null without PDT. */
+export const playheadWallClock = (player) => {
+  if (!hasProgramDateTime(player)) return null;
+  return player.getPlayheadTimeAsDate()?.getTime() ?? null;
+};
+
+/** Media time of the loaded presentation showing `wallClockMs`, or null without PDT. */
+export const presentationTimeForWallClock = (player, wallClockMs) => {
+  if (!hasProgramDateTime(player)) return null;
+  const start = player.getPresentationStartTimeAsDate();
+  return start ? (wallClockMs - start.getTime()) / 1000 : null;
+};
+
+// Keeps a target inside the seekable range; live windows may not reach it.
+export const clampToRange = (time, { start, end }) => Math.min(Math.max(time, start), end);
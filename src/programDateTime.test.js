@@ -0,0 +1,28 @@
+import { playheadWallClock, presentationTimeForWallClock, clampToRange } from './programDateTime';
+
+// Minimal stand-in for the Shaka player methods used for PDT mapping.
+const fakePlayer = ({ programDateTime, playhead }) => ({
+  getManifest: () => ({ presentationTimeline: { getInitialProgramDateTime: () => programDateTime } }),
+  getPresentationStartTimeAsDate: () => new Date((programDateTime ?? 0) * 1000),
+  getPlayheadTimeAsDate: () => new Date(((programDateTime ?? 0) + playhead) * 1000),
+});
+
+test('maps the same wall-clock instant between playlists with different bases', () => {
+  const start = Date.UTC(2024, 0, 1, 12) / 1000;
+  const gallery = fakePlayer({ programDateTime: start, playhead: 95 });
+  // The speaker playlist starts 30 seconds later, so the same instant is 30s earlier in its media time.
+  const speaker = fakePlayer({ programDateTime: start + 30, playhead: 0 });
+
+  const wallClockMs = playheadWallClock(gallery);
+  expect(wallClockMs).toBe((start + 95) * 1000);
+  expect(presentationTimeForWallClock(speaker, wallClockMs)).toBe(65);
+});
+
+test('reports no mapping without EXT-X-PROGRAM-DATE-TIME and clamps to the seek range', () => {
+  const vod = fakePlayer({ programDateTime: null, playhead: 12 });
+  expect(playheadWallClock(vod)).toBeNull();
+  expect(presentationTimeForWallClock(vod, Date.now())).toBeNull();
+  expect(clampToRange(5, { start: 10, end: 40 })).toBe(10);
+  expect(clampToRange(50, { start: 10, end: 40 })).toBe(40);
+  expect(clampToRange(20, { start: 10, end: 40 })).toBe(20);
+});
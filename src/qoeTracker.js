@@ -0,0 +1,235 @@
+// --- Quality of experience (QoE) tracking ---
+// Turns player events into per-session and per-layout metrics:
+//   time to first frame, layout switch latency, rebuffers, stalls,
+//   time spent on each bitrate and dropped/decoded frames.
+// Every observation is also queued as an event and handed to a sink in
+// batches (see createBeaconSink), so the same data can be analysed server-side.
+
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_FLUSH_INTERVAL_MS = 15000;
+
+const emptyMetrics = () => ({
+  timeToFirstFrameMs: null,
+  switches: { count: 0, failed: 0, totalLatencyMs: 0, maxLatencyMs: 0 },
+  rebuffers: { count: 0, durationMs: 0 },
+  stalls: 0,
+  droppedFrames: 0,
+  decodedFrames: 0,
+  // bitrate (bits/s) -> milliseconds on screen
+  bitrateTimeMs: {},
+});
+
+// Copy for callers; an ongoing rebuffer is reported without ending it.
+const snapshot = (metrics, ongoingRebufferMs = null) => ({
+  ...metrics,
+  switches: { ...metrics.switches },
+  rebuffers: ongoingRebufferMs === null
+    ? { ...metrics.rebuffers }
+    : { count: metrics.rebuffers.count + 1, durationMs: metrics.rebuffers.durationMs + ongoingRebufferMs },
+  bitrateTimeMs: { ...metrics.bitrateTimeMs },
+});
+
+// Sends batches with navigator.sendBeacon, which survives page unloads; falls
+// back to a keepalive fetch when beacons are unavailable or the queue is full.
+export const createBeaconSink = (endpoint) => (batch) => {
+  const body = JSON.stringify(batch);
+  if (navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }))) return;
+  fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+    .catch(() => {});
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.sessionId
+ * @param {string} options.stream         Manifest URL of the session.
+ * @param {?function(Object)} options.sink Receives { sessionId, stream, sentAt, events }.
+ * @param {number=} options.batchSize
+ * @param {number=} options.flushIntervalMs
+ * @param {function(): number=} options.now
+ */
+export const createQoeTracker = ({
+  sessionId,
+  stream,
+  sink = null,
+  batchSize = DEFAULT_BATCH_SIZE,
+  flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+  now = () => performance.now(),
+}) => {
+  const startedAt = now();
+  const session = emptyMetrics();
+  const layouts = new Map();
+  let queue = [];
+
+  let currentLayout = null;
+  let pendingSwitch = null; // { from, to, source, startedAt }
+  let loadStartedAt = null;
+  let bufferingSince = null;
+  let bitrate = null;
+  let bitrateSince = null;
+  let lastFrameCounts = null;
+
+  const layoutMetrics = (name) => {
+    if (!layouts.has(name)) layouts.set(name, emptyMetrics());
+    return layouts.get(name);
+  };
+
+  // Applies an update to the session totals and to the layout's own metrics.
+  const record = (layout, update) => {
+    update(session);
+    if (layout) update(layoutMetrics(layout));
+  };
+
+  const flush = () => {
+    if (!sink || queue.length === 0) return;
+    const events = queue;
+    queue = [];
+    sink({ sessionId, stream, sentAt: Date.now(), events });
+  };
+
+  const track = (type, data = {}) => {
+    queue.push({ type, layout: currentLayout, t: Math.round(now() - startedAt), ...data });
+    if (queue.length >= batchSize) flush();
+  };
+
+  // Credits the time since the last bitrate change to the layout on screen.
+  // Start-up, switches and rebuffers don't count as time on any bitrate.
+  const settleBitrateTime = () => {
+    const time = now();
+    const isPlaying = loadStartedAt === null && !pendingSwitch && bufferingSince === null;
+    if (isPlaying && bitrate !== null && bitrateSince !== null && currentLayout) {
+      const elapsed = time - bitrateSince;
+      record(currentLayout, (m) => {
+        m.bitrateTimeMs[bitrate] = (m.bitrateTimeMs[bitrate] || 0) + elapsed;
+      });
+    }
+    bitrateSince = time;
+  };
+
+  const endRebuffer = () => {
+    if (bufferingSince === null) return;
+    const durationMs = now() - bufferingSince;
+    bufferingSince = null;
+    record(currentLayout, (m) => {
+      m.rebuffers.count += 1;
+      m.rebuffers.durationMs += durationMs;
+    });
+    track('rebuffer', { durationMs: Math.round(durationMs) });
+  };
+
+  const bitrateChanged = (bandwidth, { width, height } = {}) => {
+    if (!bandwidth || bandwidth === bitrate) return;
+    settleBitrateTime();
+    track('bitrate', { from: bitrate, to: bandwidth, width, height });
+    bitrate = bandwidth;
+  };
+
+  const getSummary = () => {
+    settleBitrateTime();
+    const ongoing = bufferingSince === null ? null : now() - bufferingSince;
+    return {
+      sessionId,
+      durationMs: now() - startedAt,
+      session: snapshot(session, ongoing),
+      layouts: Object.fromEntries(Array.from(layouts, ([name, m]) => [name, snapshot(m, name === currentLayout ? ongoing : null)])),
+    };
+  };
+
+  const flushTimer = sink ? setInterval(flush, flushIntervalMs) : null;
+  track('session_start');
+
+  return {
+    // The first layout of the session starts loading.
+    loadStarted(layout) {
+      loadStartedAt = now();
+      currentLayout = layout;
+      track('load_start');
+    },
+
+    switchStarted(from, to, source) {
+      endRebuffer();
+      settleBitrateTime();
+      pendingSwitch = { from, to, source, startedAt: now() };
+      track('switch_start', { from, to, source });
+    },
+
+    switchFailed(message) {
+      if (!pendingSwitch) return;
+      record(pendingSwitch.to, (m) => { m.switches.failed += 1; });
+      track('switch_failed', { from: pendingSwitch.from, to: pendingSwitch.to, message });
+      pendingSwitch = null;
+    },
+
+    // The new layout presented its first frame: closes a pending load or switch.
+    firstFrame(layout) {
+      const time = now();
+      if (pendingSwitch && pendingSwitch.to === layout) {
+        const latencyMs = time - pendingSwitch.startedAt;
+        record(layout, (m) => {
+          m.switches.count += 1;
+          m.switches.totalLatencyMs += latencyMs;
+          m.switches.maxLatencyMs = Math.max(m.switches.maxLatencyMs, latencyMs);
+        });
+        track('switch', { from: pendingSwitch.from, to: layout, source: pendingSwitch.source, latencyMs: Math.round(latencyMs) });
+        pendingSwitch = null;
+      } else if (loadStartedAt !== null) {
+        const ttff = time - loadStartedAt;
+        session.timeToFirstFrameMs = ttff;
+        layoutMetrics(layout).timeToFirstFrameMs = ttff;
+        track('first_frame', { ttffMs: Math.round(ttff) });
+        loadStartedAt = null;
+      }
+      currentLayout = layout;
+      bitrateSince = time;
+    },
+
+    bufferingChanged(isBuffering) {
+      // Buffering before the first frame is part of start-up, not a rebuffer.
+      if (loadStartedAt !== null || pendingSwitch) return;
+      if (isBuffering && bufferingSince === null) {
+        settleBitrateTime();
+        bufferingSince = now();
+      } else if (!isBuffering) {
+        endRebuffer();
+        bitrateSince = now();
+      }
+    },
+
+    stallDetected() {
+      record(currentLayout, (m) => { m.stalls += 1; });
+      track('stall');
+    },
+
+    bitrateChanged,
+
+    // Feeds a player.getStats() snapshot. Frame counters are cumulative and may
+    // restart with a load, so only the increase since the previous sample counts.
+    sampleStats(stats) {
+      if (!currentLayout || pendingSwitch) return;
+      const dropped = stats.droppedFrames || 0;
+      const decoded = stats.decodedFrames || 0;
+      const previous = lastFrameCounts && lastFrameCounts.decoded <= decoded ? lastFrameCounts : { dropped: 0, decoded: 0 };
+      const newlyDropped = Math.max(0, dropped - previous.dropped);
+      const newlyDecoded = decoded - previous.decoded;
+      lastFrameCounts = { dropped, decoded };
+      if (newlyDecoded === 0 && newlyDropped === 0) return;
+      record(currentLayout, (m) => {
+        m.droppedFrames += newlyDropped;
+        m.decodedFrames += newlyDecoded;
+      });
+      if (newlyDropped > 0) track('dropped_frames', { count: newlyDropped });
+      if (stats.streamBandwidth) bitrateChanged(stats.streamBandwidth, stats);
+    },
+
+    getSummary,
+
+    flush,
+
+    // Ends the session: queues the final summary and sends everything left.
+    end() {
+      endRebuffer();
+      track('session_end', { summary: getSummary() });
+      clearInterval(flushTimer);
+      flush();
+    },
+  };
+};
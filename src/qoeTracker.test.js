@@ -0,0 +1,77 @@
+import { createQoeTracker } from './qoeTracker';
+
+const fakeClock = () => {
+  let time = 0;
+  const now = () => time;
+  now.advance = (ms) => { time += ms; };
+  return now;
+};
+
+test('measures first frame, switch latency and bitrate time per layout', () => {
+  const now = fakeClock();
+  const tracker = createQoeTracker({ sessionId: 's1', stream: 'https://cdn/master.m3u8', now });
+
+  tracker.loadStarted('gallery');
+  now.advance(800);
+  tracker.firstFrame('gallery');
+  tracker.bitrateChanged(1000000);
+  now.advance(4000);
+  tracker.bitrateChanged(2000000);
+  now.advance(1000);
+
+  tracker.switchStarted('gallery', 'speaker', 'region');
+  now.advance(300);
+  tracker.firstFrame('speaker');
+  now.advance(2000);
+
+  const { session, layouts } = tracker.getSummary();
+  expect(session.timeToFirstFrameMs).toBe(800);
+  expect(session.switches).toMatchObject({ count: 1, totalLatencyMs: 300, maxLatencyMs: 300 });
+  expect(layouts.gallery.bitrateTimeMs).toEqual({ 1000000: 4000, 2000000: 1000 });
+  // The switch itself is not time on any bitrate.
+  expect(layouts.speaker.bitrateTimeMs).toEqual({ 2000000: 2000 });
+  expect(session.bitrateTimeMs).toEqual({ 1000000: 4000, 2000000: 3000 });
+});
+
+test('counts rebuffers after start-up only and frame deltas across loads', () => {
+  const now = fakeClock();
+  const tracker = createQoeTracker({ sessionId: 's1', stream: 'x', now });
+
+  tracker.loadStarted('gallery');
+  tracker.bufferingChanged(true);
+  now.advance(500);
+  tracker.bufferingChanged(false);
+  tracker.firstFrame('gallery');
+
+  tracker.bufferingChanged(true);
+  now.advance(1500);
+  tracker.bufferingChanged(false);
+
+  tracker.sampleStats({ droppedFrames: 2, decodedFrames: 100 });
+  tracker.sampleStats({ droppedFrames: 5, decodedFrames: 250 });
+  // Counters restarted with a new load.
+  tracker.sampleStats({ droppedFrames: 1, decodedFrames: 30 });
+
+  const { session } = tracker.getSummary();
+  expect(session.rebuffers).toEqual({ count: 1, durationMs: 1500 });
+  expect(session.droppedFrames).toBe(6);
+  expect(session.decodedFrames).toBe(280);
+});
+
+test('batches events to the sink and sends the rest with the final summary', () => {
+  const sink = jest.fn();
+  const tracker = createQoeTracker({ sessionId: 's1', stream: 'x', sink, batchSize: 3, now: fakeClock() });
+
+  tracker.loadStarted('gallery');
+  tracker.firstFrame('gallery');
+  expect(sink).toHaveBeenCalledTimes(1);
+  expect(sink.mock.calls[0][0].events.map(e => e.type)).toEqual(['session_start', 'load_start', 'first_frame']);
+
+  tracker.stallDetected();
+  tracker.end();
+  expect(sink).toHaveBeenCalledTimes(2);
+  const last = sink.mock.calls[1][0];
+  expect(last.sessionId).toBe('s1');
+  expect(last.events.map(e => e.type)).toEqual(['stall', 'session_end']);
+  expect(last.events[1].summary.session.stalls).toBe(1);
+});
@@ -0,0 +1,68 @@
+// --- Manual rendition choice ---
+// Viewers can pin a layout to one rung of its variant ladder. Track ids change
+// with every load, so a choice is remembered by resolution and bitrate and
+// matched against the tracks of the next load.
+
+// Heights offered as a "max resolution" cap; null means no cap.
+export const MAX_RESOLUTION_OPTIONS = [null, 1080, 720, 480, 360];
+
+const formatBitrate = (bandwidth) => (bandwidth >= 1000000
+  ? `${(bandwidth / 1000000).toFixed(1)} Mbps`
+  : `${Math.round(bandwidth / 1000)} kbps`);
+
+export const renditionLabel = (rendition) => [
+  rendition.height ? `${rendition.height}p` : 'audio only',
+  formatBitrate(rendition.bandwidth),
+  rendition.videoCodec,
+].filter(Boolean).join(' · ');
+
+/**
+ * One entry per distinct video rendition of Shaka variant tracks (audio
+ * languages multiply the variants), highest first.
+ */
+export const listRenditions = (tracks) => {
+  const byKey = new Map();
+  for (const track of tracks) {
+    const key = `${track.height || 0}:${track.bandwidth}`;
+    const existing = byKey.get(key);
+    if (!existing || track.active) {
+      byKey.set(key, {
+        id: track.id,
+        width: track.width || null,
+        height: track.height || null,
+        bandwidth: track.bandwidth,
+        videoCodec: track.videoCodec || null,
+        active: Boolean(track.active) || Boolean(existing?.active),
+      });
+    }
+  }
+  return Array.from(byKey.values()).sort((a, b) => (b.height || 0) - (a.height || 0) || b.bandwidth - a.bandwidth);
+};
+
+/**
+ * The track for a remembered { height, bandwidth } choice: the same rendition
+ * if it still exists, else the closest bitrate at that height, else the
+ * tallest rendition not above it.
+ */
+export const matchRendition = (tracks, choice) => {
+  if (!choice || tracks.length === 0) return null;
+  const exact = tracks.find(t => t.height === choice.height && t.bandwidth === choice.bandwidth);
+  if (exact) return exact;
+  const byBitrateDistance = (a, b) => Math.abs(a.bandwidth - choice.bandwidth) - Math.abs(b.bandwidth - choice.bandwidth);
+  const sameHeight = tracks.filter(t => t.height === choice.height).sort(byBitrateDistance);
+  if (sameHeight.length > 0) return sameHeight[0];
+  const lower = tracks.filter(t => (t.height || 0) <= (choice.height || 0))
+    .sort((a, b) => (b.height || 0) - (a.height || 0) || byBitrateDistance(a, b));
+  return lower[0] || [...tracks].sort((a, b) => (a.height || 0) - (b.height || 0))[0];
+};
+
+/**
+ * Height cap to hand Shaka's restrictions: never below the smallest rendition
+ * (Shaka refuses to play when no variant fits), Infinity for no cap.
+ */
+export const effectiveMaxHeight = (heights, maxHeight) => {
+  if (!maxHeight) return Infinity;
+  const known = heights.filter(Boolean);
+  if (known.length === 0) return maxHeight;
+  return Math.max(maxHeight, Math.min(...known));
+};
@@ -0,0 +1,33 @@
+import { listRenditions, matchRendition, effectiveMaxHeight, renditionLabel } from './renditions';
+
+const track = (id, height, bandwidth, extra = {}) => ({ id, height, width: Math.round(height * 16 / 9), bandwidth, videoCodec: 'avc1.64001f', ...extra });
+
+test('lists each video rendition once, highest first, keeping the active flag', () => {
+  const tracks = [
+    track(1, 360, 800000, { language: 'en' }),
+    track(2, 360, 800000, { language: 'de', active: true }),
+    track(3, 720, 2500000),
+    track(4, 1080, 5000000),
+  ];
+  const renditions = listRenditions(tracks);
+  expect(renditions.map(r => r.height)).toEqual([1080, 720, 360]);
+  expect(renditions[2]).toMatchObject({ id: 2, active: true });
+  expect(renditionLabel(renditions[0])).toBe('1080p · 5.0 Mbps · avc1.64001f');
+  expect(renditionLabel({ height: null, bandwidth: 96000 })).toBe('audio only · 96 kbps');
+});
+
+test('matches a remembered choice against another layout ladder', () => {
+  const tracks = [track(1, 360, 800000), track(2, 720, 2000000), track(3, 720, 3000000), track(4, 1080, 5000000)];
+  expect(matchRendition(tracks, { height: 720, bandwidth: 3000000 }).id).toBe(3);
+  expect(matchRendition(tracks, { height: 720, bandwidth: 2400000 }).id).toBe(2);
+  expect(matchRendition(tracks, { height: 540, bandwidth: 1200000 }).id).toBe(1);
+  expect(matchRendition(tracks, { height: 240, bandwidth: 300000 }).id).toBe(1);
+  expect(matchRendition([], { height: 720, bandwidth: 1 })).toBeNull();
+});
+
+test('never caps below the smallest rendition', () => {
+  expect(effectiveMaxHeight([360, 720, 1080], 720)).toBe(720);
+  expect(effectiveMaxHeight([480, 720], 360)).toBe(480);
+  expect(effectiveMaxHeight([undefined], 360)).toBe(360);
+  expect(effectiveMaxHeight([360, 720], null)).toBe(Infinity);
+});
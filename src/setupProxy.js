@@ -0,0 +1,35 @@
+// Development-only routes for `npm start` (Create React App loads this file
+// into its dev server; it is not part of the build).
+//
+// POST /qoe-mock accepts QoE beacon batches and prints them; GET /qoe-mock
+// returns the most recent ones. Point analytics.endpoint at "/qoe-mock" to use it.
+
+const MAX_STORED_BATCHES = 50;
+
+module.exports = function setupProxy(app) {
+  const batches = [];
+
+  app.post('/qoe-mock', (req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        const batch = JSON.parse(body);
+        batches.push(batch);
+        if (batches.length > MAX_STORED_BATCHES) batches.shift();
+        const types = (batch.events || []).map(e => e.type).join(', ');
+        console.log(`[qoe-mock] session ${batch.sessionId}: ${batch.events?.length || 0} events (${types})`);
+        res.status(204).end();
+      } catch (e) {
+        res.status(400).json({ error: `Invalid JSON: ${e.message}` });
+      }
+    });
+  });
+
+  app.get('/qoe-mock', (req, res) => {
+    res.json({ batches });
+  });
+};
@@ -0,0 +1,218 @@
+import { renditionLabel } from './renditions';
+
+// --- Shaka UI elements ---
+// Layout and quality menus inside the Shaka controls, so they stay reachable
+// in fullscreen. Shaka builds its elements itself from a name, so React state
+// reaches them through a bridge: the hook pushes state into it and the
+// elements subscribe. Elements find their bridge through the video container
+// the overlay was created on.
+
+export const LAYOUT_MENU_ELEMENT = 'multi_layout_layouts';
+export const QUALITY_MENU_ELEMENT = 'multi_layout_quality';
+
+// Shaka's defaults with the layout button next to fullscreen. The stock
+// `quality` menu lists every layout's tracks of a DASH manifest and ignores
+// the per-layout choice, so the layout-aware one replaces it.
+export const CONTROL_PANEL_ELEMENTS = [
+  'play_pause', 'time_and_duration', 'spacer', 'mute', 'volume', LAYOUT_MENU_ELEMENT, 'fullscreen', 'overflow_menu',
+];
+export const OVERFLOW_MENU_BUTTONS = [
+  QUALITY_MENU_ELEMENT, 'captions', 'language', 'picture_in_picture', 'cast', 'playback_rate',
+];
+
+const AUTO = 'auto';
+const renditionKey = (rendition) => `${rendition.height || 0}:${rendition.bandwidth}`;
+
+/**
+ * Holds what the menus show ({ layouts, selectedLayout, unavailableLayouts,
+ * renditions, renditionChoice, disabled }) and the actions they call
+ * ({ selectLayout(name), selectRendition(rendition|null) }).
+ */
+export const createControlsBridge = () => {
+  let state = {
+    layouts: [],
+    selectedLayout: null,
+    unavailableLayouts: [],
+    renditions: [],
+    renditionChoice: null,
+    disabled: false,
+  };
+  let actions = { selectLayout: () => {}, selectRendition: () => {} };
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    update: (next) => {
+      state = { ...state, ...next };
+      listeners.forEach(listener => listener(state));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setActions: (next) => {
+      actions = next;
+    },
+    selectLayout: (name) => actions.selectLayout(name),
+    selectRendition: (rendition) => actions.selectRendition(rendition),
+  };
+};
+
+// Menu entries: { value, label, selected, disabled }.
+export const layoutMenuItems = ({ layouts, selectedLayout, unavailableLayouts, disabled }) => layouts.map((layout) => {
+  const unavailable = unavailableLayouts.includes(layout.name);
+  return {
+    value: layout.name,
+    label: unavailable ? `${layout.displayName} (unavailable)` : layout.displayName,
+    selected: layout.name === selectedLayout,
+    disabled: disabled || unavailable,
+  };
+});
+
+export const qualityMenuItems = ({ renditions, renditionChoice, disabled }) => {
+  if (renditions.length === 0) return [];
+  const active = renditions.find(r => r.active);
+  const pinned = renditionChoice && active ? renditionKey(active) : AUTO;
+  return [
+    { value: AUTO, label: !renditionChoice && active ? `Auto (${renditionLabel(active)})` : 'Auto', selected: pinned === AUTO, disabled },
+    ...renditions.map(rendition => ({
+      value: renditionKey(rendition),
+      label: renditionLabel(rendition),
+      selected: pinned === renditionKey(rendition),
+      disabled,
+    })),
+  ];
+};
+
+const MENUS = {
+  [LAYOUT_MENU_ELEMENT]: {
+    icon: 'view_quilt',
+    title: 'Layout',
+    items: layoutMenuItems,
+    select: (bridge, value) => bridge.selectLayout(value),
+  },
+  [QUALITY_MENU_ELEMENT]: {
+    icon: 'high_quality',
+    title: 'Quality',
+    items: qualityMenuItems,
+    select: (bridge, value) => bridge.selectRendition(
+      bridge.getState().renditions.find(r => renditionKey(r) === value) || null
+    ),
+  },
+};
+
+// video container -> bridge
+const bridges = new WeakMap();
+
+export const attachControlsBridge = (videoContainer, bridge) => {
+  bridges.set(videoContainer, bridge);
+};
+
+let registered = false;
+
+/**
+ * Registers the menus with Shaka's control panel and overflow menu. Safe to
+ * call more than once; Shaka keeps registrations for the page's lifetime.
+ */
+export const registerLayoutElements = (shaka) => {
+  if (registered) return;
+  registered = true;
+
+  const element = (tag, ...classNames) => {
+    const node = document.createElement(tag);
+    if (classNames.length > 0) node.classList.add(...classNames);
+    return node;
+  };
+  const setShown = (node, shown) => node.classList.toggle('shaka-hidden', !shown);
+
+  // Same markup and classes as Shaka's own settings menus, so they look alike
+  // and Shaka closes them with the rest when the controls fade.
+  class LayoutSettingsMenu extends shaka.ui.Element {
+    constructor(parent, controls, menu) {
+      super(parent, controls);
+      this.menuSpec_ = menu;
+      this.bridge_ = bridges.get(controls.getVideoContainer()) || createControlsBridge();
+      const inOverflowMenu = parent.classList.contains('shaka-overflow-menu');
+
+      this.button_ = element('button', 'shaka-overflow-button', 'shaka-no-propagation', 'multi-layout-menu-button');
+      this.button_.setAttribute('aria-label', menu.title);
+      this.button_.title = menu.title;
+      const icon = element('i', 'material-icons-round');
+      icon.textContent = menu.icon;
+      const label = element('label', 'shaka-overflow-button-label', 'shaka-overflow-menu-only');
+      const name = element('span');
+      name.textContent = menu.title;
+      this.currentSelection_ = element('span', 'shaka-current-selection-span');
+      label.append(name, this.currentSelection_);
+      this.button_.append(icon, label);
+      parent.appendChild(this.button_);
+
+      this.menu_ = element('div', 'shaka-no-propagation', 'shaka-show-controls-on-mouse-over', 'shaka-settings-menu', 'shaka-hidden');
+      const backButton = element('button', 'shaka-back-to-overflow-button');
+      const backIcon = element('i', 'material-icons-round');
+      backIcon.textContent = inOverflowMenu ? 'arrow_back' : 'close';
+      const backLabel = element('span');
+      backLabel.textContent = menu.title;
+      backButton.append(backIcon, backLabel);
+      this.menu_.appendChild(backButton);
+      this.items_ = element('div', 'multi-layout-menu-items');
+      this.menu_.appendChild(this.items_);
+      controls.getControlsContainer().appendChild(this.menu_);
+
+      this.eventManager.listen(this.button_, 'click', () => {
+        if (!this.controls.isOpaque()) return;
+        this.controls.dispatchEvent(new shaka.util.FakeEvent('submenuopen'));
+        setShown(this.menu_, true);
+        this.items_.querySelector('[aria-selected="true"]')?.focus();
+      });
+      this.eventManager.listen(backButton, 'click', () => {
+        setShown(this.menu_, false);
+        if (inOverflowMenu) setShown(this.parent, true);
+      });
+
+      this.unsubscribe_ = this.bridge_.subscribe(() => this.render_());
+      this.render_();
+    }
+
+    render_() {
+      const items = this.menuSpec_.items(this.bridge_.getState());
+      // A menu with one entry or none has nothing to choose.
+      setShown(this.button_, items.length > 1);
+      this.currentSelection_.textContent = items.find(item => item.selected)?.label || '';
+
+      this.items_.replaceChildren(...items.map((item) => {
+        const button = element('button');
+        button.setAttribute('role', 'menuitemradio');
+        button.setAttribute('aria-selected', String(item.selected));
+        button.disabled = item.disabled;
+        const label = element('span');
+        label.textContent = item.label;
+        button.appendChild(label);
+        if (item.selected) {
+          button.classList.add('shaka-chosen-item');
+          const check = element('i', 'material-icons-round', 'shaka-chosen-item');
+          check.textContent = 'done';
+          button.appendChild(check);
+        }
+        button.addEventListener('click', () => {
+          if (item.selected) return;
+          this.menuSpec_.select(this.bridge_, item.value);
+          setShown(this.menu_, false);
+        });
+        return button;
+      }));
+    }
+
+    release() {
+      this.unsubscribe_();
+      this.menu_.remove();
+      super.release();
+    }
+  }
+
+  Object.entries(MENUS).forEach(([name, menu]) => {
+    const factory = { create: (rootElement, controls) => new LayoutSettingsMenu(rootElement, controls, menu) };
+    shaka.ui.Controls.registerElement(name, factory);
+    shaka.ui.OverflowMenu.registerElement(name, factory);
+  });
+};
@@ -0,0 +1,50 @@
+import { createControlsBridge, layoutMenuItems, qualityMenuItems } from './shakaUiElements';
+
+const LAYOUTS = [
+  { name: 'gallery', displayName: 'Gallery' },
+  { name: 'speaker', displayName: 'Speaker' },
+  { name: 'screen', displayName: 'Screen' },
+];
+
+const RENDITIONS = [
+  { height: 720, bandwidth: 2500000, active: true },
+  { height: 360, bandwidth: 800000, active: false },
+];
+
+test('lists layouts with the current one selected and unavailable ones disabled', () => {
+  const items = layoutMenuItems({ layouts: LAYOUTS, selectedLayout: 'speaker', unavailableLayouts: ['screen'], disabled: false });
+  expect(items.map(i => [i.value, i.selected, i.disabled])).toEqual([
+    ['gallery', false, false],
+    ['speaker', true, false],
+    ['screen', false, true],
+  ]);
+  expect(items[2].label).toBe('Screen (unavailable)');
+  expect(layoutMenuItems({ layouts: LAYOUTS, selectedLayout: 'gallery', unavailableLayouts: [], disabled: true }).every(i => i.disabled)).toBe(true);
+});
+
+test('offers Auto plus every rendition, marking the pinned one', () => {
+  const auto = qualityMenuItems({ renditions: RENDITIONS, renditionChoice: null, disabled: false });
+  expect(auto.map(i => i.value)).toEqual(['auto', '720:2500000', '360:800000']);
+  expect(auto[0]).toMatchObject({ selected: true, label: 'Auto (720p · 2.5 Mbps)' });
+
+  const pinned = qualityMenuItems({ renditions: RENDITIONS, renditionChoice: { height: 720, bandwidth: 2500000 }, disabled: false });
+  expect(pinned.filter(i => i.selected).map(i => i.value)).toEqual(['720:2500000']);
+  expect(qualityMenuItems({ renditions: [], renditionChoice: null, disabled: false })).toEqual([]);
+});
+
+test('bridge notifies subscribers and forwards actions', () => {
+  const bridge = createControlsBridge();
+  const listener = jest.fn();
+  const unsubscribe = bridge.subscribe(listener);
+  bridge.update({ selectedLayout: 'gallery' });
+  expect(listener).toHaveBeenCalledWith(expect.objectContaining({ selectedLayout: 'gallery', layouts: [] }));
+
+  const selectLayout = jest.fn();
+  bridge.setActions({ selectLayout, selectRendition: () => {} });
+  bridge.selectLayout('speaker');
+  expect(selectLayout).toHaveBeenCalledWith('speaker');
+
+  unsubscribe();
+  bridge.update({ selectedLayout: 'speaker' });
+  expect(listener).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,114 @@
+// --- Regions carried in the stream ---
+// The mixer can describe the tile arrangement inside the stream itself, so
+// hit-testing follows the picture even while tiles move. The payload is the
+// same object the regions API returns per layout:
+//
+//   { "layout_name": "gallery", "canvas_width": 1920, "canvas_height": 1080,
+//     "regions": [{ "x": 0, "y": 0, "width": 960, "height": 540, ... }] }
+//
+// as JSON or base64-encoded JSON, in any of:
+//   HLS  #EXT-X-DATERANGE:...,X-LAYOUT-REGIONS="<base64>"
+//   ID3  TXXX frame with description "layout-regions"
+//   emsg / DASH EventStream with schemeIdUri "urn:sariska:layout-regions"
+// Each description applies from its start time until its end time or the
+// next description, whichever comes first.
+
+export const DATERANGE_ATTRIBUTE = 'X-LAYOUT-REGIONS';
+export const ID3_DESCRIPTION = 'layout-regions';
+export const REGIONS_SCHEME_ID = 'urn:sariska:layout-regions';
+
+// Cues that ended this long before the playhead are dropped.
+const MAX_CUE_AGE_S = 300;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isRegion = (region) => region !== null && typeof region === 'object'
+  && ['x', 'y', 'width', 'height'].every(key => isFiniteNumber(region[key]));
+
+const toText = (data) => {
+  if (typeof data === 'string') return data;
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return new TextDecoder().decode(data);
+  return null;
+};
+
+/**
+ * Parses an in-band JSON object (as text, or base64 as quoted HLS attributes
+ * can't hold double quotes). Returns null for anything else.
+ */
+export const decodeJsonPayload = (data) => {
+  const text = toText(data)?.trim();
+  if (!text) return null;
+  try {
+    const payload = JSON.parse(text.startsWith('{') ? text : atob(text));
+    return payload !== null && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/** Parses a regions payload. Returns null for anything that isn't one. */
+export const decodeRegionsPayload = (data) => {
+  const payload = decodeJsonPayload(data);
+  if (!payload || !Array.isArray(payload.regions) || !payload.regions.every(isRegion)) return null;
+  return {
+    layoutName: typeof payload.layout_name === 'string' ? payload.layout_name : null,
+    canvasDimensions: isFiniteNumber(payload.canvas_width) && isFiniteNumber(payload.canvas_height)
+      ? { width: payload.canvas_width, height: payload.canvas_height }
+      : null,
+    regions: payload.regions,
+  };
+};
+
+const cueFrom = (startTime, endTime, data) => {
+  const description = decodeRegionsPayload(data);
+  if (!description || !isFiniteNumber(startTime)) return null;
+  return { ...description, startTime, endTime: isFiniteNumber(endTime) ? endTime : Infinity };
+};
+
+// Shaka `metadata` event: EXT-X-DATERANGE attributes and ID3 frames.
+export const cueFromMetadataEvent = ({ startTime, endTime, payload }) => {
+  if (!payload) return null;
+  const isDateRange = payload.key === DATERANGE_ATTRIBUTE;
+  const isId3 = payload.key === 'TXXX' && payload.description === ID3_DESCRIPTION;
+  return isDateRange || isId3 ? cueFrom(startTime, endTime, payload.data) : null;
+};
+
+// Shaka `emsg` event detail.
+export const cueFromEmsg = ({ schemeIdUri, startTime, endTime, messageData }) =>
+  (schemeIdUri === REGIONS_SCHEME_ID ? cueFrom(startTime, endTime, messageData) : null);
+
+// Shaka `timelineregionadded` event detail (DASH EventStream); the payload is the event's text.
+export const cueFromTimelineRegion = ({ schemeIdUri, startTime, endTime, eventNode, eventElement }) => {
+  if (schemeIdUri !== REGIONS_SCHEME_ID) return null;
+  const text = eventNode?.children?.filter(child => typeof child === 'string').join('')
+    ?? eventElement?.textContent;
+  return cueFrom(startTime, endTime, text);
+};
+
+/** Cues of the current stream, ordered by start time. Any { startTime, endTime } cues work. */
+export const createRegionsTimeline = () => {
+  let cues = [];
+
+  return {
+    // The same description can arrive twice (e.g. refreshed live playlists);
+    // the later copy replaces the earlier one.
+    add(cue) {
+      cues = [...cues.filter(c => c.startTime !== cue.startTime), cue].sort((a, b) => a.startTime - b.startTime);
+    },
+
+    // The cue on screen at `time`, or null to fall back to the API regions.
+    activeAt(time) {
+      cues = cues.filter((cue, i) => Math.min(cue.endTime, cues[i + 1]?.startTime ?? Infinity) > time - MAX_CUE_AGE_S);
+      let active = null;
+      for (const cue of cues) {
+        if (cue.startTime > time) break;
+        active = cue;
+      }
+      return active && time < active.endTime ? active : null;
+    },
+
+    clear() {
+      cues = [];
+    },
+  };
+};
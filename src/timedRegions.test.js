@@ -0,0 +1,64 @@
+import {
+  createRegionsTimeline,
+  cueFromMetadataEvent,
+  cueFromEmsg,
+  decodeRegionsPayload,
+  DATERANGE_ATTRIBUTE,
+  REGIONS_SCHEME_ID,
+} from './timedRegions';
+
+const PAYLOAD = {
+  layout_name: 'gallery',
+  canvas_width: 1280,
+  canvas_height: 720,
+  regions: [{ x: 0, y: 0, width: 640, height: 720, parent_layout_name: 'speaker' }],
+};
+
+test('decodes JSON and base64 payloads and rejects malformed ones', () => {
+  const expected = { layoutName: 'gallery', canvasDimensions: { width: 1280, height: 720 }, regions: PAYLOAD.regions };
+  expect(decodeRegionsPayload(JSON.stringify(PAYLOAD))).toEqual(expected);
+  expect(decodeRegionsPayload(btoa(JSON.stringify(PAYLOAD)))).toEqual(expected);
+  expect(decodeRegionsPayload('{"regions":[{"x":"0"}]}')).toBeNull();
+  expect(decodeRegionsPayload('not json')).toBeNull();
+});
+
+test('reads EXT-X-DATERANGE and ID3 metadata and ignores other schemes', () => {
+  const dateRange = cueFromMetadataEvent({
+    startTime: 10,
+    endTime: null,
+    payload: { key: DATERANGE_ATTRIBUTE, data: btoa(JSON.stringify(PAYLOAD)) },
+  });
+  expect(dateRange).toMatchObject({ startTime: 10, endTime: Infinity, layoutName: 'gallery' });
+
+  const id3 = cueFromMetadataEvent({
+    startTime: 4,
+    endTime: 8,
+    payload: { key: 'TXXX', description: 'layout-regions', data: JSON.stringify(PAYLOAD) },
+  });
+  expect(id3).toMatchObject({ startTime: 4, endTime: 8 });
+
+  expect(cueFromMetadataEvent({ startTime: 0, payload: { key: 'X-OTHER', data: JSON.stringify(PAYLOAD) } })).toBeNull();
+  expect(cueFromEmsg({ schemeIdUri: 'urn:other', startTime: 0, endTime: 1, messageData: JSON.stringify(PAYLOAD) })).toBeNull();
+  expect(cueFromEmsg({ schemeIdUri: REGIONS_SCHEME_ID, startTime: 0, endTime: 1, messageData: JSON.stringify(PAYLOAD) }))
+    .toMatchObject({ startTime: 0, endTime: 1 });
+});
+
+test('applies each cue until it ends or the next one starts', () => {
+  const timeline = createRegionsTimeline();
+  const first = { startTime: 10, endTime: Infinity, regions: [] };
+  const second = { startTime: 20, endTime: 25, regions: [] };
+  timeline.add(second);
+  timeline.add(first);
+
+  expect(timeline.activeAt(5)).toBeNull();
+  expect(timeline.activeAt(15)).toBe(first);
+  expect(timeline.activeAt(22)).toBe(second);
+  // Ended without a successor: back to the API regions.
+  expect(timeline.activeAt(30)).toBeNull();
+
+  const replacement = { ...second, endTime: 40 };
+  timeline.add(replacement);
+  expect(timeline.activeAt(30)).toBe(replacement);
+  timeline.clear();
+  expect(timeline.activeAt(30)).toBeNull();
+});
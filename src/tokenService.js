@@ -0,0 +1,153 @@
+// --- Token lifecycle ---
+// Caches the API token, refreshes it ahead of its JWT `exp`, shares a single
+// in-flight request between concurrent callers and retries once on 401.
+
+// Refresh this long before the token expires.
+const DEFAULT_REFRESH_LEEWAY_MS = 60 * 1000;
+// Never schedule refreshes closer together than this, even for very short-lived tokens.
+const MIN_REFRESH_DELAY_MS = 5 * 1000;
+
+const decodeBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return decodeURIComponent(Array.from(atob(padded), c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+};
+
+// Expiry of a JWT in epoch milliseconds, or null for opaque / non-expiring tokens.
+export const decodeJwtExpiry = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const { exp } = JSON.parse(decodeBase64Url(parts[1]));
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const withAuthorization = (init, token) => ({
+  ...init,
+  headers: { ...init.headers, 'Authorization': `Bearer ${token}` },
+});
+
+const SILENT_LOG = { debug() {}, info() {}, warn() {}, error() {} };
+
+// `log` is a category logger ({ debug, info, warn, error }), see logger.js.
+export const createTokenService = ({ fetchToken, refreshLeewayMs = DEFAULT_REFRESH_LEEWAY_MS, log = SILENT_LOG }) => {
+  let token = null;
+  let expiresAt = null;
+  let inFlight = null;
+  let refreshTimer = null;
+  const listeners = new Set();
+
+  const isFresh = () => Boolean(token) && (expiresAt === null || Date.now() < expiresAt - refreshLeewayMs);
+
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    if (expiresAt === null) return;
+    const delay = Math.max(expiresAt - refreshLeewayMs - Date.now(), MIN_REFRESH_DELAY_MS);
+    refreshTimer = setTimeout(() => {
+      log.info('Token is about to expire, refreshing...');
+      getToken({ forceRefresh: true }).catch(error => log.error(`Token refresh failed: ${error.message}`, error));
+    }, delay);
+  };
+
+  const setToken = (newToken) => {
+    token = newToken;
+    expiresAt = decodeJwtExpiry(newToken);
+    if (expiresAt !== null) {
+      log.info(`Token valid until ${new Date(expiresAt).toLocaleTimeString()}`, { expiresAt: new Date(expiresAt).toISOString() });
+    }
+    scheduleRefresh();
+    listeners.forEach(listener => listener(token));
+  };
+
+  const getToken = ({ forceRefresh = false } = {}) => {
+    if (!forceRefresh && isFresh()) return Promise.resolve(token);
+    if (!inFlight) {
+      inFlight = Promise.resolve()
+        .then(fetchToken)
+        .then((newToken) => {
+          setToken(newToken);
+          return newToken;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  };
+
+  const invalidate = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    token = null;
+    expiresAt = null;
+    listeners.forEach(listener => listener(null));
+  };
+
+  // fetch() with a Bearer token; a 401 forces one token refresh and a retry.
+  const fetchWithAuth = async (url, init = {}) => {
+    const response = await fetch(url, withAuthorization(init, await getToken()));
+    if (response.status !== 401) return response;
+    log.warn(`401 from ${url}, refreshing token and retrying once`, { url });
+    return fetch(url, withAuthorization(init, await getToken({ forceRefresh: true })));
+  };
+
+  // Subscribing again after destroy() (e.g. a StrictMode remount) restarts the refresh schedule.
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    if (!refreshTimer) scheduleRefresh();
+    return () => listeners.delete(listener);
+  };
+
+  const destroy = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    listeners.clear();
+  };
+
+  return {
+    getToken,
+    setToken,
+    invalidate,
+    fetchWithAuth,
+    subscribe,
+    destroy,
+    getExpiry: () => expiresAt,
+  };
+};
+
+// Shaka request filter attaching the current token to manifest and segment
+// requests for the given origin. `mode` is 'header' (Authorization: Bearer) or
+// 'query' (appends `queryParam=<token>`, for CDNs that can't read headers).
+export const createShakaAuthFilter = (shaka, tokenService, { mode = 'header', queryParam = 'token', origin }) => {
+  const { MANIFEST, SEGMENT } = shaka.net.NetworkingEngine.RequestType;
+
+  const shouldAuthorize = (uri) => {
+    try {
+      const url = new URL(uri);
+      return (url.protocol === 'http:' || url.protocol === 'https:') && (!origin || url.origin === origin);
+    } catch (e) {
+      return false;
+    }
+  };
+
+  return async (type, request) => {
+    if (type !== MANIFEST && type !== SEGMENT) return;
+    if (!request.uris.some(shouldAuthorize)) return;
+
+    const token = await tokenService.getToken();
+    if (mode === 'query') {
+      request.uris = request.uris.map((uri) => {
+        if (!shouldAuthorize(uri)) return uri;
+        const url = new URL(uri);
+        url.searchParams.set(queryParam, token);
+        return url.toString();
+      });
+    } else {
+      request.headers['Authorization'] = `Bearer ${token}`;
+    }
+  };
+};
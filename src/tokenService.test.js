@@ -0,0 +1,74 @@
+import { createTokenService, decodeJwtExpiry } from './tokenService';
+
+const makeJwt = (payload) => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('decodes the JWT expiry and ignores opaque tokens', () => {
+  expect(decodeJwtExpiry(makeJwt({ exp: 1700000000 }))).toBe(1700000000000);
+  expect(decodeJwtExpiry('not-a-jwt')).toBeNull();
+});
+
+test('shares one in-flight request and caches until close to expiry', async () => {
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const fetchToken = jest.fn().mockResolvedValue(makeJwt({ exp }));
+  const service = createTokenService({ fetchToken });
+
+  const [a, b] = await Promise.all([service.getToken(), service.getToken()]);
+  expect(a).toBe(b);
+  await service.getToken();
+  expect(fetchToken).toHaveBeenCalledTimes(1);
+  service.destroy();
+});
+
+test('refetches once the cached token is inside the refresh leeway', async () => {
+  const fetchToken = jest.fn()
+    .mockResolvedValueOnce(makeJwt({ exp: Math.floor(Date.now() / 1000) + 30 }))
+    .mockResolvedValueOnce('second');
+  const service = createTokenService({ fetchToken, refreshLeewayMs: 60000 });
+
+  await service.getToken();
+  expect(await service.getToken()).toBe('second');
+  service.destroy();
+});
+
+test('resumes refreshing when subscribed again after destroy', async () => {
+  jest.useFakeTimers();
+  try {
+    const fetchToken = jest.fn().mockResolvedValue('refreshed');
+    const service = createTokenService({ fetchToken, refreshLeewayMs: 60000 });
+    service.setToken(makeJwt({ exp: Math.floor(Date.now() / 1000) + 120 }));
+
+    // StrictMode runs the effect cleanup, then the effect again.
+    service.destroy();
+    const listener = jest.fn();
+    service.subscribe(listener);
+    jest.advanceTimersByTime(60000);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+    service.destroy();
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('retries once with a fresh token after a 401', async () => {
+  const fetchToken = jest.fn().mockResolvedValueOnce('stale').mockResolvedValueOnce('fresh');
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce({ status: 401 })
+    .mockResolvedValueOnce({ status: 200 });
+  const service = createTokenService({ fetchToken });
+
+  const response = await service.fetchWithAuth('https://api.example.com/regions', { method: 'POST' });
+  expect(response.status).toBe(200);
+  expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer stale');
+  expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh');
+  service.destroy();
+});
@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { DEFAULT_AUDIO_FOCUS, MIX_KEY, audioSourceKey, listAudioSources, chooseAudio } from './audioFocus';
+import { regionLabel } from './layoutSummary';
+
+/**
+ * Audio focus on top of the player (see audioFocus.js): lists the audio
+ * sources of the playing layout and plays the one the viewer soloed, else the
+ * mix. The choice is kept across layout switches and re-applied after each
+ * load.
+ *
+ * @param {Object} options
+ * @param {function(): ?shaka.Player} options.getPlayer
+ * @param {function(): ?HTMLVideoElement} options.getVideo
+ * @param {boolean} options.isPlayerReady
+ * @param {?Object} options.layout             The loaded layout (its EXT-X-MEDIA entries name sources).
+ * @param {Object} options.log                 Category logger.
+ * @return {{
+ *   audioSources: Array<{ key: string, source: ?Object, label: string, track: Object }>,
+ *   audioFocus: { solo: ?string, muted: Array<string>, followRegions: boolean },
+ *   playingAudio: ?string,                     Key of the source on air.
+ *   soloAudioSource: function(?string): void,  A source key, or null for the mix.
+ *   toggleAudioMute: function(string): void,
+ *   setAudioFollowsRegions: function(boolean): void,
+ *   focusAudioOnRegion: function(Object): void,
+ * }}
+ */
+const useAudioFocus = ({ getPlayer, getVideo, isPlayerReady, layout, log }) => {
+  const [audioSources, setAudioSources] = useState([]);
+  const [audioFocus, setAudioFocus] = useState(DEFAULT_AUDIO_FOCUS);
+  const [playingAudio, setPlayingAudio] = useState(null);
+  // Whether the mixer muted the video, so it only unmutes what it muted.
+  const mutedByMixerRef = useRef(false);
+
+  // Shaka's audio tracks change with every load and variant switch.
+  useEffect(() => {
+    const player = getPlayer();
+    if (!isPlayerReady || !player) return;
+    const updateSources = () => {
+      const next = listAudioSources(player.getAudioTracks(), layout?.media);
+      setAudioSources(current => (JSON.stringify(current) === JSON.stringify(next) ? current : next));
+    };
+    updateSources();
+    const events = ['trackschanged', 'variantchanged', 'audiotrackschanged'];
+    events.forEach(type => player.addEventListener(type, updateSources));
+    return () => events.forEach(type => player.removeEventListener(type, updateSources));
+  }, [isPlayerReady, layout, getPlayer]);
+
+  // Plays (and mutes) what the focus asks for whenever it or the tracks change.
+  useEffect(() => {
+    const player = getPlayer();
+    const video = getVideo();
+    const choice = chooseAudio(audioSources, audioFocus);
+    if (!player || !video || !choice) {
+      setPlayingAudio(null);
+      return;
+    }
+    const { source, muted, soloMissing } = choice;
+    if (!source.track.active) {
+      player.selectAudioTrack(source.track);
+      log.info(soloMissing
+        ? `${layout?.name} has no audio of its own for the soloed source, playing ${source.label}`
+        : `Playing audio: ${source.label}`, { source: source.source, label: source.track.label });
+    }
+    setPlayingAudio(source.key);
+    if (muted && !video.muted) {
+      video.muted = true;
+      mutedByMixerRef.current = true;
+    } else if (!muted && mutedByMixerRef.current) {
+      video.muted = false;
+      mutedByMixerRef.current = false;
+    }
+  }, [audioSources, audioFocus, layout, getPlayer, getVideo, log]);
+
+  const soloAudioSource = useCallback((key) => {
+    setAudioFocus(current => ({ ...current, solo: key === MIX_KEY ? null : key }));
+  }, []);
+
+  const toggleAudioMute = useCallback((key) => {
+    setAudioFocus(current => ({
+      ...current,
+      muted: current.muted.includes(key) ? current.muted.filter(k => k !== key) : [...current.muted, key],
+    }));
+  }, []);
+
+  const setAudioFollowsRegions = useCallback((followRegions) => {
+    setAudioFocus(current => ({ ...current, followRegions }));
+  }, []);
+
+  // A clicked participant with audio of their own gets the focus.
+  const focusAudioOnRegion = useCallback((region) => {
+    if (!audioFocus.followRegions || !region.source_type) return;
+    const key = audioSourceKey(region);
+    if (key === audioFocus.solo || !audioSources.some(s => s.key === key)) return;
+    log.info(`Focusing audio on ${regionLabel(region)}`, { source: { source_type: region.source_type, source_idx: region.source_idx } });
+    soloAudioSource(key);
+  }, [audioFocus, audioSources, soloAudioSource, log]);
+
+  return {
+    audioSources,
+    audioFocus,
+    playingAudio,
+    soloAudioSource,
+    toggleAudioMute,
+    setAudioFollowsRegions,
+    focusAudioOnRegion,
+  };
+};
+
+export default useAudioFocus;
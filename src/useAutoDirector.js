@@ -0,0 +1,173 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { normalizeDirector, nextPlayableStep, SYSTEM_LAYOUT_SOURCES } from './director';
+import { layoutForSpeaker } from './activeSpeaker';
+import { regionLabel } from './layoutSummary';
+import useLatest from './useLatest';
+
+/**
+ * Runs the auto-director (see director.js) on top of the player's own
+ * switching: decisions go through selectLayout with source 'director'.
+ *
+ * @param {Object} options
+ * @param {?Object} options.director           The `director` option, null when off.
+ * @param {Array<Object>} options.layouts
+ * @param {string} options.selectedLayout
+ * @param {?string} options.layoutSource       Source of the current layout's history entry.
+ * @param {boolean} options.isLoading          A manifest is loading (switches are refused).
+ * @param {Array<string>} options.unavailableLayouts
+ * @param {Array<Object>} options.allLayoutRegions
+ * @param {?Object} options.activeSpeaker      { source_type, source_idx } from the stream, or null.
+ * @param {function(string, string): boolean} options.selectLayout
+ * @param {Object} options.log                 Category logger.
+ * @return {{
+ *   directorState: { mode: ?string, status: string, resumeAt: ?number, lastDecision: ?Object },
+ *   pauseDirector: function(): void,
+ *   resumeDirector: function(): void,
+ * }}  status is 'off', 'running', 'paused' or 'finished'.
+ */
+const useAutoDirector = ({
+  director,
+  layouts,
+  selectedLayout,
+  layoutSource,
+  isLoading,
+  unavailableLayouts,
+  allLayoutRegions,
+  activeSpeaker,
+  selectLayout,
+  log,
+}) => {
+  const settings = useMemo(() => normalizeDirector(director), [director]);
+  const [status, setStatus] = useState('off');
+  const [resumeAt, setResumeAt] = useState(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [lastDecision, setLastDecision] = useState(null);
+  // Bumped when a speaker change waited out the minimum hold.
+  const [holdTick, setHoldTick] = useState(0);
+
+  // The layout the director asked for last, to tell its switches from the viewer's.
+  const requestedRef = useRef(null);
+  const lastChangeAtRef = useRef(0);
+  // The schedule or rotation step playing: { stepIndex, next, layout, reason, endsAt }.
+  // Kept across re-runs (a reload, say) so they neither restart it nor decide it again.
+  const stepRef = useRef(null);
+  const latestRef = useLatest({ layouts, selectedLayout, layoutSource, unavailableLayouts, selectLayout, status });
+
+  useEffect(() => {
+    setStatus(settings ? 'running' : 'off');
+    setResumeAt(null);
+    setStepIndex(0);
+    stepRef.current = null;
+    requestedRef.current = null;
+    if (settings) log.info(`Director started (${settings.mode})`, settings);
+  }, [settings, log]);
+
+  const decide = useCallback((layoutName, reason, details) => {
+    const { selectedLayout: current, selectLayout: select } = latestRef.current;
+    setLastDecision({ layout: layoutName, reason, at: Date.now() });
+    if (layoutName === current) {
+      log.info(`Director: staying on ${layoutName} (${reason})`, { layout: layoutName, reason, ...details });
+      return;
+    }
+    requestedRef.current = layoutName;
+    const accepted = select(layoutName, 'director');
+    log.info(`Director: ${accepted ? 'switching to' : 'could not switch to'} ${layoutName} (${reason})`, {
+      layout: layoutName,
+      from: current || null,
+      reason,
+      ...details,
+    });
+  }, [latestRef, log]);
+
+  const pauseDirector = useCallback((reason = 'paused by the viewer') => {
+    if (!settings) return;
+    const until = settings.resumeAfterMs > 0 ? Date.now() + settings.resumeAfterMs : null;
+    setStatus('paused');
+    setResumeAt(until);
+    // Resuming plays the step from its start again.
+    stepRef.current = null;
+    log.info(`Director paused: ${reason}${until ? `, resuming in ${Math.round(settings.resumeAfterMs / 1000)}s` : ''}`, { reason, resumeAt: until });
+  }, [settings, log]);
+
+  const resumeDirector = useCallback((reason = 'resumed by the viewer') => {
+    if (!settings || latestRef.current.status !== 'paused') return;
+    setStatus('running');
+    setResumeAt(null);
+    log.info(`Director resumed: ${reason}`);
+  }, [settings, latestRef, log]);
+
+  // Any layout change the director didn't ask for is the viewer taking over.
+  useEffect(() => {
+    if (!selectedLayout) return;
+    lastChangeAtRef.current = Date.now();
+    const { status: current, layoutSource: source } = latestRef.current;
+    if (current !== 'running' && current !== 'paused') return;
+    if (selectedLayout === requestedRef.current || SYSTEM_LAYOUT_SOURCES.includes(source)) return;
+    pauseDirector(`viewer switched to ${selectedLayout} (${source})`);
+  }, [selectedLayout, pauseDirector, latestRef]);
+
+  useEffect(() => {
+    if (status !== 'paused' || resumeAt === null) return;
+    const timer = setTimeout(() => resumeDirector('pause timed out'), Math.max(0, resumeAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [status, resumeAt, resumeDirector]);
+
+  // Schedule and rotation: one step at a time, each on its own timer.
+  const hasLayouts = layouts.length > 0;
+  useEffect(() => {
+    if (status !== 'running' || !settings || settings.mode === 'active-speaker' || !hasLayouts || isLoading) return;
+    const { layouts: current, unavailableLayouts: unavailable, selectedLayout: shown } = latestRef.current;
+    let step = stepRef.current?.stepIndex === stepIndex ? stepRef.current : null;
+    if (!step) {
+      const next = nextPlayableStep(settings, current.map(l => l.name), name => !unavailable.includes(name), stepIndex);
+      if (!next) {
+        log.info(settings.mode === 'schedule' ? 'Director: schedule finished' : 'Director: no layout to rotate through');
+        setStatus('finished');
+        return;
+      }
+      if (next.skipped.length > 0) {
+        log.warn(`Director: skipping ${next.skipped.join(', ')} (not in the stream or unavailable)`, { skipped: next.skipped });
+      }
+      const reason = settings.mode === 'schedule'
+        ? `schedule step ${(next.index % settings.schedule.length) + 1} of ${settings.schedule.length}`
+        : 'rotation';
+      step = { stepIndex, next: next.index + 1, layout: next.layout, reason, endsAt: Date.now() + next.durationMs };
+      stepRef.current = step;
+      decide(step.layout, reason, { durationMs: next.durationMs });
+    } else if (step.layout !== shown) {
+      // A reload started the stream over on another layout; the step still has time left.
+      decide(step.layout, step.reason, { remainingMs: Math.max(0, step.endsAt - Date.now()) });
+    }
+    const { next: nextIndex, endsAt } = step;
+    const timer = setTimeout(() => setStepIndex(nextIndex), Math.max(0, endsAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [status, settings, stepIndex, hasLayouts, isLoading, decide, latestRef, log]);
+
+  // Active speaker: the layout focusing on whoever speaks, held for a minimum time.
+  useEffect(() => {
+    if (status !== 'running' || settings?.mode !== 'active-speaker' || !activeSpeaker || isLoading) return;
+    const { layouts: current, selectedLayout: shown } = latestRef.current;
+    const speaker = regionLabel(activeSpeaker);
+    const target = layoutForSpeaker(allLayoutRegions, activeSpeaker, shown, current);
+    if (!target) {
+      log.info(`Director: no layout focuses on ${speaker}, staying on ${shown}`, { speaker: activeSpeaker });
+      return;
+    }
+    if (target === shown) return;
+    const heldMs = Date.now() - lastChangeAtRef.current;
+    if (heldMs < settings.minHoldMs) {
+      log.debug(`Director: ${speaker} is speaking, waiting ${Math.round((settings.minHoldMs - heldMs) / 1000)}s before leaving ${shown}`);
+      const timer = setTimeout(() => setHoldTick(tick => tick + 1), settings.minHoldMs - heldMs);
+      return () => clearTimeout(timer);
+    }
+    decide(target, `active speaker: ${speaker}`, { speaker: activeSpeaker });
+  }, [status, settings, activeSpeaker, allLayoutRegions, isLoading, holdTick, decide, latestRef, log]);
+
+  return {
+    directorState: { mode: settings?.mode || null, status, resumeAt, lastDecision },
+    pauseDirector,
+    resumeDirector,
+  };
+};
+
+export default useAutoDirector;
@@ -0,0 +1,65 @@
+import { renderHook, act } from '@testing-library/react';
+import useAutoDirector from './useAutoDirector';
+
+const DIRECTOR = {
+  mode: 'schedule',
+  schedule: [{ layout: 'gallery', durationMs: 10000 }, { layout: 'speaker', durationMs: 10000 }],
+};
+const LAYOUTS = [{ name: 'gallery' }, { name: 'speaker' }];
+
+const renderDirector = () => {
+  const selectLayout = jest.fn(() => true);
+  const log = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const props = {
+    director: DIRECTOR,
+    layouts: LAYOUTS,
+    selectedLayout: 'gallery',
+    layoutSource: 'initial',
+    isLoading: false,
+    unavailableLayouts: [],
+    allLayoutRegions: [],
+    activeSpeaker: null,
+    selectLayout,
+    log,
+  };
+  const { rerender } = renderHook((overrides) => useAutoDirector({ ...props, ...overrides }), { initialProps: {} });
+  return { rerender, selectLayout, log };
+};
+
+const decisions = (log) => log.info.mock.calls.map(([message]) => message).filter(m => m.startsWith('Director: '));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('a reload neither restarts the running schedule step nor decides it again', () => {
+  const { rerender, selectLayout, log } = renderDirector();
+  act(() => jest.advanceTimersByTime(6000));
+
+  rerender({ isLoading: true });
+  rerender({ isLoading: false });
+  act(() => jest.advanceTimersByTime(3999));
+
+  expect(selectLayout).not.toHaveBeenCalled();
+  expect(decisions(log)).toEqual(['Director: staying on gallery (schedule step 1 of 2)']);
+
+  act(() => jest.advanceTimersByTime(1));
+  expect(selectLayout).toHaveBeenCalledWith('speaker', 'director');
+});
+
+test('returns to the step layout when a reload started the stream on another one', () => {
+  const { rerender, selectLayout } = renderDirector();
+  act(() => jest.advanceTimersByTime(6000));
+
+  rerender({ isLoading: true });
+  rerender({ isLoading: false, selectedLayout: 'speaker' });
+
+  expect(selectLayout).toHaveBeenCalledWith('gallery', 'director');
+  rerender({ selectedLayout: 'gallery', layoutSource: 'director' });
+  act(() => jest.advanceTimersByTime(4000));
+  expect(selectLayout).toHaveBeenLastCalledWith('speaker', 'director');
+});
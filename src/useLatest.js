@@ -0,0 +1,13 @@
+import { useRef, useEffect } from 'react';
+
+// Holds the latest value so effects can call the caller's callbacks without
+// re-running. Effects that read it have to come after this call.
+const useLatest = (value) => {
+  const ref = useRef(value);
+  useEffect(() => {
+    ref.current = value;
+  });
+  return ref;
+};
+
+export default useLatest;
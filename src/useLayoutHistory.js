@@ -0,0 +1,116 @@
+import { useReducer, useRef, useEffect, useCallback } from 'react';
+
+// --- Layout navigation history ---
+// Every layout transition (region click, layout picker, programmatic) goes through
+// this stack. Entries are mirrored into the browser history so the Back and
+// Forward buttons move between layouts instead of leaving the page.
+
+const HISTORY_STATE_KEY = 'multiLayoutPlayer';
+
+const initialState = { entries: [], index: -1 };
+
+export const layoutHistoryReducer = (state, action) => {
+  switch (action.type) {
+    case 'reset':
+      return action.layout
+        ? { entries: [{ layout: action.layout, source: action.source }], index: 0 }
+        : initialState;
+    case 'navigate': {
+      if (state.entries[state.index]?.layout === action.layout) return state;
+      const entries = [...state.entries.slice(0, state.index + 1), { layout: action.layout, source: action.source }];
+      return { entries, index: entries.length - 1 };
+    }
+    case 'replace': {
+      if (state.index < 0) return layoutHistoryReducer(state, { ...action, type: 'reset' });
+      const entries = [...state.entries];
+      entries[state.index] = { layout: action.layout, source: action.source };
+      return { ...state, entries };
+    }
+    case 'go': {
+      const index = Math.max(0, Math.min(action.index, state.entries.length - 1));
+      return index === state.index ? state : { ...state, index };
+    }
+    default:
+      return state;
+  }
+};
+
+const browserState = (sessionKey, index, layout) => ({
+  ...window.history.state,
+  [HISTORY_STATE_KEY]: { sessionKey, index, layout },
+});
+
+const useLayoutHistory = (sessionKey, log) => {
+  const [state, dispatch] = useReducer(layoutHistoryReducer, initialState);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // Browser Back/Forward: jump to whichever of our entries the browser landed on.
+  useEffect(() => {
+    const handlePopState = (event) => {
+      const entry = event.state?.[HISTORY_STATE_KEY];
+      if (!entry || entry.sessionKey !== sessionKey) return;
+      const current = stateRef.current.entries[stateRef.current.index];
+      log.info(`Layout history: ${current?.layout || '(none)'} -> ${entry.layout} (browser navigation)`, { from: current?.layout || null, to: entry.layout, source: 'browser' });
+      dispatch({ type: 'go', index: entry.index });
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [sessionKey, log]);
+
+  const reset = useCallback((layout, source = 'initial') => {
+    dispatch({ type: 'reset', layout, source });
+    if (layout) {
+      window.history.replaceState(browserState(sessionKey, 0, layout), '');
+    }
+  }, [sessionKey]);
+
+  const navigate = useCallback((layout, source) => {
+    const { entries, index } = stateRef.current;
+    const from = entries[index]?.layout;
+    if (!layout || from === layout) return;
+    log.info(`Layout history: ${from || '(none)'} -> ${layout} (${source})`, { from: from || null, to: layout, source });
+    dispatch({ type: 'navigate', layout, source });
+    window.history.pushState(browserState(sessionKey, index + 1, layout), '');
+  }, [sessionKey, log]);
+
+  // Swaps the current entry without adding a step, e.g. when a layout disappears.
+  const replace = useCallback((layout, source) => {
+    const { entries, index } = stateRef.current;
+    log.info(`Layout history: replacing ${entries[index]?.layout || '(none)'} with ${layout} (${source})`, { from: entries[index]?.layout || null, to: layout, source });
+    dispatch({ type: 'replace', layout, source });
+    window.history.replaceState(browserState(sessionKey, Math.max(index, 0), layout), '');
+  }, [sessionKey, log]);
+
+  // Moves within the stack through the browser so both histories stay aligned;
+  // the popstate handler applies the change.
+  const go = useCallback((targetIndex) => {
+    const { entries, index } = stateRef.current;
+    if (targetIndex < 0 || targetIndex >= entries.length || targetIndex === index) return;
+    window.history.go(targetIndex - index);
+  }, []);
+
+  const back = useCallback(() => go(stateRef.current.index - 1), [go]);
+  const forward = useCallback(() => go(stateRef.current.index + 1), [go]);
+  const home = useCallback(() => {
+    const homeLayout = stateRef.current.entries[0]?.layout;
+    if (homeLayout) navigate(homeLayout, 'home');
+  }, [navigate]);
+
+  return {
+    entries: state.entries,
+    index: state.index,
+    current: state.entries[state.index]?.layout || null,
+    canGoBack: state.index > 0,
+    canGoForward: state.index < state.entries.length - 1,
+    reset,
+    navigate,
+    replace,
+    go,
+    back,
+    forward,
+    home,
+  };
+};
+
+export default useLayoutHistory;
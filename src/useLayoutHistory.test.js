@@ -0,0 +1,31 @@
+import { layoutHistoryReducer } from './useLayoutHistory';
+
+const apply = (actions) => actions.reduce(layoutHistoryReducer, { entries: [], index: -1 });
+
+test('navigating after going back drops the forward entries', () => {
+  const state = apply([
+    { type: 'reset', layout: 'gallery', source: 'initial' },
+    { type: 'navigate', layout: 'speaker-1', source: 'region' },
+    { type: 'navigate', layout: 'speaker-2', source: 'region' },
+    { type: 'go', index: 0 },
+    { type: 'navigate', layout: 'screen', source: 'dropdown' },
+  ]);
+  expect(state.entries.map(e => e.layout)).toEqual(['gallery', 'screen']);
+  expect(state.index).toBe(1);
+});
+
+test('navigating to the current layout is a no-op', () => {
+  const start = apply([{ type: 'reset', layout: 'gallery' }]);
+  expect(layoutHistoryReducer(start, { type: 'navigate', layout: 'gallery' })).toBe(start);
+});
+
+test('replace swaps the current entry in place and go clamps to the stack', () => {
+  const state = apply([
+    { type: 'reset', layout: 'gallery' },
+    { type: 'navigate', layout: 'speaker-1' },
+    { type: 'replace', layout: 'speaker-2' },
+    { type: 'go', index: 10 },
+  ]);
+  expect(state.entries.map(e => e.layout)).toEqual(['gallery', 'speaker-2']);
+  expect(state.index).toBe(1);
+});
@@ -0,0 +1,394 @@
+import { useState, useEffect, useRef, useCallback, useReducer } from 'react';
+import { captureVideoFrame, waitForNextFrame, onNextFrame } from './videoFrames';
+import { findLayoutByName } from './layouts';
+import { ALIGNMENT_TOLERANCE_S, playheadWallClock, presentationTimeForWallClock, clampToRange } from './programDateTime';
+import { effectiveMaxHeight } from './renditions';
+import {
+  SWITCH_RETRY,
+  classifyLoadError,
+  retryDelayMs,
+  pickRecoveryLayout,
+  initialSwitchState,
+  switchReducer,
+} from './layoutSwitch';
+import useLatest from './useLatest';
+
+// --- Layout switching tuning ---
+// How many click-target layouts are kept buffering in the background.
+const MAX_PRELOADED_LAYOUTS = 3;
+// Preloads older than this are rebuilt so live layouts don't start behind the edge.
+const PRELOAD_MAX_AGE_MS = 20000;
+
+// DASH layouts share one MPD; the label tells Shaka which adaptation set to
+// play. Taken at load and preload time, so it doesn't touch what is playing.
+const configureLayoutSelection = (player, layout) => {
+  player.configure({ preferredVideoLabel: layout.videoLabel || '' });
+};
+
+/**
+ * Loads the selected layout into the player (see layoutSwitch.js): holds the
+ * last frame while it loads, keeps the wall-clock position, retries transient
+ * failures and falls back to a layout that plays when it can't. Layouts a
+ * region click can reach are preloaded in the background.
+ *
+ * @param {Object} options
+ * @param {function(): ?shaka.Player} options.getPlayer
+ * @param {function(): ?HTMLVideoElement} options.getVideo
+ * @param {boolean} options.isPlayerReady
+ * @param {Array<Object>} options.layouts
+ * @param {string} options.selectedLayout
+ * @param {?string} options.layoutSource          What asked for the selected layout (region, controls...).
+ * @param {boolean} options.isLoading             A manifest is loading; nothing switches meanwhile.
+ * @param {Array<Object>} options.regions         Regions on screen; their layouts get preloaded.
+ * @param {?number} options.maxResolution
+ * @param {function(): ?Object} options.getQoeTracker
+ * @param {function(): void} options.clearInBandCues  Drops regions and speakers described in the stream.
+ * @param {function(): void} options.clearError
+ * @param {function(string, *): void} options.reportError
+ * @param {function(string, string): void} options.replaceLayout  Layout history replace(layout, source).
+ * @param {Object} options.log                    Category loggers (layout, player).
+ * @return {{
+ *   freezeFrameRef: Object,       Canvas holding the last frame during a switch.
+ *   currentLayoutRef: Object,     Layout in the player, null until one loaded.
+ *   loadedLayout: ?string,        Same, as state.
+ *   isSwitching: boolean,
+ *   switchState: Object,          See layoutSwitch.js.
+ *   setNextStartTime: function(?number): void,  Position for the next load.
+ *   discardPreload: function(string): void,
+ *   restoreLayouts: function(Array<string>): void,  Gives layouts that failed another chance.
+ *   dismissSwitchProblem: function(): void,
+ *   resetSwitching: function(): void,
+ * }}
+ */
+const useLayoutSwitching = ({
+  getPlayer,
+  getVideo,
+  isPlayerReady,
+  layouts,
+  selectedLayout,
+  layoutSource,
+  isLoading,
+  regions,
+  maxResolution,
+  getQoeTracker,
+  clearInBandCues,
+  clearError,
+  reportError,
+  replaceLayout,
+  log,
+}) => {
+  const [isSwitching, setIsSwitching] = useState(false);
+  // Layout whose load finished last.
+  const [loadedLayout, setLoadedLayout] = useState(null);
+  // Progress of the running switch, failures and unavailable layouts.
+  const [switchState, dispatchSwitch] = useReducer(switchReducer, initialSwitchState);
+
+  const currentLayoutRef = useRef(null);
+  const freezeFrameRef = useRef(null);
+  // layout name -> { promise: Promise<PreloadManager>, createdAt }
+  const preloadsRef = useRef(new Map());
+  const pendingStartTimeRef = useRef(null);
+  // The pending first-frame wait of the last load.
+  const cancelFrameWaitRef = useRef(null);
+  // The running switch ({ id, target, timer }); a new id supersedes it.
+  const switchRef = useRef({ id: 0, target: null, timer: null });
+  // Layout a failed switch is returning to, so its load shows as a recovery.
+  const recoveryRef = useRef(null);
+
+  const layoutsRef = useLatest(layouts);
+  const layoutSourceRef = useLatest(layoutSource);
+  const maxResolutionRef = useLatest(maxResolution);
+  const switchFailuresRef = useLatest(switchState.failures);
+
+  // --- Background preloading of switch targets ---
+  const discardPreload = useCallback((layoutName) => {
+    const entry = preloadsRef.current.get(layoutName);
+    if (!entry) return;
+    preloadsRef.current.delete(layoutName);
+    entry.promise.then(manager => manager?.destroy()).catch(() => {});
+  }, []);
+
+  // Hands a finished preload over to the caller; stale or failed preloads yield null.
+  const takePreload = useCallback(async (layoutName) => {
+    const entry = preloadsRef.current.get(layoutName);
+    if (!entry) return null;
+    preloadsRef.current.delete(layoutName);
+    const manager = await entry.promise.catch(() => null);
+    if (manager && Date.now() - entry.createdAt > PRELOAD_MAX_AGE_MS) {
+      manager.destroy().catch(() => {});
+      return null;
+    }
+    return manager;
+  }, []);
+
+  // Stops whatever switch is running or waiting to retry.
+  const abandonSwitch = useCallback(() => {
+    clearTimeout(switchRef.current.timer);
+    switchRef.current = { id: switchRef.current.id + 1, target: null, timer: null };
+    recoveryRef.current = null;
+  }, []);
+
+  // Forgets the player's layout for a new stream.
+  const resetSwitching = useCallback(() => {
+    abandonSwitch();
+    dispatchSwitch({ type: 'reset' });
+    setIsSwitching(false);
+    for (const layoutName of Array.from(preloadsRef.current.keys())) {
+      discardPreload(layoutName);
+    }
+    currentLayoutRef.current = null;
+    setLoadedLayout(null);
+    pendingStartTimeRef.current = null;
+    cancelFrameWaitRef.current?.();
+  }, [abandonSwitch, discardPreload]);
+
+  const setNextStartTime = useCallback((startTime) => {
+    pendingStartTimeRef.current = startTime;
+  }, []);
+
+  const restoreLayouts = useCallback((layoutNames) => dispatchSwitch({ type: 'restore', layouts: layoutNames }), []);
+  const dismissSwitchProblem = useCallback(() => dispatchSwitch({ type: 'dismiss' }), []);
+
+  // The player takes its preloads with it when it goes.
+  useEffect(() => {
+    const preloads = preloadsRef.current;
+    return () => {
+      abandonSwitch();
+      preloads.clear();
+    };
+  }, [abandonSwitch]);
+
+  useEffect(() => {
+    const player = getPlayer();
+    if (!selectedLayout || !isPlayerReady || !layouts.length || isLoading || !player) return;
+
+    const layoutData = layouts.find(l => l.name === selectedLayout);
+    if (!layoutData) return;
+    // Re-runs for other reasons (a live layout refresh, say) leave a running switch alone.
+    if (switchRef.current.target === selectedLayout) return;
+    if (currentLayoutRef.current === selectedLayout) {
+      if (switchRef.current.target === null) return;
+      // Back before the switch away finished: the player may already be loading
+      // the other layout, so this one is loaded again and that switch dropped.
+      log.layout.info(`Back to ${selectedLayout} before ${switchRef.current.target} finished loading`);
+    }
+
+    // A newer switch wins: the one running notices at its next step and stops.
+    clearTimeout(switchRef.current.timer);
+    const switchId = switchRef.current.id + 1;
+    switchRef.current = { id: switchId, target: selectedLayout, timer: null };
+    const isSuperseded = () => switchRef.current.id !== switchId;
+    const recovering = recoveryRef.current === selectedLayout;
+    recoveryRef.current = null;
+
+    const loadLayout = async () => {
+      setIsSwitching(true);
+      clearError();
+      dispatchSwitch({ type: 'start', target: selectedLayout, recovering });
+      const video = getVideo();
+      const freezeFrame = freezeFrameRef.current;
+      const currentTime = video?.currentTime || 0;
+      const requestedStartTime = pendingStartTimeRef.current;
+      pendingStartTimeRef.current = null;
+      const startTime = requestedStartTime ?? (currentTime > 1 ? currentTime : 0);
+      const previousLayout = currentLayoutRef.current;
+      const wasLive = player.isLive();
+      // Media times differ between layouts; the wall-clock instant doesn't.
+      const wallClockMs = previousLayout !== null && requestedStartTime === null ? playheadWallClock(player) : null;
+      const qoeTracker = getQoeTracker();
+      cancelFrameWaitRef.current?.();
+      // In-band regions of the previous layout don't describe the next one.
+      clearInBandCues();
+      if (previousLayout === null) qoeTracker?.loadStarted(selectedLayout);
+      else qoeTracker?.switchStarted(previousLayout, selectedLayout, layoutSourceRef.current);
+
+      // Hold the last frame of the old layout on screen while the new one loads.
+      const frozen = currentLayoutRef.current !== null && captureVideoFrame(video, freezeFrame);
+      if (frozen) freezeFrame.classList.add('visible');
+
+      // Cap from the parsed ladder up front so the first segments already respect it.
+      const maxHeight = effectiveMaxHeight(layoutData.variants.map(v => v.resolution?.height), maxResolutionRef.current);
+      player.configure({ restrictions: { maxHeight } });
+      configureLayoutSelection(player, layoutData);
+
+      try {
+        let preloaded = await takePreload(selectedLayout);
+        for (let attempt = 1; ; attempt++) {
+          try {
+            if (preloaded) {
+              log.layout.info(`Switching to preloaded layout: ${selectedLayout}`, { preloaded: true });
+              await player.load(preloaded);
+            } else {
+              log.layout.info(`Switching to layout: ${selectedLayout}`, { preloaded: false, attempt });
+              await player.load(layoutData.masterUrl, startTime, layoutData.mimeType);
+            }
+            break;
+          } catch (error) {
+            if (isSuperseded() || classifyLoadError(error) !== 'transient' || attempt >= SWITCH_RETRY.maxAttempts) throw error;
+            const delayMs = retryDelayMs(attempt);
+            log.layout.warn(`Loading ${selectedLayout} failed (${error.message}), retrying in ${delayMs / 1000}s (attempt ${attempt + 1} of ${SWITCH_RETRY.maxAttempts})`, {
+              code: error.code,
+              attempt,
+              delayMs,
+            });
+            dispatchSwitch({ type: 'retry', retryAt: Date.now() + delayMs });
+            // A preload that failed once is not worth another go.
+            preloaded = null;
+            await new Promise((resolve) => {
+              switchRef.current.timer = setTimeout(resolve, delayMs);
+            });
+            if (isSuperseded()) return;
+            dispatchSwitch({ type: 'attempt' });
+          }
+        }
+        if (isSuperseded()) return;
+
+        const syncTime = wallClockMs === null ? null : presentationTimeForWallClock(player, wallClockMs);
+        if (syncTime !== null) {
+          const range = player.seekRange();
+          const position = clampToRange(syncTime, range);
+          if (position !== syncTime) {
+            log.layout.warn(`${selectedLayout} has no media for ${new Date(wallClockMs).toISOString()} (available ${Math.floor(range.start)}-${Math.floor(range.end)}s), resuming at the closest position`);
+          }
+          if (Math.abs(video.currentTime - position) > ALIGNMENT_TOLERANCE_S) video.currentTime = position;
+        } else {
+          if (wallClockMs !== null) {
+            log.layout.warn(`${selectedLayout} has no EXT-X-PROGRAM-DATE-TIME, resuming at the same media time instead`);
+          }
+          // Preloads are created ahead of time, so VOD needs the playhead realigned.
+          if (preloaded && !player.isLive() && Math.abs(video.currentTime - startTime) > 0.25) {
+            video.currentTime = startTime;
+          }
+        }
+
+        currentLayoutRef.current = selectedLayout;
+        setLoadedLayout(selectedLayout);
+        dispatchSwitch({ type: 'succeeded' });
+        cancelFrameWaitRef.current = onNextFrame(video, () => {
+          cancelFrameWaitRef.current = null;
+          qoeTracker?.firstFrame(selectedLayout);
+          // How far the first frame of the new layout is from the instant we left.
+          const landedMs = syncTime === null ? null : playheadWallClock(player);
+          if (landedMs !== null) {
+            const alignmentErrorMs = Math.round(landedMs - wallClockMs);
+            log.layout.info(`Program date time sync: ${selectedLayout} resumed ${alignmentErrorMs}ms from the previous position`, {
+              wallClock: new Date(wallClockMs).toISOString(),
+              mediaTime: syncTime,
+              alignmentErrorMs,
+            });
+          }
+        });
+        if (requestedStartTime !== null) {
+          const { start, end } = player.seekRange();
+          if (requestedStartTime < start || requestedStartTime > end) {
+            log.player.warn(`Start position ${requestedStartTime}s is outside the available range (${Math.floor(start)}-${Math.floor(end)}s), playback was clamped`);
+          } else {
+            log.player.info(`Resumed at ${requestedStartTime}s`);
+          }
+        }
+        if (frozen) await waitForNextFrame(video);
+        log.layout.info(`Successfully loaded: ${selectedLayout}`);
+      } catch (error) {
+        if (isSuperseded()) {
+          log.layout.debug(`Switch to ${selectedLayout} was superseded`);
+          return;
+        }
+        if (classifyLoadError(error) === 'superseded') {
+          log.layout.debug(`Loading ${selectedLayout} was interrupted`);
+          dispatchSwitch({ type: 'superseded' });
+          return;
+        }
+
+        log.layout.error(`Error loading layout: ${error.message}`, error);
+        qoeTracker?.switchFailed(error.message);
+        // Whatever the player held is gone; the next load starts from scratch.
+        currentLayoutRef.current = null;
+        setLoadedLayout(null);
+
+        const recoverTo = pickRecoveryLayout({
+          layouts: layoutsRef.current,
+          failed: selectedLayout,
+          lastGood: previousLayout,
+          failures: switchFailuresRef.current,
+        });
+        dispatchSwitch({ type: 'failed', message: error.message, recoverTo });
+        if (recoverTo) {
+          log.layout.warn(`Could not load ${selectedLayout}, returning to ${recoverTo}`, { failed: selectedLayout, recoverTo, code: error.code });
+          recoveryRef.current = recoverTo;
+          pendingStartTimeRef.current = wasLive ? null : startTime;
+          replaceLayout(recoverTo, 'recovery');
+        } else {
+          reportError(`Error loading layout: ${error.message}`, error);
+        }
+      } finally {
+        if (!isSuperseded()) {
+          freezeFrame?.classList.remove('visible');
+          setIsSwitching(false);
+          switchRef.current.target = null;
+        }
+      }
+    };
+    loadLayout();
+  }, [selectedLayout, isPlayerReady, layouts, isLoading, getPlayer, getVideo, getQoeTracker, clearInBandCues, clearError,
+    log, reportError, takePreload, layoutSourceRef, maxResolutionRef, layoutsRef, switchFailuresRef, replaceLayout]);
+
+  // Keep the layouts reachable by a region click buffering in the background,
+  // so a click becomes a swap instead of a full reload.
+  useEffect(() => {
+    const player = getPlayer();
+    if (!player || isLoading || isSwitching || currentLayoutRef.current !== selectedLayout) return;
+
+    const targets = [];
+    for (const region of regions) {
+      const target = findLayoutByName(layouts, region.parent_layout_name);
+      if (target && target.name !== selectedLayout && !targets.includes(target)) {
+        targets.push(target);
+      }
+    }
+    const wanted = targets.slice(0, MAX_PRELOADED_LAYOUTS);
+
+    for (const layoutName of Array.from(preloadsRef.current.keys())) {
+      if (!wanted.some(l => l.name === layoutName)) discardPreload(layoutName);
+    }
+
+    const startPreloads = () => {
+      const video = getVideo();
+      for (const layout of wanted) {
+        const existing = preloadsRef.current.get(layout.name);
+        if (existing && Date.now() - existing.createdAt <= PRELOAD_MAX_AGE_MS) continue;
+        if (existing) discardPreload(layout.name);
+
+        const startTime = player.isLive() ? null : (video?.currentTime || 0);
+        configureLayoutSelection(player, layout);
+        const promise = player.preload(layout.masterUrl, startTime, layout.mimeType);
+        promise.catch(error => {
+          log.layout.warn(`Preload failed for ${layout.name}: ${error.message}`, error);
+          if (preloadsRef.current.get(layout.name)?.promise === promise) {
+            preloadsRef.current.delete(layout.name);
+          }
+        });
+        preloadsRef.current.set(layout.name, { promise, createdAt: Date.now() });
+        log.layout.debug(`Preloading layout in background: ${layout.name}`);
+      }
+    };
+
+    startPreloads();
+    const refreshTimer = setInterval(startPreloads, PRELOAD_MAX_AGE_MS);
+    return () => clearInterval(refreshTimer);
+  }, [regions, layouts, selectedLayout, isLoading, isSwitching, getPlayer, getVideo, log, discardPreload]);
+
+  return {
+    freezeFrameRef,
+    currentLayoutRef,
+    loadedLayout,
+    isSwitching,
+    switchState,
+    setNextStartTime,
+    discardPreload,
+    restoreLayouts,
+    dismissSwitchProblem,
+    resetSwitching,
+  };
+};
+
+export default useLayoutSwitching;
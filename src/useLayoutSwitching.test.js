@@ -0,0 +1,72 @@
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useLayoutSwitching from './useLayoutSwitching';
+
+const LAYOUTS = ['A', 'X'].map(name => ({
+  name,
+  masterUrl: `https://cdn.example.com/meeting/${name}.m3u8`,
+  variants: [{ resolution: { width: 1280, height: 720 } }],
+}));
+
+// A player whose loads finish when the test says so.
+const createPlayer = () => {
+  const pending = new Map();
+  return {
+    pending,
+    load: jest.fn((uri) => new Promise((resolve) => pending.set(uri, resolve))),
+    configure() {},
+    isLive: () => false,
+    getManifest: () => null,
+    seekRange: () => ({ start: 0, end: 60 }),
+    preload: () => Promise.resolve(null),
+  };
+};
+
+const renderSwitching = (player) => {
+  const video = document.createElement('video');
+  const log = { debug() {}, info() {}, warn() {}, error() {} };
+  const props = {
+    getPlayer: () => player,
+    getVideo: () => video,
+    isPlayerReady: true,
+    layouts: LAYOUTS,
+    selectedLayout: 'A',
+    layoutSource: 'initial',
+    isLoading: false,
+    regions: [],
+    maxResolution: null,
+    getQoeTracker: () => null,
+    clearInBandCues() {},
+    clearError() {},
+    reportError: jest.fn(),
+    replaceLayout: jest.fn(),
+    log: { layout: log, player: log },
+  };
+  return renderHook((overrides) => useLayoutSwitching({ ...props, ...overrides }), { initialProps: {} });
+};
+
+const finishLoad = async (player, layoutName) => {
+  const uri = LAYOUTS.find(l => l.name === layoutName).masterUrl;
+  await waitFor(() => expect(player.pending.has(uri)).toBe(true));
+  await act(async () => player.pending.get(uri)());
+};
+
+test('going back before a switch finished loads the layout left, whatever the dropped switch does', async () => {
+  const player = createPlayer();
+  const { result, rerender } = renderSwitching(player);
+  await finishLoad(player, 'A');
+  expect(result.current.loadedLayout).toBe('A');
+
+  rerender({ selectedLayout: 'X' });
+  await waitFor(() => expect(player.load).toHaveBeenLastCalledWith(LAYOUTS[1].masterUrl, 0, undefined));
+
+  rerender({ selectedLayout: 'A' });
+  await waitFor(() => expect(player.load).toHaveBeenLastCalledWith(LAYOUTS[0].masterUrl, 0, undefined));
+  await finishLoad(player, 'A');
+  // The superseded load finishing late must not take over.
+  await finishLoad(player, 'X');
+
+  expect(result.current.loadedLayout).toBe('A');
+  expect(result.current.currentLayoutRef.current).toBe('A');
+  expect(result.current.isSwitching).toBe(false);
+  expect(result.current.switchState.phase).toBe('idle');
+});
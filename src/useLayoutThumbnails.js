@@ -0,0 +1,121 @@
+import { useState, useEffect, useRef } from 'react';
+import { waitForNextFrame } from './videoFrames';
+import { thumbnailSources } from './layouts';
+import { createShakaAuthFilter } from './tokenService';
+import useLatest from './useLatest';
+
+const shaka = require('shaka-player/dist/shaka-player.ui.js');
+
+// --- Layout thumbnails ---
+// A second, hidden Shaka player visits every layout in turn, grabs one frame
+// from its cheapest playlist (or its DASH adaptation set) and moves on, so the
+// picker can show what each layout looks like right now.
+
+const THUMBNAIL_WIDTH = 192;
+// Pause between two rounds over all layouts.
+const THUMBNAIL_REFRESH_MS = 30000;
+// Give up on a playlist that hasn't shown a frame by then.
+const THUMBNAIL_FRAME_TIMEOUT_MS = 5000;
+
+const THUMBNAIL_SHAKA_CONFIG = {
+  // A low estimate makes nested masters start on their lowest rendition.
+  abr: { enabled: false, defaultBandwidthEstimate: 100000 },
+  streaming: { bufferingGoal: 2, rebufferingGoal: 0.5, retryParameters: { maxAttempts: 1 } },
+};
+
+// Scales the current frame down to a JPEG data URL; null when there is no frame
+// or the canvas is tainted (media served without CORS headers).
+const drawThumbnail = (video, canvas) => {
+  if (!video.videoWidth || !video.videoHeight) return null;
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = Math.round(THUMBNAIL_WIDTH * (video.videoHeight / video.videoWidth));
+  try {
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {boolean} options.enabled
+ * @param {string} options.manifestUrl     Stream the layouts belong to; thumbnails reset when it changes.
+ * @param {Array<Object>} options.layouts
+ * @param {?Object} options.authProvider
+ * @param {?Object} options.mediaAuth
+ * @param {function(): ?number} options.getStartTime  Position to capture (null for the live edge).
+ * @param {Object} options.log             Category logger.
+ * @return {{ thumbnailVideoRef: Object, thumbnails: Object<string, { url: string, capturedAt: number }> }}
+ */
+const useLayoutThumbnails = ({ enabled, manifestUrl, layouts, authProvider, mediaAuth, getStartTime, log }) => {
+  const [thumbnails, setThumbnails] = useState({});
+  const thumbnailVideoRef = useRef(null);
+  const layoutsRef = useLatest(layouts);
+  const getStartTimeRef = useLatest(getStartTime);
+
+  useEffect(() => {
+    setThumbnails({});
+  }, [manifestUrl]);
+
+  const hasLayouts = layouts.length > 0;
+  useEffect(() => {
+    const video = thumbnailVideoRef.current;
+    if (!enabled || !manifestUrl || !hasLayouts || !video || !shaka.Player.isBrowserSupported()) return;
+
+    const player = new shaka.Player();
+    player.configure(THUMBNAIL_SHAKA_CONFIG);
+    if (authProvider && mediaAuth && mediaAuth.mode !== 'none') {
+      try {
+        const origin = new URL(manifestUrl).origin;
+        player.getNetworkingEngine().registerRequestFilter(createShakaAuthFilter(shaka, authProvider, { ...mediaAuth, origin }));
+      } catch (e) {
+        // Not a URL; the main player reports that.
+      }
+    }
+    const canvas = document.createElement('canvas');
+    let cancelled = false;
+    let timer = null;
+
+    const captureLayout = async (layout) => {
+      for (const { uri, mimeType, videoLabel } of thumbnailSources(layout)) {
+        try {
+          player.configure({ preferredVideoLabel: videoLabel || '' });
+          await player.load(uri, getStartTimeRef.current(), mimeType);
+          await waitForNextFrame(video, THUMBNAIL_FRAME_TIMEOUT_MS);
+          if (cancelled) return null;
+          const url = drawThumbnail(video, canvas);
+          if (url) return url;
+        } catch (error) {
+          if (cancelled) return null;
+          log.debug(`Thumbnail source failed for ${layout.name}: ${error.message}`, { uri, code: error.code });
+        }
+      }
+      return null;
+    };
+
+    const captureAll = async () => {
+      await player.attach(video);
+      for (const layout of layoutsRef.current) {
+        if (cancelled) return;
+        const url = await captureLayout(layout);
+        if (url && !cancelled) {
+          setThumbnails(current => ({ ...current, [layout.name]: { url, capturedAt: Date.now() } }));
+        }
+      }
+      await player.unload().catch(() => {});
+      if (!cancelled) timer = setTimeout(captureAll, THUMBNAIL_REFRESH_MS);
+    };
+
+    captureAll().catch(error => log.warn(`Thumbnail capture stopped: ${error.message}`, error));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      player.destroy().catch(() => {});
+    };
+  }, [enabled, manifestUrl, hasLayouts, authProvider, mediaAuth, layoutsRef, getStartTimeRef, log]);
+
+  return { thumbnailVideoRef, thumbnails };
+};
+
+export default useLayoutThumbnails;
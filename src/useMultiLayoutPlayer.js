@@ -0,0 +1,903 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import useLayoutHistory from './useLayoutHistory';
+import useVideoContentRect from './useVideoContentRect';
+import useLayoutThumbnails from './useLayoutThumbnails';
+import useVideoZoom from './useVideoZoom';
+import useAudioFocus from './useAudioFocus';
+import useRenditions from './useRenditions';
+import useLayoutSwitching from './useLayoutSwitching';
+import useShakaControls from './useShakaControls';
+import usePlayerCallbacks from './usePlayerCallbacks';
+import useAutoDirector from './useAutoDirector';
+import useLatest from './useLatest';
+import { getVideoContentRect, clientToCanvas, findRegionAt } from './videoGeometry';
+import { unzoomCanvasPoint } from './videoZoom';
+import { regionLabel } from './layoutSummary';
+import { watchPresentationTime } from './videoFrames';
+import { parseManifestForLayouts, findLayoutByName } from './layouts';
+import { createShakaAuthFilter } from './tokenService';
+import { createSariskaBackend } from './backends';
+import { createQoeTracker, createBeaconSink } from './qoeTracker';
+import { categoryLogger, consoleWrite } from './logger';
+import {
+  DEFAULT_LIVE_POLL_INTERVAL_MS,
+  diffLayouts,
+  diffLayoutRegions,
+  hasChanges,
+  mergeLayouts,
+  pickFallbackLayout,
+  liveEventsUrl,
+  describeDiff,
+} from './liveUpdates';
+import { createRegionsTimeline, cueFromMetadataEvent, cueFromEmsg, cueFromTimelineRegion } from './timedRegions';
+import {
+  CONTROL_PANEL_ELEMENTS,
+  OVERFLOW_MENU_BUTTONS,
+  attachControlsBridge,
+  registerLayoutElements,
+} from './shakaUiElements';
+import { normalizeMultiview, multiviewTiles } from './multiview';
+import { speakerCueFromMetadataEvent, speakerCueFromEmsg, speakerCueFromTimelineRegion, isSameSpeaker } from './activeSpeaker';
+
+// Load Shaka Player library at the top level
+const shaka = require('shaka-player/dist/shaka-player.ui.js');
+
+const DEFAULT_CANVAS_DIMENSIONS = { width: 1920, height: 1080 };
+
+const DEFAULT_SHAKA_CONFIG = {
+  abr: {
+    defaultBandwidthEstimate: 1500000,
+    bandwidthUpgradeTarget: 1.15,
+    bandwidthDowngradeTarget: 1.05,
+  },
+  streaming: {
+    bufferingGoal: 30,
+    rebufferingGoal: 2,
+    retryParameters: {
+      maxAttempts: 4,
+      baseDelay: 1000,
+      backoffFactor: 2,
+      fuzzFactor: 0.5,
+    }
+  }
+};
+
+// Pointer events on these belong to the Shaka control bar and menus.
+const SHAKA_CONTROLS_SELECTOR = '.shaka-bottom-controls, .shaka-settings-menu, .shaka-overflow-menu';
+
+const createSessionId = () => (window.crypto?.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+// Background refreshes repeat every few seconds; their routine messages go to debug.
+const quietly = (categoryLog) => ({ ...categoryLog, info: categoryLog.debug });
+
+/**
+ * Headless multi-layout player: owns the Shaka player, layout discovery,
+ * region data, switching and click hit-testing. Render the returned refs and
+ * handlers (or use <MultiLayoutPlayer>, which does exactly that).
+ *
+ * Options:
+ *   manifestUrl       HLS master playlist or DASH MPD to load; changing it loads the new stream.
+ *   authProvider      Token service ({ getToken, fetchWithAuth }) for API and media requests.
+ *   backend           Where regions and stream IDs come from, see backends.js.
+ *   apiBaseUrl        Shorthand for the Sariska backend at this URL when no backend is given.
+ *   mediaAuth         { mode: 'none' | 'header' | 'query', queryParam } for manifest/segment requests.
+ *   initialLayout     Layout to start with when the manifest loads (falls back to the first).
+ *   initialStartTime  Playback position for the first layout of the stream.
+ *   abrEnabled        Adaptive bitrate on/off.
+ *   maxResolution     Height cap (e.g. 720) for bandwidth-constrained viewers; null for none.
+ *   shakaConfig       Shaka configuration applied over the defaults.
+ *   qoe               { endpoint, batchSize, flushIntervalMs } for QoE beacons; the
+ *                     summary is reported through onQoeSummary either way.
+ *   liveUpdates       { pollIntervalMs, eventsUrl } for picking up layout and region
+ *                     changes of live streams; pollIntervalMs 0 turns polling off.
+ *   captureThumbnails Grab a periodic thumbnail of every layout (render thumbnailVideoRef).
+ *   multiview         { layouts, columns, tileMaxHeight }: other layouts to play as tiles
+ *                     next to the main view (render multiviewTiles with tileOptions).
+ *   director          Auto-director settings (see director.js); null or no mode for none.
+ *   onLayoutChange(layoutName, source), onRegionClick(region, targetLayout),
+ *   onRegionsChange(regions, canvasDimensions), onLayoutsChange(layouts, allLayoutRegions),
+ *   onBusyChange(isBusy),
+ *   onError(message, cause), onStats(stats, layoutName), onQoeSummary(summary),
+ *   onLog(level, category, message, data)  (defaults to the console)
+ */
+const useMultiLayoutPlayer = ({
+  manifestUrl,
+  authProvider,
+  backend: backendOption,
+  apiBaseUrl,
+  mediaAuth,
+  initialLayout,
+  initialStartTime,
+  abrEnabled = true,
+  maxResolution = null,
+  shakaConfig,
+  qoe,
+  liveUpdates,
+  captureThumbnails = false,
+  multiview,
+  director,
+  onLayoutChange,
+  onRegionClick,
+  onRegionsChange,
+  onLayoutsChange,
+  onBusyChange,
+  onError,
+  onStats,
+  onQoeSummary,
+  onLog,
+} = {}) => {
+  // --- State and Refs ---
+  const [layouts, setLayouts] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isPlayerReady, setIsPlayerReady] = useState(false);
+  const [regions, setRegions] = useState([]);
+  const [allLayoutRegions, setAllLayoutRegions] = useState([]);
+  const [canvasDimensions, setCanvasDimensions] = useState(DEFAULT_CANVAS_DIMENSIONS);
+  const [hoveredRegion, setHoveredRegion] = useState(null);
+  const [loadCount, setLoadCount] = useState(0);
+  // Regions described in the stream for the current playback position, if any.
+  const [timedRegions, setTimedRegions] = useState(null);
+  const [regionsTimeline] = useState(createRegionsTimeline);
+  // Active speaker announced in the stream, on the same kind of timeline.
+  const [speakerTimeline] = useState(createRegionsTimeline);
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+
+  const videoRef = useRef(null);
+  const videoContainerRef = useRef(null);
+  const playerRef = useRef(null);
+  const uiRef = useRef(null);
+  // QoE tracker of the current stream session.
+  const qoeRef = useRef(null);
+  const videoContentRect = useVideoContentRect(videoContainerRef, videoRef, canvasDimensions);
+  const {
+    zoom,
+    zoomedRegion,
+    isGesturing: isZoomGesture,
+    zoomIntoRegion,
+    resetZoom,
+    wasDragged,
+    pointerHandlers: zoomPointerHandlers,
+  } = useVideoZoom({
+    containerRef: videoContainerRef,
+    contentRect: videoContentRect,
+    canvasDimensions,
+    ignoreSelector: SHAKA_CONTROLS_SELECTOR,
+  });
+
+  const callbacksRef = useLatest({
+    onLayoutChange, onRegionClick, onRegionsChange, onLayoutsChange, onBusyChange, onError, onStats, onQoeSummary, onLog,
+  });
+  // Read when a manifest finishes loading, not when they change.
+  const initialPositionRef = useLatest({ initialLayout, initialStartTime });
+  const qoeOptionsRef = useLatest(qoe);
+
+  // --- Core Functions and Callbacks ---
+  const writeLog = useCallback((level, category, message, data) => {
+    (callbacksRef.current.onLog || consoleWrite)(level, category, message, data);
+  }, [callbacksRef]);
+  // log.<category>.<level>(message, data)
+  const log = useMemo(() => ({
+    auth: categoryLogger(writeLog, 'auth'),
+    manifest: categoryLogger(writeLog, 'manifest'),
+    regions: categoryLogger(writeLog, 'regions'),
+    player: categoryLogger(writeLog, 'player'),
+    abr: categoryLogger(writeLog, 'abr'),
+    layout: categoryLogger(writeLog, 'layout'),
+    director: categoryLogger(writeLog, 'director'),
+    audio: categoryLogger(writeLog, 'audio'),
+  }), [writeLog]);
+
+  const reportError = useCallback((message, cause) => {
+    setError(message);
+    callbacksRef.current.onError?.(message, cause);
+  }, [callbacksRef]);
+
+  // All layout transitions go through the history so back/forward work everywhere.
+  const layoutHistory = useLayoutHistory(manifestUrl, log.layout);
+  const { reset: resetLayoutHistory, navigate: navigateToLayout, replace: replaceLayout } = layoutHistory;
+  const selectedLayout = layoutHistory.current || '';
+  const layoutSource = layoutHistory.entries[layoutHistory.index]?.source || null;
+
+  // Manifest fetches carry the token the same way Shaka's media requests do.
+  const fetchManifest = useCallback(async (url) => {
+    if (authProvider && mediaAuth?.mode === 'header') return authProvider.fetchWithAuth(url);
+    if (authProvider && mediaAuth?.mode === 'query') {
+      const authorizedUrl = new URL(url);
+      authorizedUrl.searchParams.set(mediaAuth.queryParam, await authProvider.getToken());
+      return fetch(authorizedUrl.toString());
+    }
+    return fetch(url);
+  }, [authProvider, mediaAuth]);
+
+  // Hosts that only pass apiBaseUrl get the Sariska regions API, as before backends existed.
+  const backend = useMemo(
+    () => backendOption || (authProvider && apiBaseUrl ? createSariskaBackend({ apiBaseUrl }) : null),
+    [backendOption, authProvider, apiBaseUrl]
+  );
+
+  // Layouts come from the manifest unless the backend already knows them (offline recordings).
+  const discoverLayouts = useCallback((manifestLog) => (backend?.getLayouts
+    ? backend.getLayouts(manifestUrl)
+    : parseManifestForLayouts(manifestUrl, manifestLog, fetchManifest)), [backend, manifestUrl, fetchManifest]);
+
+  // Resolves to the regions of every layout, or null when they are unavailable.
+  const fetchLayoutRegions = useCallback(async (regionsLog = log.regions) => {
+    if (!manifestUrl) return null;
+    if (!backend) {
+      regionsLog.warn('No backend configured - region clicking is disabled');
+      return null;
+    }
+
+    try {
+      const streamId = backend.streamIdFor(manifestUrl);
+      if (!streamId) throw new Error('Could not work out the stream ID from the manifest URL');
+      regionsLog.info(`Fetching layout regions for stream: ${streamId}`, { streamId, backend: backend.type });
+
+      const entries = await backend.getLayoutRegions(streamId, { manifestUrl, authProvider, fetchMedia: fetchManifest });
+      regionsLog.info(`Successfully loaded ${entries.length} layout configurations.`, {
+        layouts: entries.map(l => ({ name: l.layout_name, regions: l.regions?.length || 0 })),
+      });
+      return entries;
+    } catch (error) {
+      regionsLog.error(`Failed to fetch layout regions: ${error.message}`, error);
+      if (error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
+        regionsLog.warn('Layout regions fetch blocked by CORS - this may affect region clicking functionality');
+      }
+      return null;
+    }
+  }, [manifestUrl, backend, authProvider, fetchManifest, log]);
+
+  const mapRegionsToCurrentLayout = useCallback(() => {
+    const currentLayoutData = selectedLayout
+      ? allLayoutRegions.find(l => l.layout_name?.toLowerCase() === selectedLayout.toLowerCase())
+      : null;
+    const apiCanvasDimensions = currentLayoutData && {
+      width: currentLayoutData.canvas_width || 1920,
+      height: currentLayoutData.canvas_height || 1080
+    };
+
+    // Regions carried in the stream follow the picture; the API's are static.
+    if (timedRegions) {
+      setRegions(timedRegions.regions);
+      setCanvasDimensions(timedRegions.canvasDimensions || apiCanvasDimensions || DEFAULT_CANVAS_DIMENSIONS);
+    } else if (currentLayoutData) {
+      setRegions(currentLayoutData.regions || []);
+      setCanvasDimensions(apiCanvasDimensions);
+    } else {
+      setRegions([]);
+    }
+  }, [selectedLayout, allLayoutRegions, timedRegions]);
+
+  const getPlayer = useCallback(() => playerRef.current, []);
+  const getVideo = useCallback(() => videoRef.current, []);
+  const getQoeTracker = useCallback(() => qoeRef.current, []);
+  const clearError = useCallback(() => setError(null), []);
+  // Regions and speakers described in the stream, which only hold for one layout.
+  const clearInBandCues = useCallback(() => {
+    regionsTimeline.clear();
+    setTimedRegions(null);
+    speakerTimeline.clear();
+  }, [regionsTimeline, speakerTimeline]);
+
+  // --- Layout switching ---
+  const {
+    freezeFrameRef,
+    currentLayoutRef,
+    loadedLayout,
+    isSwitching,
+    switchState,
+    setNextStartTime,
+    discardPreload,
+    restoreLayouts,
+    dismissSwitchProblem,
+    resetSwitching,
+  } = useLayoutSwitching({
+    getPlayer,
+    getVideo,
+    isPlayerReady,
+    layouts,
+    selectedLayout,
+    layoutSource,
+    isLoading,
+    regions,
+    maxResolution,
+    getQoeTracker,
+    clearInBandCues,
+    clearError,
+    reportError,
+    replaceLayout,
+    log,
+  });
+
+  // FIXED: Complete reset function for proper reload
+  const resetAllState = useCallback(() => {
+    log.player.debug('Resetting all state for new stream...');
+    resetSwitching();
+    setLayouts([]);
+    resetLayoutHistory(null);
+    setRegions([]);
+    setHoveredRegion(null);
+    setAllLayoutRegions([]);
+    setCanvasDimensions(DEFAULT_CANVAS_DIMENSIONS);
+    clearInBandCues();
+    setActiveSpeaker(null);
+    setError(null);
+    qoeRef.current?.end();
+    qoeRef.current = null;
+
+    // Stop current playback if player exists
+    if (playerRef.current) {
+      try {
+        playerRef.current.unload();
+      } catch (e) {
+        log.player.warn(`Error during player unload: ${e.message}`, e);
+      }
+    }
+  }, [log, resetSwitching, resetLayoutHistory, clearInBandCues]);
+
+  // The manifest load reads these when it runs; auth and backend changes alone must not reload the stream.
+  const discoverLayoutsRef = useLatest(discoverLayouts);
+  const fetchLayoutRegionsRef = useLatest(fetchLayoutRegions);
+  const resetAllStateRef = useLatest(resetAllState);
+
+  // Loads the current manifest again from scratch.
+  const reload = useCallback(() => setLoadCount(count => count + 1), []);
+  const layoutsRef = useLatest(layouts);
+  const getLayouts = useCallback(() => layoutsRef.current.map(l => l.name), [layoutsRef]);
+  // Multiview tiles follow this; null until there is something to follow.
+  const getLeader = useCallback(() => (
+    playerRef.current && videoRef.current && currentLayoutRef.current ? { player: playerRef.current, video: videoRef.current } : null
+  ), [currentLayoutRef]);
+
+  // --- Audio focus ---
+  const loadedLayoutData = useMemo(() => layouts.find(l => l.name === loadedLayout) || null, [layouts, loadedLayout]);
+  const {
+    audioSources,
+    audioFocus,
+    playingAudio,
+    soloAudioSource,
+    toggleAudioMute,
+    setAudioFollowsRegions,
+    focusAudioOnRegion,
+  } = useAudioFocus({ getPlayer, getVideo, isPlayerReady, layout: loadedLayoutData, log: log.audio });
+
+  // Thumbnails of VOD layouts show the moment being watched; live ones the live edge.
+  const getThumbnailStartTime = useCallback(
+    () => (playerRef.current?.isLive() === false ? videoRef.current?.currentTime ?? null : null),
+    []
+  );
+  const { thumbnailVideoRef, thumbnails } = useLayoutThumbnails({
+    enabled: captureThumbnails && isPlayerReady,
+    manifestUrl,
+    layouts,
+    authProvider,
+    mediaAuth,
+    getStartTime: getThumbnailStartTime,
+    log: log.layout,
+  });
+
+  // Finds the region under the pointer, in layout canvas coordinates.
+  const regionAtPointer = (e) => {
+    const video = videoRef.current;
+    const container = videoContainerRef.current;
+    if (!video || !container || !video.videoWidth || !video.videoHeight || regions.length === 0) return null;
+    // Clicks on the Shaka control bar and menus are never region clicks.
+    if (e.target.closest?.(SHAKA_CONTROLS_SELECTOR)) return null;
+
+    const containerRect = container.getBoundingClientRect();
+    const contentRect = getVideoContentRect(containerRect.width, containerRect.height, video.videoWidth / video.videoHeight);
+    const point = clientToCanvas(e.clientX, e.clientY, containerRect, contentRect, canvasDimensions);
+    // Regions are drawn zoomed with the picture.
+    return findRegionAt(regions, unzoomCanvasPoint(zoom, point, canvasDimensions)) || null;
+  };
+
+  const unavailableLayouts = switchState.unavailable;
+  const isLayoutUnavailable = (name) => unavailableLayouts.includes(name);
+
+  // --- Multiview ---
+  const multiviewSettings = useMemo(() => normalizeMultiview(multiview), [multiview]);
+  const tiles = useMemo(() => (multiviewSettings && selectedLayout
+    ? multiviewTiles(layouts, multiviewSettings.layouts, selectedLayout).filter(l => !unavailableLayouts.includes(l.name))
+    : []), [multiviewSettings, layouts, selectedLayout, unavailableLayouts]);
+  const tileMaxHeight = multiviewSettings?.tileMaxHeight;
+  const tileOptions = useMemo(() => ({ manifestUrl, authProvider, mediaAuth, tileMaxHeight, getLeader, log: log.layout }),
+    [manifestUrl, authProvider, mediaAuth, tileMaxHeight, getLeader, log]);
+
+  // A region is only actionable when it points at another layout we can actually play.
+  const isRegionActionable = (region) => {
+    const target = findLayoutByName(layouts, region.parent_layout_name);
+    return Boolean(target) && target.name !== selectedLayout && !isLayoutUnavailable(target.name);
+  };
+
+  // Regions without a layout of their own (none named, or not in the manifest) zoom in instead.
+  const isRegionZoomable = (region) => !findLayoutByName(layouts, region.parent_layout_name);
+
+  const handleVideoMouseMove = (e) => {
+    const region = regionAtPointer(e);
+    if (region !== hoveredRegion) setHoveredRegion(region);
+  };
+
+  const handleVideoMouseLeave = () => setHoveredRegion(null);
+
+  const handleVideoClick = (e) => {
+    // The end of a pan or pinch is not a click.
+    if (wasDragged()) return;
+    const hitRegion = regionAtPointer(e);
+
+    if (hitRegion) {
+        log.regions.info(`Clicked region for participant: ${hitRegion.source_type} ${hitRegion.source_idx}`, { region: hitRegion });
+        const nextLayoutNameFromApi = hitRegion.parent_layout_name;
+
+        const nextLayout = findLayoutByName(layouts, nextLayoutNameFromApi);
+        // Hosts can take over a region click by returning false.
+        if (callbacksRef.current.onRegionClick?.(hitRegion, nextLayout || null) === false) return;
+        focusAudioOnRegion(hitRegion);
+
+        if (nextLayout && isLayoutUnavailable(nextLayout.name)) {
+          log.layout.warn(`Not switching to ${nextLayout.name}: it failed to load repeatedly`);
+        } else if (nextLayout && nextLayout.name !== selectedLayout) {
+          log.layout.info(`Switching to corresponding layout: ${nextLayout.name}`);
+          navigateToLayout(nextLayout.name, 'region');
+        } else if (!nextLayout && hitRegion === zoomedRegion) {
+          log.regions.info(`Zooming out of ${regionLabel(hitRegion)}`);
+          resetZoom();
+        } else if (!nextLayout) {
+          log.regions.info(nextLayoutNameFromApi
+            ? `Layout "${nextLayoutNameFromApi}" is not in the manifest, zooming into ${regionLabel(hitRegion)} instead`
+            : `Zooming into ${regionLabel(hitRegion)} (no layout of its own)`, { region: hitRegion });
+          zoomIntoRegion(hitRegion);
+        }
+    }
+  };
+
+  // Returns whether the switch was accepted (known, available layout and no
+  // manifest loading). A switch already running is superseded.
+  const selectLayout = useCallback((layoutName, source = 'programmatic') => {
+    const layout = findLayoutByName(layouts, layoutName);
+    if (!layout || isLoading || unavailableLayouts.includes(layout.name)) return false;
+    navigateToLayout(layout.name, source);
+    return true;
+  }, [layouts, isLoading, unavailableLayouts, navigateToLayout]);
+
+  const { directorState, pauseDirector, resumeDirector } = useAutoDirector({
+    director,
+    layouts,
+    selectedLayout,
+    layoutSource,
+    isLoading,
+    unavailableLayouts,
+    allLayoutRegions,
+    activeSpeaker,
+    selectLayout,
+    log: log.director,
+  });
+
+  // --- Quality ---
+  const { renditions, renditionChoice, selectRendition } = useRenditions({
+    getPlayer,
+    isPlayerReady,
+    layouts,
+    selectedLayout,
+    loadedLayout,
+    abrEnabled,
+    maxResolution,
+    log: log.abr,
+  });
+
+  // --- Shaka controls ---
+  const { controlsBridge, isFullscreen } = useShakaControls({
+    containerRef: videoContainerRef,
+    layouts,
+    selectedLayout,
+    unavailableLayouts,
+    renditions,
+    renditionChoice,
+    disabled: isLoading,
+    selectLayout,
+    selectRendition,
+  });
+
+  // --- Lifecycle and Player Effects ---
+
+  // Player initialization - runs only once
+  useEffect(() => {
+    log.player.info('Initializing Shaka Player...', { version: shaka.Player.version });
+    shaka.polyfill.installAll();
+    if (!shaka.Player.isBrowserSupported()) {
+      reportError('Browser not supported by Shaka Player.');
+      return;
+    }
+
+    const player = new shaka.Player();
+    playerRef.current = player;
+    player.attach(videoRef.current);
+
+    registerLayoutElements(shaka);
+    attachControlsBridge(videoContainerRef.current, controlsBridge);
+    const ui = new shaka.ui.Overlay(player, videoContainerRef.current, videoRef.current);
+    uiRef.current = ui;
+    ui.configure({ controlPanelElements: CONTROL_PANEL_ELEMENTS, overflowMenuButtons: OVERFLOW_MENU_BUTTONS });
+    ui.getControls();
+
+    player.configure(DEFAULT_SHAKA_CONFIG);
+    log.player.debug(`Player configured: bufferingGoal=30s, rebufferingGoal=2s, conservative ABR`, DEFAULT_SHAKA_CONFIG);
+
+    // Event Listeners
+    player.addEventListener('error', (event) => {
+      const error = event.detail;
+      log.player.error(`Player Error: ${error.code} - ${error.message}`, { code: error.code, category: error.category, severity: error.severity, data: error.data });
+      reportError(`Player Error: ${error.message}`, error);
+    });
+
+    player.addEventListener('buffering', e => {
+      log.player.debug(`Buffering: ${e.buffering ? 'started' : 'ended'}`);
+      qoeRef.current?.bufferingChanged(e.buffering);
+    });
+
+    player.addEventListener('adaptation', () => {
+      const stats = player.getStats();
+      log.abr.info(`Adaptation: ${stats.width}x${stats.height} @ ${Math.round(stats.estimatedBandwidth/1000)}kbps`, {
+        width: stats.width,
+        height: stats.height,
+        streamBandwidth: stats.streamBandwidth,
+        estimatedBandwidth: stats.estimatedBandwidth,
+      });
+      qoeRef.current?.bitrateChanged(stats.streamBandwidth, stats);
+    });
+
+    player.addEventListener('stalldetected', () => {
+      log.player.warn('Stall detected - playback may be interrupted');
+      qoeRef.current?.stallDetected();
+    });
+
+    setIsPlayerReady(true);
+    log.player.info('Shaka Player is ready.');
+
+    return () => {
+      log.player.debug('Destroying player and UI instances...');
+      qoeRef.current?.end();
+      qoeRef.current = null;
+      uiRef.current?.destroy();
+      playerRef.current?.destroy().then(() => {
+        log.player.debug('Player destroyed.');
+      });
+      playerRef.current = null;
+      uiRef.current = null;
+      setIsPlayerReady(false);
+    };
+  }, [log, reportError, controlsBridge]);
+
+  useEffect(() => {
+    if (isPlayerReady && shakaConfig) {
+      playerRef.current.configure(shakaConfig);
+      log.player.info('Applied Shaka configuration overrides.', shakaConfig);
+    }
+  }, [isPlayerReady, shakaConfig, log]);
+
+  // FIXED: Better manifest loading with proper cleanup
+  useEffect(() => {
+    if (!isPlayerReady) return;
+    resetAllStateRef.current();
+    if (!manifestUrl) return;
+
+    const loadManifest = async () => {
+      setIsLoading(true);
+      setError(null);
+      log.manifest.info(`Loading manifest: ${manifestUrl}`, { url: manifestUrl });
+      const qoeOptions = qoeOptionsRef.current;
+      qoeRef.current = createQoeTracker({
+        sessionId: createSessionId(),
+        stream: manifestUrl,
+        sink: qoeOptions?.endpoint ? createBeaconSink(qoeOptions.endpoint) : null,
+        batchSize: qoeOptions?.batchSize,
+        flushIntervalMs: qoeOptions?.flushIntervalMs,
+      });
+
+      try {
+        const parsedLayouts = await discoverLayoutsRef.current(log.manifest);
+        setLayouts(parsedLayouts);
+
+        if (parsedLayouts.length > 0) {
+          const layoutRegions = await fetchLayoutRegionsRef.current();
+          if (layoutRegions) setAllLayoutRegions(layoutRegions);
+          const { initialLayout: requestedLayout, initialStartTime: requestedStartTime } = initialPositionRef.current;
+          let firstLayout = parsedLayouts[0];
+          if (requestedLayout) {
+            const match = findLayoutByName(parsedLayouts, requestedLayout);
+            if (match) {
+              firstLayout = match;
+            } else {
+              log.layout.warn(`Requested layout "${requestedLayout}" is not in this manifest, starting with ${firstLayout.name}`);
+            }
+          }
+          setNextStartTime(requestedStartTime ?? null);
+          resetLayoutHistory(firstLayout.name);
+        } else {
+          reportError('No layouts found in manifest');
+          log.manifest.error('No layouts could be parsed from the manifest.');
+        }
+      } catch (error) {
+        reportError(`Error loading manifest: ${error.message}`, error);
+        log.manifest.error(`Error loading manifest: ${error.message}`, error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadManifest();
+  }, [manifestUrl, isPlayerReady, loadCount, log, reportError, resetLayoutHistory, setNextStartTime, qoeOptionsRef,
+    initialPositionRef, discoverLayoutsRef, fetchLayoutRegionsRef, resetAllStateRef]);
+
+  // Attach the token to manifest and segment requests for the stream's origin.
+  useEffect(() => {
+    const networkingEngine = playerRef.current?.getNetworkingEngine();
+    if (!isPlayerReady || !networkingEngine || !manifestUrl || !authProvider || !mediaAuth || mediaAuth.mode === 'none') return;
+
+    let origin;
+    try {
+      origin = new URL(manifestUrl).origin;
+    } catch (e) {
+      return; // Not a URL; the manifest load reports that.
+    }
+    const filter = createShakaAuthFilter(shaka, authProvider, { ...mediaAuth, origin });
+    networkingEngine.registerRequestFilter(filter);
+    log.auth.info(`Media requests to ${origin} will carry the API token (${mediaAuth.mode})`);
+    return () => networkingEngine.unregisterRequestFilter(filter);
+  }, [isPlayerReady, manifestUrl, authProvider, mediaAuth, log]);
+
+  // In-band region descriptions and speaker signals are collected as Shaka
+  // parses them and applied when their presentation time is on screen.
+  useEffect(() => {
+    if (!isPlayerReady) return;
+    const player = playerRef.current;
+    const toCue = {
+      metadata: [cueFromMetadataEvent, speakerCueFromMetadataEvent],
+      emsg: [(event) => cueFromEmsg(event.detail), (event) => speakerCueFromEmsg(event.detail)],
+      timelineregionadded: [
+        (event) => cueFromTimelineRegion(event.detail),
+        (event) => speakerCueFromTimelineRegion(event.detail),
+      ],
+    };
+    const listeners = Object.entries(toCue).map(([type, [parse, parseSpeaker]]) => {
+      const listener = (event) => {
+        const speakerCue = parseSpeaker(event);
+        if (speakerCue) {
+          speakerTimeline.add(speakerCue);
+          return;
+        }
+        const cue = parse(event);
+        if (!cue) return;
+        regionsTimeline.add(cue);
+        log.regions.debug(`In-band regions (${type}) from ${cue.startTime.toFixed(2)}s: ${cue.regions.length} regions`, {
+          layout: cue.layoutName,
+          startTime: cue.startTime,
+          endTime: cue.endTime,
+        });
+      };
+      player.addEventListener(type, listener);
+      return [type, listener];
+    });
+
+    let activeCue = null;
+    let speaker = null;
+    const stopWatching = watchPresentationTime(videoRef.current, (time) => {
+      const nextSpeaker = speakerTimeline.activeAt(time)?.speaker || null;
+      if (!isSameSpeaker(nextSpeaker, speaker)) {
+        speaker = nextSpeaker;
+        setActiveSpeaker(nextSpeaker);
+      }
+
+      let cue = regionsTimeline.activeAt(time);
+      // A description naming another layout belongs to a different stream.
+      if (cue?.layoutName && cue.layoutName.toLowerCase() !== currentLayoutRef.current?.toLowerCase()) cue = null;
+      if (cue === activeCue) return;
+      if (!cue) log.regions.debug('No in-band regions for this position, using the regions API');
+      activeCue = cue;
+      setTimedRegions(cue);
+    });
+
+    return () => {
+      stopWatching();
+      listeners.forEach(([type, listener]) => player.removeEventListener(type, listener));
+    };
+  }, [isPlayerReady, regionsTimeline, speakerTimeline, currentLayoutRef, log]);
+
+  useEffect(() => {
+    mapRegionsToCurrentLayout();
+    setHoveredRegion(null);
+  }, [selectedLayout, allLayoutRegions, timedRegions, mapRegionsToCurrentLayout]);
+
+  // A zoom frames part of one layout's picture; another layout starts whole.
+  useEffect(() => {
+    resetZoom();
+  }, [selectedLayout, resetZoom]);
+
+  // --- Live updates ---
+  const allLayoutRegionsRef = useLatest(allLayoutRegions);
+
+  const applyLayouts = useCallback((nextLayouts) => {
+    const previous = layoutsRef.current;
+    // An empty playlist is more likely a hiccup than a meeting without layouts.
+    if (nextLayouts.length === 0) {
+      log.manifest.warn('Refreshed manifest has no layouts, keeping the current ones');
+      return;
+    }
+    const diff = diffLayouts(previous, nextLayouts);
+    if (!hasChanges(diff)) return;
+    log.manifest.info(`Layouts updated: ${describeDiff(diff)}`, diff);
+    // Preloads of changed or removed layouts would play outdated playlists.
+    [...diff.removed, ...diff.changed].forEach(discardPreload);
+    restoreLayouts([...diff.added, ...diff.changed]);
+    setLayouts(mergeLayouts(previous, nextLayouts));
+  }, [layoutsRef, log, discardPreload, restoreLayouts]);
+
+  const applyLayoutRegions = useCallback((nextRegions) => {
+    const diff = diffLayoutRegions(allLayoutRegionsRef.current, nextRegions);
+    if (!hasChanges(diff)) return;
+    log.regions.info(`Regions updated: ${describeDiff(diff)}`, diff);
+    setAllLayoutRegions(nextRegions);
+  }, [allLayoutRegionsRef, log]);
+
+  // The layout on screen (or one reached through the history) can disappear
+  // from a live manifest; move to the closest one that still exists.
+  const { entries: historyEntries, index: historyIndex } = layoutHistory;
+  useEffect(() => {
+    if (!selectedLayout || isLoading || layouts.length === 0 || findLayoutByName(layouts, selectedLayout)) return;
+    const trail = historyEntries.slice(0, historyIndex).map(entry => entry.layout);
+    const fallback = pickFallbackLayout(layouts, trail);
+    log.layout.warn(`Layout ${selectedLayout} is no longer available, switching to ${fallback}`, { removed: selectedLayout, fallback });
+    replaceLayout(fallback, 'fallback');
+  }, [selectedLayout, layouts, isLoading, historyEntries, historyIndex, replaceLayout, log]);
+
+  const hasLayouts = layouts.length > 0;
+  const pollIntervalMs = liveUpdates?.pollIntervalMs ?? DEFAULT_LIVE_POLL_INTERVAL_MS;
+  const eventsUrl = liveUpdates?.eventsUrl || null;
+  useEffect(() => {
+    if (!isPlayerReady || !manifestUrl || !hasLayouts) return;
+    const player = playerRef.current;
+    const canFetchRegions = Boolean(backend);
+    let cancelled = false;
+    const inFlight = new Set();
+
+    // One request of each kind at a time; results of a previous stream are dropped.
+    const refresh = (kind, fetchLatest, apply) => async () => {
+      if (inFlight.has(kind)) return;
+      inFlight.add(kind);
+      try {
+        const latest = await fetchLatest();
+        if (!cancelled && latest) apply(latest);
+      } catch (error) {
+        if (!cancelled) log.manifest.warn(`Live ${kind} refresh failed: ${error.message}`, error);
+      } finally {
+        inFlight.delete(kind);
+      }
+    };
+    const refreshLayouts = refresh('layouts', () => discoverLayouts(quietly(log.manifest)), applyLayouts);
+    const refreshRegions = canFetchRegions
+      ? refresh('regions', () => fetchLayoutRegions(quietly(log.regions)), applyLayoutRegions)
+      : () => {};
+
+    const refreshAll = () => {
+      refreshLayouts();
+      refreshRegions();
+    };
+    // VOD playlists are complete, only live streams change.
+    const timer = pollIntervalMs > 0
+      ? setInterval(() => player.isLive() && refreshAll(), pollIntervalMs)
+      : null;
+
+    // Push channel: server-sent `layouts` and `regions` events (or unnamed ones,
+    // for both) trigger a refresh right away.
+    let events = null;
+    if (eventsUrl && typeof EventSource !== 'undefined') {
+      events = new EventSource(liveEventsUrl(eventsUrl, backend?.streamIdFor(manifestUrl)));
+      events.addEventListener('layouts', refreshLayouts);
+      events.addEventListener('regions', refreshRegions);
+      events.addEventListener('message', refreshAll);
+      events.onopen = () => log.manifest.debug(`Listening for live updates at ${eventsUrl}`);
+      // EventSource reconnects by itself; polling covers the gap.
+      events.onerror = () => log.manifest.debug('Live update channel interrupted, reconnecting...');
+    }
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      events?.close();
+    };
+  }, [isPlayerReady, manifestUrl, hasLayouts, pollIntervalMs, eventsUrl, backend,
+    discoverLayouts, fetchLayoutRegions, applyLayouts, applyLayoutRegions, log]);
+
+  // --- Callbacks to the host ---
+  const isBusy = isLoading || isSwitching;
+  usePlayerCallbacks({
+    callbacksRef,
+    getPlayer,
+    getQoeTracker,
+    isPlayerReady,
+    selectedLayout,
+    layoutSource,
+    layouts,
+    allLayoutRegions,
+    regions,
+    canvasDimensions,
+    isBusy,
+  });
+
+  // Beacons queued so far go out when the page is hidden or closed.
+  useEffect(() => {
+    const flushQoe = (event) => {
+      if (event.type === 'pagehide' || document.visibilityState === 'hidden') qoeRef.current?.flush();
+    };
+    document.addEventListener('visibilitychange', flushQoe);
+    window.addEventListener('pagehide', flushQoe);
+    return () => {
+      document.removeEventListener('visibilitychange', flushQoe);
+      window.removeEventListener('pagehide', flushQoe);
+    };
+  }, []);
+
+  return {
+    // Elements to render
+    videoRef,
+    videoContainerRef,
+    freezeFrameRef,
+    thumbnailVideoRef,
+    videoContentRect,
+    zoom,
+    zoomedRegion,
+    isZoomGesture,
+    // State
+    layouts,
+    selectedLayout,
+    regions,
+    allLayoutRegions,
+    thumbnails,
+    renditions,
+    renditionChoice,
+    canvasDimensions,
+    hoveredRegion,
+    error,
+    isPlayerReady,
+    isLoading,
+    isSwitching,
+    isBusy,
+    switchState,
+    unavailableLayouts,
+    isFullscreen,
+    multiviewTiles: tiles,
+    multiviewColumns: multiviewSettings?.columns || null,
+    tileOptions,
+    activeSpeaker,
+    directorState,
+    audioSources,
+    audioFocus,
+    playingAudio,
+    history: layoutHistory,
+    // Actions
+    selectLayout,
+    dismissSwitchProblem,
+    selectRendition,
+    pauseDirector,
+    resumeDirector,
+    soloAudioSource,
+    toggleAudioMute,
+    setAudioFollowsRegions,
+    reload,
+    isRegionActionable,
+    isRegionZoomable,
+    resetZoom,
+    getPlayer,
+    getVideo,
+    getLayouts,
+    // Video container handlers
+    handleVideoClick,
+    handleVideoMouseMove,
+    handleVideoMouseLeave,
+    zoomPointerHandlers,
+  };
+};
+
+export default useMultiLayoutPlayer;
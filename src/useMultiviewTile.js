@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from 'react';
+import { createShakaAuthFilter } from './tokenService';
+import { effectiveMaxHeight } from './renditions';
+import { clampToRange } from './programDateTime';
+import useLatest from './useLatest';
+import { MULTIVIEW_SHAKA_CONFIG, MULTIVIEW_SYNC_INTERVAL_MS, tileSyncAction, syncTarget } from './multiview';
+
+const shaka = require('shaka-player/dist/shaka-player.ui.js');
+
+// Frames the player can compare positions with (HTMLMediaElement.HAVE_CURRENT_DATA).
+const HAVE_CURRENT_DATA = 2;
+
+/**
+ * Plays one layout in a multiview tile, muted and on low renditions, and keeps
+ * it aligned with the main view.
+ *
+ * @param {Object} layout
+ * @param {Object} options
+ * @param {string} options.manifestUrl      Stream the layout belongs to.
+ * @param {?Object} options.authProvider
+ * @param {?Object} options.mediaAuth
+ * @param {number} options.tileMaxHeight    Rendition cap for tiles.
+ * @param {function(): ?{ player: Object, video: HTMLVideoElement }} options.getLeader  The main view.
+ * @param {Object} options.log              Category logger.
+ * @return {{ videoRef: Object, status: string }}  status is 'loading', 'playing' or 'failed'.
+ */
+const useMultiviewTile = (layout, { manifestUrl, authProvider, mediaAuth, tileMaxHeight, getLeader, log }) => {
+  const [status, setStatus] = useState('loading');
+  const videoRef = useRef(null);
+  // Live updates hand in fresh layout objects; only a new playlist reloads the tile.
+  const layoutRef = useLatest(layout);
+
+  const { name, masterUrl } = layout;
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !shaka.Player.isBrowserSupported()) return;
+    const tileLayout = layoutRef.current;
+
+    const player = new shaka.Player();
+    player.configure(MULTIVIEW_SHAKA_CONFIG);
+    player.configure({
+      preferredVideoLabel: tileLayout.videoLabel || '',
+      restrictions: { maxHeight: effectiveMaxHeight(tileLayout.variants.map(v => v.resolution?.height), tileMaxHeight) },
+    });
+    if (authProvider && mediaAuth && mediaAuth.mode !== 'none') {
+      try {
+        const origin = new URL(manifestUrl).origin;
+        player.getNetworkingEngine().registerRequestFilter(createShakaAuthFilter(shaka, authProvider, { ...mediaAuth, origin }));
+      } catch (e) {
+        // Not a URL; the main player reports that.
+      }
+    }
+    let cancelled = false;
+    let timer = null;
+
+    const sync = () => {
+      const leader = getLeader();
+      if (!leader || leader.video.readyState < HAVE_CURRENT_DATA || video.readyState < HAVE_CURRENT_DATA) return;
+      const target = syncTarget(leader.player, leader.video, player);
+      const action = tileSyncAction({
+        drift: target === null ? null : video.currentTime - target,
+        leaderPaused: leader.video.paused,
+        leaderRate: leader.video.playbackRate,
+      });
+      if (action.seek) video.currentTime = clampToRange(target, player.seekRange());
+      video.playbackRate = action.playbackRate;
+      if (action.play && video.paused) video.play().catch(() => {});
+      else if (!action.play && !video.paused) video.pause();
+    };
+
+    const start = async () => {
+      setStatus('loading');
+      await player.attach(video);
+      const leader = getLeader();
+      const startTime = !leader || leader.player.isLive() ? null : leader.video.currentTime;
+      await player.load(tileLayout.masterUrl, startTime, tileLayout.mimeType);
+      if (cancelled) return;
+      log.debug(`Multiview tile playing: ${name}`);
+      setStatus('playing');
+      sync();
+      timer = setInterval(sync, MULTIVIEW_SYNC_INTERVAL_MS);
+    };
+
+    start().catch((error) => {
+      if (cancelled) return;
+      log.warn(`Multiview tile ${name} failed to load: ${error.message}`, { code: error.code });
+      setStatus('failed');
+    });
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      player.destroy().catch(() => {});
+    };
+  }, [name, masterUrl, manifestUrl, authProvider, mediaAuth, tileMaxHeight, getLeader, layoutRef, log]);
+
+  return { videoRef, status };
+};
+
+export default useMultiviewTile;
@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { createShakaAuthFilter } from './tokenService';
+import { downloadMetadata, selectDownloadTracks, groupRecordings } from './offlineLibrary';
+
+const shaka = require('shaka-player/dist/shaka-player.ui.js');
+
+// --- Offline downloads ---
+// Wraps shaka.offline.Storage: one Storage per download so progress can be
+// told apart, and a short-lived one for listing and deleting.
+
+// shaka.util.Error.Code.OPERATION_ABORTED, raised when a download is cancelled.
+const OPERATION_ABORTED = 7001;
+
+const isStorageSupported = () => {
+  try {
+    return shaka.offline.Storage.support();
+  } catch (e) {
+    return false;
+  }
+};
+
+// Runs `task` with a fresh Storage and always destroys it.
+const withStorage = async (task) => {
+  const storage = new shaka.offline.Storage();
+  try {
+    return await task(storage);
+  } finally {
+    storage.destroy().catch(() => {});
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {?Object} options.authProvider  Token service, for media that needs the token.
+ * @param {?Object} options.mediaAuth     { mode, queryParam }, as for the player.
+ * @param {Object} options.log            Category logger.
+ * @return {{
+ *   supported: boolean,
+ *   recordings: Array<Object>,
+ *   downloads: Array<{ id: string, stream: string, layoutName: string, displayName: string, quality: Object, progress: number, status: string, error: ?string }>,
+ *   download: function({ stream: string, layout: Object, quality: Object, layoutRegions: Array }): void,
+ *   cancel: function(string): void,
+ *   dismiss: function(string): void,
+ *   remove: function(string): Promise,
+ * }}
+ */
+const useOfflineDownloads = ({ authProvider, mediaAuth, log }) => {
+  const [supported] = useState(isStorageSupported);
+  const [contents, setContents] = useState([]);
+  const [downloads, setDownloads] = useState([]);
+  // download id -> shaka.extern.IAbortableOperation
+  const operationsRef = useRef(new Map());
+
+  const updateDownload = useCallback((id, changes) => {
+    setDownloads(current => current.map(d => (d.id === id ? { ...d, ...changes } : d)));
+  }, []);
+  const dropDownload = useCallback((id) => {
+    setDownloads(current => current.filter(d => d.id !== id));
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!supported) return;
+    try {
+      setContents(await withStorage(storage => storage.list()));
+    } catch (error) {
+      log.warn(`Could not list offline recordings: ${error.message}`, error);
+    }
+  }, [supported, log]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Downloads still running when the page goes away are abandoned; Shaka
+  // cleans up incomplete items on its own.
+  useEffect(() => {
+    const operations = operationsRef.current;
+    return () => operations.forEach(operation => operation.abort().catch(() => {}));
+  }, []);
+
+  const download = useCallback(({ stream, layout, quality, layoutRegions }) => {
+    if (!supported) return;
+    const id = `${layout.name}-${Date.now().toString(36)}`;
+    const storage = new shaka.offline.Storage();
+    storage.configure({
+      offline: {
+        trackSelectionCallback: async (tracks) => selectDownloadTracks(tracks, layout, quality),
+        progressCallback: (content, progress) => updateDownload(id, { progress }),
+      },
+    });
+    if (authProvider && mediaAuth && mediaAuth.mode !== 'none') {
+      try {
+        const origin = new URL(stream).origin;
+        storage.getNetworkingEngine().registerRequestFilter(createShakaAuthFilter(shaka, authProvider, { ...mediaAuth, origin }));
+      } catch (e) {
+        // Not a URL; the store call reports that.
+      }
+    }
+
+    setDownloads(current => [...current, {
+      id,
+      stream,
+      layoutName: layout.name,
+      displayName: layout.displayName,
+      quality,
+      progress: 0,
+      status: 'downloading',
+      error: null,
+    }]);
+    log.info(`Downloading ${layout.name} for offline viewing`, { stream, layout: layout.name, quality });
+
+    const operation = storage.store(layout.masterUrl, downloadMetadata({ stream, layout, quality, layoutRegions }), layout.mimeType);
+    operationsRef.current.set(id, operation);
+    operation.promise
+      .then(() => {
+        log.info(`Downloaded ${layout.name}`, { stream, layout: layout.name });
+        dropDownload(id);
+        refresh();
+      })
+      .catch((error) => {
+        if (error.code === OPERATION_ABORTED) {
+          log.info(`Download of ${layout.name} cancelled`);
+          dropDownload(id);
+          return;
+        }
+        log.error(`Download of ${layout.name} failed: ${error.message}`, { code: error.code, data: error.data });
+        updateDownload(id, { status: 'failed', error: error.message || `Shaka error ${error.code}` });
+      })
+      .finally(() => {
+        operationsRef.current.delete(id);
+        storage.destroy().catch(() => {});
+      });
+  }, [supported, authProvider, mediaAuth, log, updateDownload, dropDownload, refresh]);
+
+  const cancel = useCallback((id) => {
+    operationsRef.current.get(id)?.abort().catch(() => {});
+  }, []);
+
+  const remove = useCallback(async (offlineUri) => {
+    try {
+      await withStorage(storage => storage.remove(offlineUri));
+      log.info('Removed offline recording', { offlineUri });
+    } catch (error) {
+      log.error(`Could not remove ${offlineUri}: ${error.message}`, error);
+    }
+    await refresh();
+  }, [log, refresh]);
+
+  const recordings = useMemo(() => groupRecordings(contents), [contents]);
+
+  return { supported, recordings, downloads, download, cancel, dismiss: dropDownload, remove };
+};
+
+export default useOfflineDownloads;
@@ -0,0 +1,77 @@
+import { useEffect } from 'react';
+import useLatest from './useLatest';
+
+// How often onStats receives a fresh player.getStats() snapshot.
+const STATS_INTERVAL_MS = 5000;
+
+/**
+ * Tells the host about layout, region and busy changes and hands it playback
+ * stats (see the on* options of useMultiLayoutPlayer).
+ *
+ * @param {Object} options
+ * @param {Object} options.callbacksRef          Ref to the host's latest callbacks (see useLatest.js).
+ * @param {function(): ?shaka.Player} options.getPlayer
+ * @param {function(): ?Object} options.getQoeTracker
+ * @param {boolean} options.isPlayerReady
+ * @param {string} options.selectedLayout
+ * @param {?string} options.layoutSource
+ * @param {Array<Object>} options.layouts
+ * @param {Array<Object>} options.allLayoutRegions
+ * @param {Array<Object>} options.regions
+ * @param {{ width: number, height: number }} options.canvasDimensions
+ * @param {boolean} options.isBusy
+ */
+const usePlayerCallbacks = ({
+  callbacksRef,
+  getPlayer,
+  getQoeTracker,
+  isPlayerReady,
+  selectedLayout,
+  layoutSource,
+  layouts,
+  allLayoutRegions,
+  regions,
+  canvasDimensions,
+  isBusy,
+}) => {
+  // The source is reported with the layout it brought, not on its own.
+  const layoutSourceRef = useLatest(layoutSource);
+
+  useEffect(() => {
+    callbacksRef.current.onLayoutChange?.(selectedLayout || null, layoutSourceRef.current);
+  }, [selectedLayout, callbacksRef, layoutSourceRef]);
+
+  useEffect(() => {
+    callbacksRef.current.onRegionsChange?.(regions, canvasDimensions);
+  }, [regions, canvasDimensions, callbacksRef]);
+
+  useEffect(() => {
+    callbacksRef.current.onLayoutsChange?.(layouts, allLayoutRegions);
+  }, [layouts, allLayoutRegions, callbacksRef]);
+
+  useEffect(() => {
+    callbacksRef.current.onBusyChange?.(isBusy);
+  }, [isBusy, callbacksRef]);
+
+  useEffect(() => {
+    if (!isPlayerReady || !selectedLayout) return;
+    const player = getPlayer();
+    const emitStats = () => {
+      const stats = player.getStats();
+      callbacksRef.current.onStats?.(stats, selectedLayout);
+      const qoeTracker = getQoeTracker();
+      if (qoeTracker) {
+        qoeTracker.sampleStats(stats);
+        callbacksRef.current.onQoeSummary?.(qoeTracker.getSummary());
+      }
+    };
+    player.addEventListener('adaptation', emitStats);
+    const timer = setInterval(emitStats, STATS_INTERVAL_MS);
+    return () => {
+      clearInterval(timer);
+      player.removeEventListener('adaptation', emitStats);
+    };
+  }, [isPlayerReady, selectedLayout, getPlayer, getQoeTracker, callbacksRef]);
+};
+
+export default usePlayerCallbacks;
@@ -0,0 +1,103 @@
+import { useState, useEffect, useCallback } from 'react';
+import { isLayoutStream } from './layouts';
+import { listRenditions, matchRendition, effectiveMaxHeight, renditionLabel } from './renditions';
+import useLatest from './useLatest';
+
+// Variant tracks of the layout on screen (a DASH manifest lists every layout's).
+const layoutTracks = (player, layout) =>
+  player.getVariantTracks().filter(track => isLayoutStream(layout, track.originalVideoId));
+
+/**
+ * Quality of the layout on screen (see renditions.js): lists its renditions,
+ * keeps the viewer's pinned rendition per layout (ABR runs for the others)
+ * and applies the height cap to each layout's own ladder.
+ *
+ * @param {Object} options
+ * @param {function(): ?shaka.Player} options.getPlayer
+ * @param {boolean} options.isPlayerReady
+ * @param {Array<Object>} options.layouts
+ * @param {string} options.selectedLayout
+ * @param {?string} options.loadedLayout     Layout whose load finished last.
+ * @param {boolean} options.abrEnabled
+ * @param {?number} options.maxResolution
+ * @param {Object} options.log               Category logger.
+ * @return {{
+ *   renditions: Array<Object>,
+ *   renditionChoice: ?{ height: number, bandwidth: number },  Pinned for the selected layout, null for Auto.
+ *   selectRendition: function(?Object): void,
+ * }}
+ */
+const useRenditions = ({ getPlayer, isPlayerReady, layouts, selectedLayout, loadedLayout, abrEnabled, maxResolution, log }) => {
+  const [renditions, setRenditions] = useState([]);
+  // layout name -> { height, bandwidth } pinned by the viewer; absent means Auto.
+  const [renditionChoices, setRenditionChoices] = useState({});
+  const layoutsRef = useLatest(layouts);
+
+  // Pins the current layout to a rendition, or back to Auto with null.
+  const selectRendition = useCallback((rendition) => {
+    if (!selectedLayout) return;
+    setRenditionChoices((current) => {
+      const next = { ...current };
+      if (rendition) next[selectedLayout] = { height: rendition.height, bandwidth: rendition.bandwidth };
+      else delete next[selectedLayout];
+      return next;
+    });
+    log.info(`Quality for ${selectedLayout}: ${rendition ? renditionLabel(rendition) : 'Auto'}`, rendition || undefined);
+  }, [selectedLayout, log]);
+
+  // ABR runs unless it is off globally or the viewer pinned a rendition for this layout.
+  const renditionChoice = (selectedLayout && renditionChoices[selectedLayout]) || null;
+  const isAbrActive = abrEnabled && !renditionChoice;
+  useEffect(() => {
+    if (isPlayerReady) {
+      getPlayer().configure({ abr: { enabled: isAbrActive } });
+      log.info(`ABR is now ${isAbrActive ? 'enabled' : 'disabled'}.`);
+    }
+  }, [isPlayerReady, isAbrActive, getPlayer, log]);
+
+  // Shaka's variant list, reduced to what the quality menu shows. Refreshed
+  // after every load and whenever Shaka's tracks change.
+  useEffect(() => {
+    const player = getPlayer();
+    if (!isPlayerReady || !player) return;
+    const updateRenditions = () => {
+      const layout = layoutsRef.current.find(l => l.name === loadedLayout);
+      const next = listRenditions(layout ? layoutTracks(player, layout) : []);
+      setRenditions(current => (JSON.stringify(current) === JSON.stringify(next) ? current : next));
+    };
+    updateRenditions();
+    const events = ['trackschanged', 'variantchanged', 'adaptation'];
+    events.forEach(type => player.addEventListener(type, updateRenditions));
+    return () => events.forEach(type => player.removeEventListener(type, updateRenditions));
+  }, [isPlayerReady, loadedLayout, layoutsRef, getPlayer]);
+
+  // The cap follows each layout's ladder, which Shaka only knows once loaded.
+  useEffect(() => {
+    if (!isPlayerReady || !loadedLayout) return;
+    const player = getPlayer();
+    const layout = layoutsRef.current.find(l => l.name === loadedLayout);
+    const heights = (player.getManifest()?.variants || [])
+      .filter(v => isLayoutStream(layout, v.video?.originalId))
+      .map(v => v.video?.height);
+    const maxHeight = effectiveMaxHeight(heights, maxResolution);
+    player.configure({ restrictions: { maxHeight } });
+    if (maxResolution && maxHeight !== maxResolution) {
+      log.warn(`${loadedLayout} has nothing at or below ${maxResolution}p, capping at ${maxHeight}p instead`);
+    }
+  }, [isPlayerReady, loadedLayout, maxResolution, layoutsRef, getPlayer, log]);
+
+  // Re-applies the pinned rendition after every load and when the cap changes.
+  useEffect(() => {
+    if (!isPlayerReady || !renditionChoice || !loadedLayout || loadedLayout !== selectedLayout) return;
+    const player = getPlayer();
+    const layout = layoutsRef.current.find(l => l.name === loadedLayout);
+    const track = matchRendition(layout ? layoutTracks(player, layout) : [], renditionChoice);
+    if (!track || track.active) return;
+    player.selectVariantTrack(track, /* clearBuffer= */ true);
+    log.info(`Playing ${loadedLayout} at ${renditionLabel(track)}`, { height: track.height, bandwidth: track.bandwidth });
+  }, [isPlayerReady, renditionChoice, loadedLayout, selectedLayout, maxResolution, layoutsRef, getPlayer, log]);
+
+  return { renditions, renditionChoice, selectRendition };
+};
+
+export default useRenditions;
@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { createControlsBridge } from './shakaUiElements';
+
+/**
+ * State behind the layout and quality menus in the Shaka control bar (see
+ * shakaUiElements.js). Attach `controlsBridge` to the video container before
+ * the Shaka UI is created.
+ *
+ * @param {Object} options
+ * @param {Object} options.containerRef        The video container, which Shaka fullscreens.
+ * @param {Array<Object>} options.layouts
+ * @param {string} options.selectedLayout
+ * @param {Array<string>} options.unavailableLayouts
+ * @param {Array<Object>} options.renditions
+ * @param {?Object} options.renditionChoice
+ * @param {boolean} options.disabled
+ * @param {function(string, string): boolean} options.selectLayout
+ * @param {function(?Object): void} options.selectRendition
+ * @return {{ controlsBridge: Object, isFullscreen: boolean }}
+ */
+const useShakaControls = ({
+  containerRef,
+  layouts,
+  selectedLayout,
+  unavailableLayouts,
+  renditions,
+  renditionChoice,
+  disabled,
+  selectLayout,
+  selectRendition,
+}) => {
+  const [controlsBridge] = useState(createControlsBridge);
+  // Shaka fullscreens the video container, hiding everything rendered around it.
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const updateFullscreen = () => setIsFullscreen(Boolean(container) && document.fullscreenElement === container);
+    document.addEventListener('fullscreenchange', updateFullscreen);
+    return () => document.removeEventListener('fullscreenchange', updateFullscreen);
+  }, [containerRef]);
+
+  useEffect(() => {
+    controlsBridge.update({ layouts, selectedLayout, unavailableLayouts, renditions, renditionChoice, disabled });
+  }, [controlsBridge, layouts, selectedLayout, unavailableLayouts, renditions, renditionChoice, disabled]);
+
+  useEffect(() => {
+    controlsBridge.setActions({
+      selectLayout: (layoutName) => selectLayout(layoutName, 'controls'),
+      selectRendition,
+    });
+  }, [controlsBridge, selectLayout, selectRendition]);
+
+  return { controlsBridge, isFullscreen };
+};
+
+export default useShakaControls;
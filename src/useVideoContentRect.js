@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { getVideoContentRect, getVideoAspectRatio } from './videoGeometry';
+
+// Tracks where the video picture sits inside its container, re-measuring on
+// container resize, fullscreen changes and when the decoded resolution changes
+// (e.g. after a layout switch).
+const useVideoContentRect = (containerRef, videoRef, canvasDimensions) => {
+  const [contentRect, setContentRect] = useState(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const video = videoRef.current;
+    if (!container || !video) return;
+
+    const measure = () => {
+      const { width, height } = container.getBoundingClientRect();
+      setContentRect(getVideoContentRect(width, height, getVideoAspectRatio(video, canvasDimensions)));
+    };
+    measure();
+
+    const resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(measure) : null;
+    resizeObserver?.observe(container);
+    window.addEventListener('resize', measure);
+    document.addEventListener('fullscreenchange', measure);
+    video.addEventListener('resize', measure);
+    video.addEventListener('loadedmetadata', measure);
+
+    return () => {
+      resizeObserver?.disconnect();
+      window.removeEventListener('resize', measure);
+      document.removeEventListener('fullscreenchange', measure);
+      video.removeEventListener('resize', measure);
+      video.removeEventListener('loadedmetadata', measure);
+    };
+  }, [containerRef, videoRef, canvasDimensions]);
+
+  return contentRect;
+};
+
+export default useVideoContentRect;
@@ -0,0 +1,144 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import useLatest from './useLatest';
+import { IDENTITY_ZOOM, isZoomed, clampZoom, zoomToRegion, zoomAtPoint, panZoom } from './videoZoom';
+
+const WHEEL_ZOOM_SPEED = 0.002;
+const WHEEL_LINE_HEIGHT_PX = 16;
+// A press that moves further than this pans instead of clicking.
+const DRAG_THRESHOLD_PX = 5;
+
+/**
+ * Digital zoom of the video picture (see videoZoom.js): zoom into a region,
+ * scroll or pinch to zoom, drag to pan while zoomed. Pointer gestures over
+ * elements matching `ignoreSelector` (the Shaka controls) are left alone.
+ *
+ * @return {{
+ *   zoom: Object,               Current zoom, fitted to the container.
+ *   zoomedRegion: ?Object,      Region last zoomed into, until the view moves.
+ *   isGesturing: boolean,       A pinch or drag is running (no transitions).
+ *   zoomIntoRegion: function(Object): void,
+ *   resetZoom: function(): void,
+ *   wasDragged: function(): boolean,  Whether the click that follows is the end of a drag.
+ *   pointerHandlers: Object,    Pointer event props for the container.
+ * }}
+ */
+const useVideoZoom = ({ containerRef, contentRect, canvasDimensions, ignoreSelector }) => {
+  const [storedZoom, setStoredZoom] = useState(IDENTITY_ZOOM);
+  const [zoomedRegion, setZoomedRegion] = useState(null);
+  const [isGesturing, setIsGesturing] = useState(false);
+  // Refit on every render so resizes and fullscreen never show past the picture.
+  const zoom = useMemo(() => (contentRect ? clampZoom(storedZoom, contentRect) : IDENTITY_ZOOM), [storedZoom, contentRect]);
+
+  const contentRectRef = useLatest(contentRect);
+  const pointersRef = useRef(new Map());
+  const dragRef = useRef({ distance: 0, dragged: false });
+
+  // Pointer position in content units, as on screen.
+  const toContent = useCallback((clientX, clientY) => {
+    const container = containerRef.current;
+    const rect = contentRectRef.current;
+    if (!container || !rect?.width || !rect?.height) return null;
+    const containerRect = container.getBoundingClientRect();
+    return {
+      x: (clientX - containerRect.left - rect.x) / rect.width,
+      y: (clientY - containerRect.top - rect.y) / rect.height,
+    };
+  }, [containerRef, contentRectRef]);
+
+  const updateZoom = useCallback((update) => {
+    const rect = contentRectRef.current;
+    if (!rect) return;
+    setStoredZoom(current => update(clampZoom(current, rect), rect));
+    setZoomedRegion(null);
+  }, [contentRectRef]);
+
+  const zoomIntoRegion = useCallback((region) => {
+    const rect = contentRectRef.current;
+    if (!rect || !canvasDimensions.width || !canvasDimensions.height) return;
+    setStoredZoom(zoomToRegion(region, canvasDimensions, rect));
+    setZoomedRegion(region);
+  }, [canvasDimensions, contentRectRef]);
+
+  const resetZoom = useCallback(() => {
+    setStoredZoom(IDENTITY_ZOOM);
+    setZoomedRegion(null);
+  }, []);
+
+  // Wheel listeners have to be non-passive to keep the page from scrolling.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const handleWheel = (e) => {
+      if (ignoreSelector && e.target.closest?.(ignoreSelector)) return;
+      const point = toContent(e.clientX, e.clientY);
+      if (!point) return;
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_HEIGHT_PX : e.deltaY;
+      updateZoom((current, rect) => zoomAtPoint(current, Math.exp(-delta * WHEEL_ZOOM_SPEED), point, rect));
+    };
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [containerRef, ignoreSelector, toContent, updateZoom]);
+
+  const handlePointerDown = (e) => {
+    if (ignoreSelector && e.target.closest?.(ignoreSelector)) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointersRef.current.size === 1) dragRef.current = { distance: 0, dragged: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current;
+    const previous = pointers.get(e.pointerId);
+    if (!previous) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2) {
+      // Pinch: scale by the change in finger distance around their midpoint.
+      const [a, b] = Array.from(pointers.values());
+      const other = a === pointers.get(e.pointerId) ? b : a;
+      const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+      const point = toContent((e.clientX + other.x) / 2, (e.clientY + other.y) / 2);
+      if (!point || !before) return;
+      dragRef.current.dragged = true;
+      setIsGesturing(true);
+      updateZoom((current, rect) => zoomAtPoint(current, after / before, point, rect));
+      return;
+    }
+
+    if (pointers.size !== 1 || !isZoomed(zoom)) return;
+    const drag = dragRef.current;
+    drag.distance += Math.hypot(e.clientX - previous.x, e.clientY - previous.y);
+    if (drag.distance < DRAG_THRESHOLD_PX) return;
+    drag.dragged = true;
+    setIsGesturing(true);
+    updateZoom((current, rect) => panZoom(current, (e.clientX - previous.x) / rect.width, (e.clientY - previous.y) / rect.height, rect));
+  };
+
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (pointersRef.current.size === 0) setIsGesturing(false);
+  };
+
+  // The click after a drag or pinch is not a region click.
+  const wasDragged = useCallback(() => dragRef.current.dragged, []);
+
+  return {
+    zoom,
+    zoomedRegion,
+    isGesturing,
+    zoomIntoRegion,
+    resetZoom,
+    wasDragged,
+    pointerHandlers: {
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerUp,
+      onPointerLeave: handlePointerUp,
+    },
+  };
+};
+
+export default useVideoZoom;
@@ -0,0 +1,73 @@
+// --- Video frame helpers used for seamless layout switches ---
+
+// Give up waiting for the first frame of the new layout after this long.
+const FIRST_FRAME_TIMEOUT_MS = 3000;
+
+// Copies the currently displayed video frame into the freeze-frame canvas.
+// Returns false when there is nothing to show yet (no frame decoded).
+export const captureVideoFrame = (video, canvas) => {
+  if (!video || !canvas || !video.videoWidth || !video.videoHeight) return false;
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  try {
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Resolves once the video has presented a new frame (or after a timeout).
+export const waitForNextFrame = (video, timeoutMs = FIRST_FRAME_TIMEOUT_MS) => new Promise((resolve) => {
+  let done = false;
+  let timer = null;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    clearTimeout(timer);
+    video.removeEventListener('timeupdate', finish);
+    resolve();
+  };
+  timer = setTimeout(finish, timeoutMs);
+  if (typeof video.requestVideoFrameCallback === 'function') {
+    video.requestVideoFrameCallback(finish);
+  } else {
+    video.addEventListener('timeupdate', finish);
+  }
+});
+
+// Calls back when the video presents its next frame, however long that takes.
+// Returns a function that cancels the wait.
+export const onNextFrame = (video, callback) => {
+  if (typeof video.requestVideoFrameCallback === 'function') {
+    const handle = video.requestVideoFrameCallback(() => callback());
+    return () => video.cancelVideoFrameCallback(handle);
+  }
+  const handleTimeUpdate = () => {
+    video.removeEventListener('timeupdate', handleTimeUpdate);
+    callback();
+  };
+  video.addEventListener('timeupdate', handleTimeUpdate);
+  return () => video.removeEventListener('timeupdate', handleTimeUpdate);
+};
+
+// Calls back with the media time of every presented frame (or on timeupdate
+// and seeks where frame callbacks are unsupported). Returns a stop function.
+export const watchPresentationTime = (video, callback) => {
+  if (typeof video.requestVideoFrameCallback === 'function') {
+    let handle = null;
+    const onFrame = (now, metadata) => {
+      callback(metadata.mediaTime);
+      handle = video.requestVideoFrameCallback(onFrame);
+    };
+    handle = video.requestVideoFrameCallback(onFrame);
+    return () => video.cancelVideoFrameCallback(handle);
+  }
+  const handleTime = () => callback(video.currentTime);
+  video.addEventListener('timeupdate', handleTime);
+  video.addEventListener('seeked', handleTime);
+  return () => {
+    video.removeEventListener('timeupdate', handleTime);
+    video.removeEventListener('seeked', handleTime);
+  };
+};
@@ -0,0 +1,38 @@
+// --- Video letterbox geometry ---
+// The <video> element fills its container but the picture is letterboxed
+// (object-fit: contain), so canvas coordinates from the regions API have to be
+// mapped through the rectangle the picture actually occupies.
+
+// Rectangle (container-relative, CSS pixels) covered by the video picture.
+export const getVideoContentRect = (containerWidth, containerHeight, aspectRatio) => {
+  if (!containerWidth || !containerHeight || !aspectRatio) {
+    return { x: 0, y: 0, width: containerWidth || 0, height: containerHeight || 0 };
+  }
+  const containerAspectRatio = containerWidth / containerHeight;
+  if (containerAspectRatio > aspectRatio) {
+    const height = containerHeight;
+    const width = height * aspectRatio;
+    return { x: (containerWidth - width) / 2, y: 0, width, height };
+  }
+  const width = containerWidth;
+  const height = width / aspectRatio;
+  return { x: 0, y: (containerHeight - height) / 2, width, height };
+};
+
+// Aspect ratio of the decoded picture, falling back to the layout canvas before the first frame.
+export const getVideoAspectRatio = (video, canvasDimensions) => {
+  if (video?.videoWidth && video?.videoHeight) return video.videoWidth / video.videoHeight;
+  if (canvasDimensions?.width && canvasDimensions?.height) return canvasDimensions.width / canvasDimensions.height;
+  return null;
+};
+
+// Maps a pointer position to layout canvas coordinates.
+export const clientToCanvas = (clientX, clientY, containerRect, contentRect, canvasDimensions) => ({
+  x: ((clientX - containerRect.left - contentRect.x) / contentRect.width) * canvasDimensions.width,
+  y: ((clientY - containerRect.top - contentRect.y) / contentRect.height) * canvasDimensions.height,
+});
+
+export const findRegionAt = (regions, point) => regions.find(r =>
+  point.x >= r.x && point.x <= (r.x + r.width) &&
+  point.y >= r.y && point.y <= (r.y + r.height)
+);
@@ -0,0 +1,39 @@
+import { getVideoContentRect, getVideoAspectRatio, clientToCanvas, findRegionAt } from './videoGeometry';
+
+const CANVAS = { width: 1920, height: 1080 };
+const REGIONS = [
+  { id: 'left', x: 0, y: 0, width: 960, height: 1080 },
+  { id: 'right', x: 960, y: 270, width: 960, height: 540 },
+];
+
+test('letterboxes a wide picture and pillarboxes a narrow one', () => {
+  // 16:9 in a 4:3 container: bars above and below.
+  expect(getVideoContentRect(800, 600, 16 / 9)).toEqual({ x: 0, y: 75, width: 800, height: 450 });
+  // 16:9 in a 21:9-ish container: bars left and right.
+  expect(getVideoContentRect(1000, 450, 16 / 9)).toEqual({ x: 100, y: 0, width: 800, height: 450 });
+  expect(getVideoContentRect(800, 450, null)).toEqual({ x: 0, y: 0, width: 800, height: 450 });
+});
+
+test('takes the aspect ratio from the decoded picture, else the canvas', () => {
+  expect(getVideoAspectRatio({ videoWidth: 640, videoHeight: 480 }, CANVAS)).toBeCloseTo(4 / 3);
+  expect(getVideoAspectRatio({ videoWidth: 0, videoHeight: 0 }, CANVAS)).toBeCloseTo(16 / 9);
+  expect(getVideoAspectRatio(null, null)).toBeNull();
+});
+
+test('maps clicks through the bars onto the canvas', () => {
+  const containerRect = { left: 20, top: 10 };
+  const letterboxed = getVideoContentRect(800, 600, 16 / 9);
+  expect(clientToCanvas(20 + 400, 10 + 75 + 225, containerRect, letterboxed, CANVAS)).toEqual({ x: 960, y: 540 });
+  const pillarboxed = getVideoContentRect(1000, 450, 16 / 9);
+  expect(clientToCanvas(20 + 100, 10, containerRect, pillarboxed, CANVAS)).toEqual({ x: 0, y: 0 });
+  // A click on the bar lands outside the canvas.
+  expect(clientToCanvas(20 + 50, 10, containerRect, pillarboxed, CANVAS).x).toBeLessThan(0);
+});
+
+test('hits a region on its edge but not just outside it', () => {
+  expect(findRegionAt(REGIONS, { x: 960, y: 100 })).toBe(REGIONS[0]);
+  expect(findRegionAt(REGIONS, { x: 1500, y: 810 })).toBe(REGIONS[1]);
+  expect(findRegionAt(REGIONS, { x: 1500, y: 811 })).toBeUndefined();
+  expect(findRegionAt(REGIONS, { x: 1500, y: 269 })).toBeUndefined();
+  expect(findRegionAt(REGIONS, { x: -1, y: 540 })).toBeUndefined();
+});
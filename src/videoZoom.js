@@ -0,0 +1,74 @@
+// --- Digital zoom ---
+// Regions without a layout of their own are magnified in the player instead.
+// A zoom is { scale, x, y } in content units: the picture (the content rect,
+// see videoGeometry.js) is 1 wide and 1 high, and a picture point u shows at
+// u * scale + (x, y). Keeping it relative to the picture rather than to the
+// container keeps the same area in view across resizes and fullscreen.
+
+export const MAX_ZOOM = 4;
+export const IDENTITY_ZOOM = { scale: 1, x: 0, y: 0 };
+
+export const isZoomed = (zoom) => zoom.scale > 1;
+
+// Letterbox bars on each side, in content units.
+const margins = (contentRect) => ({
+  x: contentRect.width ? contentRect.x / contentRect.width : 0,
+  y: contentRect.height ? contentRect.y / contentRect.height : 0,
+});
+
+// Keeps the container covered by the picture where it is big enough, and
+// the picture centred along an axis where it is not.
+const clampAxis = (translate, scale, margin) => {
+  if (scale < 1 + 2 * margin) return (1 - scale) / 2;
+  // `+ 0` turns -0 into 0.
+  return Math.min(-margin, Math.max(1 + margin - scale, translate)) + 0;
+};
+
+export const clampZoom = (zoom, contentRect) => {
+  const scale = Math.min(MAX_ZOOM, Math.max(1, zoom.scale));
+  if (scale === 1) return IDENTITY_ZOOM;
+  const margin = margins(contentRect);
+  return { scale, x: clampAxis(zoom.x, scale, margin.x), y: clampAxis(zoom.y, scale, margin.y) };
+};
+
+// Zoom that fits a region (canvas coordinates) to the container, centred.
+export const zoomToRegion = (region, canvasDimensions, contentRect) => {
+  const margin = margins(contentRect);
+  const width = region.width / canvasDimensions.width;
+  const height = region.height / canvasDimensions.height;
+  const scale = Math.min((1 + 2 * margin.x) / width, (1 + 2 * margin.y) / height);
+  return clampZoom({
+    scale,
+    x: 0.5 - (region.x / canvasDimensions.width + width / 2) * scale,
+    y: 0.5 - (region.y / canvasDimensions.height + height / 2) * scale,
+  }, contentRect);
+};
+
+// Scales by `factor` keeping the picture point under `point` (content units, as on screen) in place.
+export const zoomAtPoint = (zoom, factor, point, contentRect) => {
+  const scale = Math.min(MAX_ZOOM, Math.max(1, zoom.scale * factor));
+  const ratio = scale / zoom.scale;
+  return clampZoom({
+    scale,
+    x: point.x - (point.x - zoom.x) * ratio,
+    y: point.y - (point.y - zoom.y) * ratio,
+  }, contentRect);
+};
+
+// Moves the picture by a distance in content units.
+export const panZoom = (zoom, dx, dy, contentRect) => clampZoom({ ...zoom, x: zoom.x + dx, y: zoom.y + dy }, contentRect);
+
+// Maps a canvas point as seen on screen back to the canvas point under it.
+export const unzoomCanvasPoint = (zoom, point, canvasDimensions) => ({
+  x: ((point.x / canvasDimensions.width - zoom.x) / zoom.scale) * canvasDimensions.width,
+  y: ((point.y / canvasDimensions.height - zoom.y) / zoom.scale) * canvasDimensions.height,
+});
+
+// CSS transform (origin top left) for an element at `offset` in the container.
+export const zoomTransform = (zoom, contentRect, offset = { x: 0, y: 0 }) => {
+  if (!contentRect || !isZoomed(zoom)) return 'none';
+  const { scale } = zoom;
+  const dx = (1 - scale) * (contentRect.x - offset.x) + zoom.x * contentRect.width;
+  const dy = (1 - scale) * (contentRect.y - offset.y) + zoom.y * contentRect.height;
+  return `translate(${dx}px, ${dy}px) scale(${scale})`;
+};
@@ -0,0 +1,42 @@
+import {
+  IDENTITY_ZOOM,
+  MAX_ZOOM,
+  clampZoom,
+  zoomToRegion,
+  zoomAtPoint,
+  panZoom,
+  unzoomCanvasPoint,
+  zoomTransform,
+} from './videoZoom';
+
+const CANVAS = { width: 1920, height: 1080 };
+const FULL = { x: 0, y: 0, width: 1600, height: 900 };
+// 800x450 picture centred in a 1000x450 container.
+const PILLARBOXED = { x: 100, y: 0, width: 800, height: 450 };
+
+test('fits a region to the container, up to the maximum zoom', () => {
+  expect(zoomToRegion({ x: 960, y: 0, width: 960, height: 540 }, CANVAS, FULL)).toEqual({ scale: 2, x: -1, y: 0 });
+  expect(zoomToRegion({ x: 0, y: 0, width: 10, height: 10 }, CANVAS, FULL).scale).toBe(MAX_ZOOM);
+  // A full-height region already fills the pillarboxed container.
+  expect(zoomToRegion({ x: 0, y: 0, width: 960, height: 1080 }, CANVAS, PILLARBOXED)).toBe(IDENTITY_ZOOM);
+});
+
+test('zooms around a point and never shows past the picture', () => {
+  const zoomed = zoomAtPoint(IDENTITY_ZOOM, 2, { x: 0.5, y: 0.5 }, FULL);
+  expect(zoomed).toEqual({ scale: 2, x: -0.5, y: -0.5 });
+  expect(zoomAtPoint(zoomed, 0.25, { x: 0.5, y: 0.5 }, FULL)).toBe(IDENTITY_ZOOM);
+  expect(panZoom({ scale: 2, x: -1, y: 0 }, -1, 0.5, FULL)).toEqual({ scale: 2, x: -1, y: 0 });
+  // Along the letterboxed axis the picture stays centred until it fills the container.
+  expect(clampZoom({ scale: 1.2, x: -0.2, y: 0 }, PILLARBOXED).x).toBeCloseTo(-0.1);
+});
+
+test('maps pointer positions and element transforms through the zoom', () => {
+  const zoom = { scale: 2, x: -1, y: 0 };
+  expect(unzoomCanvasPoint(zoom, { x: 960, y: 540 }, CANVAS)).toEqual({ x: 1440, y: 270 });
+  expect(zoomTransform(zoom, FULL)).toBe('translate(-1600px, 0px) scale(2)');
+  expect(zoomTransform(IDENTITY_ZOOM, FULL)).toBe('none');
+  // The video (at the container origin) and the overlay (at the picture) line up.
+  const centred = { scale: 2, x: -0.5, y: -0.5 };
+  expect(zoomTransform(centred, PILLARBOXED)).toBe('translate(-500px, -225px) scale(2)');
+  expect(zoomTransform(centred, PILLARBOXED, PILLARBOXED)).toBe('translate(-400px, -225px) scale(2)');
+});